@@ -2,18 +2,23 @@ const request = require('supertest');
 const fs = require('fs').promises;
 const path = require('path');
 const createApp = require('../app');
+const { signUp } = require('./helpers/auth');
 
 // Set test environment
 process.env.NODE_ENV = 'test';
 
-const app = createApp();
+const app = createApp({ legacyOwner: 'alice' });
 const TEST_DATA_FILE = path.join(__dirname, '..', 'data.json');
 
 describe('Todo API', () => {
+  let api;
+  let user;
+
   // Clean up before and after each test
   beforeEach(async () => {
     // Reset data.json to empty array before each test
     await fs.writeFile(TEST_DATA_FILE, JSON.stringify([], null, 2));
+    ({ api, user } = await signUp(app));
   });
 
   afterEach(async () => {
@@ -40,7 +45,7 @@ describe('Todo API', () => {
 
   describe('GET /api/todos', () => {
     it('should return empty array when no todos exist', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/todos')
         .expect(200);
 
@@ -58,12 +63,14 @@ describe('Todo API', () => {
         }
       ];
       await fs.writeFile(TEST_DATA_FILE, JSON.stringify(testTodos, null, 2));
+      // Rewriting the file drops the account; the next one to sign up owns the todos
+      ({ api, user } = await signUp(app));
 
-      const response = await request(app)
+      const response = await api
         .get('/api/todos')
         .expect(200);
 
-      expect(response.body).toEqual(testTodos);
+      expect(response.body).toEqual([{ ...testTodos[0], ownerId: user.id }]);
     });
   });
 
@@ -71,7 +78,7 @@ describe('Todo API', () => {
     it('should create a new todo', async () => {
       const todoData = { text: 'New test todo' };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send(todoData)
         .expect(201);
@@ -85,7 +92,7 @@ describe('Todo API', () => {
 
       // Verify it was saved to file
       const fileContent = await fs.readFile(TEST_DATA_FILE, 'utf8');
-      const todos = JSON.parse(fileContent);
+      const { todos } = JSON.parse(fileContent);
       expect(todos).toHaveLength(1);
       expect(todos[0]).toMatchObject({
         text: 'New test todo',
@@ -96,7 +103,7 @@ describe('Todo API', () => {
     it('should trim whitespace from todo text', async () => {
       const todoData = { text: '  Trimmed todo  ' };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send(todoData)
         .expect(201);
@@ -105,35 +112,41 @@ describe('Todo API', () => {
     });
 
     it('should return 400 when text is missing', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send({})
         .expect(400);
 
       expect(response.body).toEqual({
-        error: 'Todo text is required'
+        error: 'Validation failed',
+        details: [{ field: 'text', message: 'Todo text is required' }],
+        requestId: expect.any(String)
       });
     });
 
     it('should return 400 when text is empty string', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send({ text: '' })
         .expect(400);
 
       expect(response.body).toEqual({
-        error: 'Todo text is required'
+        error: 'Validation failed',
+        details: [{ field: 'text', message: 'Todo text cannot be empty' }],
+        requestId: expect.any(String)
       });
     });
 
     it('should return 400 when text is only whitespace', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .send({ text: '   ' })
         .expect(400);
 
       expect(response.body).toEqual({
-        error: 'Todo text is required'
+        error: 'Validation failed',
+        details: [{ field: 'text', message: 'Todo text cannot be empty' }],
+        requestId: expect.any(String)
       });
     });
   });
@@ -150,12 +163,13 @@ describe('Todo API', () => {
         createdAt: '2023-01-01T00:00:00.000Z'
       };
       await fs.writeFile(TEST_DATA_FILE, JSON.stringify([testTodo], null, 2));
+      ({ api, user } = await signUp(app));
     });
 
     it('should update todo text', async () => {
       const updateData = { text: 'Updated todo text' };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/todos/${testTodo.id}`)
         .send(updateData)
         .expect(200);
@@ -172,7 +186,7 @@ describe('Todo API', () => {
     it('should update todo completion status', async () => {
       const updateData = { completed: true };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/todos/${testTodo.id}`)
         .send(updateData)
         .expect(200);
@@ -189,7 +203,7 @@ describe('Todo API', () => {
     it('should update both text and completion status', async () => {
       const updateData = { text: 'Updated text', completed: true };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/todos/${testTodo.id}`)
         .send(updateData)
         .expect(200);
@@ -206,7 +220,7 @@ describe('Todo API', () => {
     it('should trim whitespace from updated text', async () => {
       const updateData = { text: '  Trimmed updated text  ' };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/todos/${testTodo.id}`)
         .send(updateData)
         .expect(200);
@@ -215,49 +229,54 @@ describe('Todo API', () => {
     });
 
     it('should return 404 when todo not found', async () => {
-      const response = await request(app)
+      const response = await api
         .put('/api/todos/nonexistent-id')
         .send({ text: 'Updated text' })
         .expect(404);
 
       expect(response.body).toEqual({
-        error: 'Todo not found'
+        error: 'Todo not found',
+        requestId: expect.any(String)
       });
     });
 
     it('should return 400 when text is empty string', async () => {
-      const response = await request(app)
+      const response = await api
         .put(`/api/todos/${testTodo.id}`)
         .send({ text: '' })
         .expect(400);
 
       expect(response.body).toEqual({
-        error: 'Todo text cannot be empty'
+        error: 'Validation failed',
+        details: [{ field: 'text', message: 'Todo text cannot be empty' }],
+        requestId: expect.any(String)
       });
     });
 
     it('should return 400 when text is only whitespace', async () => {
-      const response = await request(app)
+      const response = await api
         .put(`/api/todos/${testTodo.id}`)
         .send({ text: '   ' })
         .expect(400);
 
       expect(response.body).toEqual({
-        error: 'Todo text cannot be empty'
+        error: 'Validation failed',
+        details: [{ field: 'text', message: 'Todo text cannot be empty' }],
+        requestId: expect.any(String)
       });
     });
 
     it('should persist changes to file', async () => {
       const updateData = { text: 'Persisted update', completed: true };
 
-      await request(app)
+      await api
         .put(`/api/todos/${testTodo.id}`)
         .send(updateData)
         .expect(200);
 
       // Verify changes were saved to file
       const fileContent = await fs.readFile(TEST_DATA_FILE, 'utf8');
-      const todos = JSON.parse(fileContent);
+      const { todos } = JSON.parse(fileContent);
       expect(todos).toHaveLength(1);
       expect(todos[0]).toMatchObject({
         id: testTodo.id,
@@ -287,56 +306,65 @@ describe('Todo API', () => {
         }
       ];
       await fs.writeFile(TEST_DATA_FILE, JSON.stringify(testTodos, null, 2));
+      ({ api, user } = await signUp(app));
     });
 
     it('should delete existing todo', async () => {
-      const response = await request(app)
+      const response = await api
         .delete(`/api/todos/${testTodos[0].id}`)
         .expect(200);
 
       expect(response.body).toEqual({
         message: 'Todo deleted successfully',
-        todo: testTodos[0]
+        todo: {
+          ...testTodos[0],
+          ownerId: user.id,
+          deletedAt: expect.any(String),
+          version: 2,
+          updatedAt: expect.any(String)
+        }
       });
 
-      // Verify it was removed from file
+      // Verify it was moved to the trash in the file
       const fileContent = await fs.readFile(TEST_DATA_FILE, 'utf8');
-      const remainingTodos = JSON.parse(fileContent);
-      expect(remainingTodos).toHaveLength(1);
-      expect(remainingTodos[0]).toEqual(testTodos[1]);
+      const storedTodos = JSON.parse(fileContent).todos;
+      expect(storedTodos).toHaveLength(2);
+      expect(storedTodos[0].deletedAt).toBe(response.body.todo.deletedAt);
+      expect(storedTodos[1]).toEqual({ ...testTodos[1], ownerId: user.id });
     });
 
     it('should return 404 when todo not found', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/todos/nonexistent-id')
         .expect(404);
 
       expect(response.body).toEqual({
-        error: 'Todo not found'
+        error: 'Todo not found',
+        requestId: expect.any(String)
       });
 
       // Verify no todos were deleted
       const fileContent = await fs.readFile(TEST_DATA_FILE, 'utf8');
-      const todos = JSON.parse(fileContent);
+      const { todos } = JSON.parse(fileContent);
       expect(todos).toHaveLength(2);
     });
 
     it('should delete correct todo when multiple exist', async () => {
-      await request(app)
+      await api
         .delete(`/api/todos/${testTodos[1].id}`)
         .expect(200);
 
       // Verify only the correct todo was deleted
-      const fileContent = await fs.readFile(TEST_DATA_FILE, 'utf8');
-      const remainingTodos = JSON.parse(fileContent);
-      expect(remainingTodos).toHaveLength(1);
-      expect(remainingTodos[0]).toEqual(testTodos[0]);
+      const response = await api
+        .get('/api/todos')
+        .expect(200);
+      expect(response.body).toEqual([{ ...testTodos[0], ownerId: user.id }]);
     });
   });
 
   describe('Error handling', () => {
     it('should handle invalid JSON in request body', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/todos')
         .set('Content-Type', 'application/json')
         .send('invalid json')
@@ -358,7 +386,7 @@ describe('Todo API', () => {
   describe('Integration tests', () => {
     it('should handle complete CRUD workflow', async () => {
       // Create a todo
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/todos')
         .send({ text: 'Integration test todo' })
         .expect(201);
@@ -366,7 +394,7 @@ describe('Todo API', () => {
       const todoId = createResponse.body.id;
 
       // Read all todos
-      let getResponse = await request(app)
+      let getResponse = await api
         .get('/api/todos')
         .expect(200);
 
@@ -374,7 +402,7 @@ describe('Todo API', () => {
       expect(getResponse.body[0].text).toBe('Integration test todo');
 
       // Update the todo
-      const updateResponse = await request(app)
+      const updateResponse = await api
         .put(`/api/todos/${todoId}`)
         .send({ text: 'Updated integration test', completed: true })
         .expect(200);
@@ -383,7 +411,7 @@ describe('Todo API', () => {
       expect(updateResponse.body.completed).toBe(true);
 
       // Verify update
-      getResponse = await request(app)
+      getResponse = await api
         .get('/api/todos')
         .expect(200);
 
@@ -391,12 +419,12 @@ describe('Todo API', () => {
       expect(getResponse.body[0].completed).toBe(true);
 
       // Delete the todo
-      await request(app)
+      await api
         .delete(`/api/todos/${todoId}`)
         .expect(200);
 
       // Verify deletion
-      getResponse = await request(app)
+      getResponse = await api
         .get('/api/todos')
         .expect(200);
 
@@ -405,41 +433,41 @@ describe('Todo API', () => {
 
     it('should handle multiple todos correctly', async () => {
       // Create multiple todos
-      const todo1 = await request(app)
+      const todo1 = await api
         .post('/api/todos')
         .send({ text: 'First todo' })
         .expect(201);
 
-      const todo2 = await request(app)
+      const todo2 = await api
         .post('/api/todos')
         .send({ text: 'Second todo' })
         .expect(201);
 
-      const todo3 = await request(app)
+      const todo3 = await api
         .post('/api/todos')
         .send({ text: 'Third todo' })
         .expect(201);
 
       // Get all todos
-      const getResponse = await request(app)
+      const getResponse = await api
         .get('/api/todos')
         .expect(200);
 
       expect(getResponse.body).toHaveLength(3);
 
       // Update middle todo
-      await request(app)
+      await api
         .put(`/api/todos/${todo2.body.id}`)
         .send({ completed: true })
         .expect(200);
 
       // Delete first todo
-      await request(app)
+      await api
         .delete(`/api/todos/${todo1.body.id}`)
         .expect(200);
 
       // Verify final state
-      const finalResponse = await request(app)
+      const finalResponse = await api
         .get('/api/todos')
         .expect(200);
 
@@ -0,0 +1,158 @@
+const { signUp } = require('./helpers/auth');
+const { DRIVERS, createTestApp } = require('./helpers/app');
+const { pruneAudit } = require('../audit');
+
+describe.each(Object.keys(DRIVERS))('Audit log (%s store)', (driver) => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+  let user;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ driver }));
+    ({ api, user } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function createTodo(fields = {}) {
+    const response = await api
+      .post('/api/todos')
+      .send({ text: 'Buy milk', ...fields })
+      .expect(201);
+    return response.body;
+  }
+
+  async function history(id) {
+    const response = await api.get(`/api/todos/${id}/history`).expect(200);
+    return response.body;
+  }
+
+  it('should record each change with a field-level diff, newest first', async () => {
+    const todo = await createTodo();
+    await api.put(`/api/todos/${todo.id}`).send({ text: 'Buy oat milk', completed: true }).expect(200);
+    await api.delete(`/api/todos/${todo.id}`).expect(200);
+    await api.post(`/api/todos/${todo.id}/restore`).expect(200);
+
+    const events = await history(todo.id);
+
+    expect(events.map(event => [event.action, event.version])).toEqual([
+      ['restore', 4],
+      ['delete', 3],
+      ['update', 2],
+      ['create', 1]
+    ]);
+    expect(events[2].changes).toEqual({
+      text: { from: 'Buy milk', to: 'Buy oat milk' },
+      completed: { from: false, to: true }
+    });
+    expect(events[3].changes.text).toEqual({ from: null, to: 'Buy milk' });
+    expect(events[3].changes.version).toBeUndefined();
+    expect(events[3]).toMatchObject({
+      todoId: todo.id,
+      listId: 'default',
+      requestId: expect.any(String),
+      ownerId: user.id,
+      actor: { type: 'user', id: user.id, username: 'alice' },
+      timestamp: expect.any(String)
+    });
+  });
+
+  it('should not record writes that change nothing', async () => {
+    const todo = await createTodo();
+
+    await api.put(`/api/todos/${todo.id}`).send({ completed: false }).expect(200);
+
+    expect(await history(todo.id)).toHaveLength(1);
+  });
+
+  it('should tag every event of a request with its request ID', async () => {
+    const todo = await createTodo({ tags: ['home'] });
+    const other = await createTodo({ tags: ['home'] });
+
+    await api.put('/api/tags/home').send({ name: 'house' }).expect(200);
+
+    const [renamed] = await history(todo.id);
+    const [otherRenamed] = await history(other.id);
+    expect(renamed.changes).toEqual({ tags: { from: ['home'], to: ['house'] } });
+    expect(renamed.requestId).toBe(otherRenamed.requestId);
+  });
+
+  it('should discard the events of a rolled back bulk request', async () => {
+    const todo = await createTodo();
+
+    await api
+      .post('/api/todos/bulk')
+      .send({
+        operations: [
+          { op: 'update', id: todo.id, data: { completed: true } },
+          { op: 'delete', id: 'missing' }
+        ]
+      })
+      .expect(409);
+
+    expect(await history(todo.id)).toHaveLength(1);
+  });
+
+  it('should keep the history of purged todos', async () => {
+    const todo = await createTodo();
+    await api.delete(`/api/todos/${todo.id}`).expect(200);
+    await api.delete('/api/todos/trash').expect(200);
+
+    const events = await history(todo.id);
+
+    expect(events[0]).toMatchObject({ action: 'purge', changes: { text: { from: 'Buy milk', to: null } } });
+    await api.get('/api/todos/missing/history').expect(404);
+    await api.get(`/api/lists/other/todos/${todo.id}/history`).expect(404);
+  });
+
+  it('should filter and paginate the audit feed', async () => {
+    const first = await createTodo();
+    const second = await createTodo({ text: 'Walk dog' });
+    await api.put(`/api/todos/${first.id}`).send({ completed: true }).expect(200);
+    await api.delete(`/api/todos/${second.id}`).expect(200);
+
+    const all = await api.get('/api/audit').expect(200);
+    expect(all.body.map(event => event.action)).toEqual(['delete', 'update', 'create', 'create']);
+    expect(all.headers['x-total-count']).toBe('4');
+
+    const creates = await api.get('/api/audit?action=create&limit=1&offset=1').expect(200);
+    expect(creates.body.map(event => event.todoId)).toEqual([first.id]);
+    expect(creates.headers['x-total-count']).toBe('2');
+
+    const forTodo = await api.get(`/api/audit?todoId=${second.id}`).expect(200);
+    expect(forTodo.body.map(event => event.action)).toEqual(['delete', 'create']);
+
+    const future = await api.get('/api/audit?since=2999-01-01T00:00:00Z').expect(200);
+    expect(future.body).toEqual([]);
+  });
+
+  it('should prune events older than the retention period', async () => {
+    const todo = await createTodo();
+    await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+    const [, created] = await history(todo.id);
+    await store.update('audit', created.id, { timestamp: '2020-01-01T00:00:00.000Z' });
+
+    const pruned = await store.transaction(tx =>
+      pruneAudit(tx, { olderThanDays: 30, now: new Date('2020-02-15T00:00:00.000Z') })
+    );
+
+    expect(pruned).toBe(1);
+    expect((await history(todo.id)).map(event => event.action)).toEqual(['update']);
+  });
+
+  it('should validate audit feed filters', async () => {
+    const response = await api.get('/api/audit?action=rename&since=yesterday').expect(400);
+    expect(response.body).toEqual({
+      error: 'Invalid query parameters',
+      details: [
+        { field: 'action', message: 'action must be one of: create, update, delete, restore, purge' },
+        { field: 'since', message: 'since must be an ISO 8601 date-time with a time zone' }
+      ],
+      requestId: expect.any(String)
+    });
+  });
+});
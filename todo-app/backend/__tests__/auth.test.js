@@ -0,0 +1,270 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { SESSION_TTL_MS, assignLegacyData } = require('../auth');
+const { PASSWORD, signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { errorResponse } = require('./helpers/responses');
+
+describe('Authentication', () => {
+  let cleanup;
+  let store;
+  let app;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ authSecret: 'test-secret' }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  describe('registration and login', () => {
+    it('should register a user with a salted password hash', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: ' alice ', password: PASSWORD })
+        .expect(201);
+
+      expect(response.body).toEqual({
+        user: { id: expect.any(String), username: 'alice', createdAt: expect.any(String) },
+        token: expect.any(String),
+        expiresAt: expect.any(String)
+      });
+      const [stored] = await store.list('users');
+      expect(stored.passwordHash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+      expect(stored.passwordHash).not.toContain(PASSWORD);
+
+      await signUp(app, 'bob');
+      const [, other] = await store.list('users');
+      expect(other.passwordHash.split('$')[1]).not.toBe(stored.passwordHash.split('$')[1]);
+    });
+
+    it('should refuse a username that is already taken in any case', async () => {
+      await signUp(app, 'alice');
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'Alice', password: PASSWORD })
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Username is already taken', requestId: expect.any(String) });
+    });
+
+    it('should validate credentials', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'al', password: 'short' })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'username', message: 'Username must be at least 3 characters' },
+        { field: 'password', message: 'Password must be at least 8 characters' }
+      ]);
+    });
+
+    it('should only accept letters, digits, ".", "_" and "-" in new usernames', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: '"onfocus=alert(1) x="', password: PASSWORD })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'username', message: 'Username can only contain letters, digits, ".", "_" and "-"' }
+      ]);
+      await signUp(app, 'Mary-Jane_O.Neil');
+    });
+
+    it('should log in with the right password only', async () => {
+      await signUp(app, 'alice');
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'ALICE', password: PASSWORD })
+        .expect(200);
+      expect(response.body.user.username).toBe('alice');
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+
+      const wrong = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'alice', password: 'wrong password' })
+        .expect(401);
+      expect(wrong.body).toEqual({ error: 'Invalid username or password', requestId: expect.any(String) });
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'nobody', password: PASSWORD })
+        .expect(errorResponse(401, { error: 'Invalid username or password' }));
+    });
+
+    it('should return the logged in user without their password hash', async () => {
+      const { api, user } = await signUp(app, 'alice');
+
+      const response = await api.get('/api/auth/me').expect(200);
+
+      expect(response.body).toEqual(user);
+      expect(response.body.passwordHash).toBeUndefined();
+    });
+  });
+
+  describe('unauthenticated requests', () => {
+    it.each([
+      ['get', '/api/todos'],
+      ['post', '/api/todos'],
+      ['get', '/api/lists'],
+      ['get', '/api/lists/default/todos'],
+      ['get', '/api/tags'],
+      ['get', '/api/audit'],
+      ['get', '/api/auth/me']
+    ])('should reject %s %s without a token', async (method, url) => {
+      const response = await request(app)[method](url).expect(401);
+
+      expect(response.body).toEqual({ error: 'Authentication required', requestId: expect.any(String) });
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should leave the health check open', async () => {
+      await request(app).get('/api/health').expect(200);
+    });
+
+    it('should reject a tampered token', async () => {
+      const { token } = await signUp(app, 'alice');
+      const [payload, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 1000 })).toString('base64url');
+
+      for (const bad of [`${forged}.${signature}`, `${payload}.x${signature}`, 'garbage']) {
+        await request(app)
+          .get('/api/todos')
+          .set('Authorization', `Bearer ${bad}`)
+          .expect(errorResponse(401, { error: 'Invalid token' }));
+      }
+    });
+
+    it('should reject tokens signed with another secret', async () => {
+      const { token } = await signUp(app, 'alice');
+      const restarted = createApp({ store, authSecret: 'another-secret' });
+
+      await request(restarted)
+        .get('/api/todos')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(errorResponse(401, { error: 'Invalid token' }));
+    });
+
+    it('should reject an expired token', async () => {
+      const { api } = await signUp(app, 'alice');
+      await api.get('/api/todos').expect(200);
+
+      const later = Date.now() + SESSION_TTL_MS + 1000;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      await api.get('/api/todos').expect(errorResponse(401, { error: 'Session expired' }));
+    });
+
+    it('should honour a configured session lifetime', async () => {
+      app = createApp({ store, authSecret: 'test-secret', sessionTtlMs: 60 * 1000 });
+      const { api } = await signUp(app, 'alice');
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+
+      await api.get('/api/todos').expect(errorResponse(401, { error: 'Session expired' }));
+    });
+
+    it('should revoke the token on logout', async () => {
+      const { api } = await signUp(app, 'alice');
+
+      await api.post('/api/auth/logout').expect(200, { message: 'Logged out successfully' });
+
+      await api.get('/api/todos').expect(errorResponse(401, { error: 'Session has ended' }));
+    });
+  });
+
+  describe('per-user data', () => {
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+      alice = await signUp(app, 'alice');
+      bob = await signUp(app, 'bob');
+    });
+
+    it('should only list the todos of the logged in user', async () => {
+      await alice.api.post('/api/todos').send({ text: 'Alice todo', tags: ['home'] }).expect(201);
+      await bob.api.post('/api/todos').send({ text: 'Bob todo' }).expect(201);
+
+      const response = await bob.api.get('/api/todos').expect(200);
+
+      expect(response.body.map(todo => todo.text)).toEqual(['Bob todo']);
+      expect(response.body[0].ownerId).toBe(bob.user.id);
+      await bob.api.get('/api/tags').expect(200, []);
+      const audit = await bob.api.get('/api/audit').expect(200);
+      expect(audit.body.map(event => event.ownerId)).toEqual([bob.user.id]);
+    });
+
+    it('should not let another user read or change a todo', async () => {
+      const todo = await alice.api.post('/api/todos').send({ text: 'Private' }).expect(201);
+      const id = todo.body.id;
+
+      await bob.api.get(`/api/todos/${id}`).expect(404);
+      await bob.api.put(`/api/todos/${id}`).send({ completed: true }).expect(404);
+      await bob.api.delete(`/api/todos/${id}`).expect(404);
+      await bob.api.get(`/api/todos/${id}/history`).expect(404);
+      await bob.api.post(`/api/todos/${id}/subtasks`).send({ text: 'Step' }).expect(404);
+      await bob.api
+        .post('/api/todos/bulk')
+        .send({ operations: [{ op: 'delete', id }] })
+        .expect(409);
+      await bob.api.delete('/api/todos/trash').expect(200);
+
+      const unchanged = await alice.api.get(`/api/todos/${id}`).expect(200);
+      expect(unchanged.body).toEqual(todo.body);
+    });
+
+    it('should keep lists and default lists separate', async () => {
+      const list = await alice.api.post('/api/lists').send({ name: 'Work' }).expect(201);
+      await alice.api.put('/api/lists/default').send({ name: 'Alice inbox' }).expect(200);
+
+      await bob.api.get(`/api/lists/${list.body.id}`).expect(404);
+      await bob.api.get(`/api/lists/${list.body.id}/todos`).expect(404);
+      await bob.api.delete(`/api/lists/${list.body.id}`).expect(404);
+      const lists = await bob.api.get('/api/lists').expect(200);
+      expect(lists.body.map(list => list.name)).toEqual(['Inbox']);
+    });
+
+    it('should only rename and delete the user\'s own tags', async () => {
+      const todo = await alice.api.post('/api/todos').send({ text: 'Tagged', tags: ['home'] }).expect(201);
+
+      await bob.api.put('/api/tags/home').send({ name: 'house' }).expect(404);
+      await bob.api.delete('/api/tags/home').expect(404);
+
+      expect((await store.get('todos', todo.body.id)).tags).toEqual(['home']);
+    });
+  });
+
+  it('should give data stored before accounts existed to the configured owner only', async () => {
+    await store.insert('todos', { id: 'legacy', text: 'From before accounts', completed: false });
+    await store.insert('lists', { id: 'default', name: 'My inbox', color: '#123456' });
+    app = createApp({ store, authSecret: 'test-secret', legacyOwner: 'Bob' });
+
+    const first = await signUp(app, 'alice');
+    await first.api.get('/api/todos/legacy').expect(404);
+    await first.api.get('/api/todos').expect(200, []);
+
+    const owner = await signUp(app, 'bob');
+    await owner.api.get('/api/todos/legacy').expect(200);
+    const lists = await owner.api.get('/api/lists').expect(200);
+    expect(lists.body[0]).toMatchObject({ id: 'default', name: 'My inbox' });
+  });
+
+  it('should assign data stored before accounts existed to an existing user', async () => {
+    const { api } = await signUp(app, 'alice');
+    await store.insert('todos', { id: 'legacy', text: 'From before accounts', completed: false });
+
+    expect(await store.transaction(tx => assignLegacyData(tx, 'nobody'))).toBeNull();
+    expect(await store.transaction(tx => assignLegacyData(tx, 'ALICE'))).toBe(1);
+    await api.get('/api/todos/legacy').expect(200);
+    expect(await store.transaction(tx => assignLegacyData(tx, 'alice'))).toBe(0);
+  });
+});
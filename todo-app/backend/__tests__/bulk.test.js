@@ -0,0 +1,151 @@
+const { signUp } = require('./helpers/auth');
+const { DRIVERS, createTestApp } = require('./helpers/app');
+
+const seededTodos = [
+  { id: 'todo-1', text: 'First', completed: false, version: 1, createdAt: '2023-01-01T00:00:00.000Z' },
+  { id: 'todo-2', text: 'Second', completed: true, version: 1, createdAt: '2023-01-02T00:00:00.000Z' },
+  { id: 'todo-3', text: 'Third', completed: true, version: 3, createdAt: '2023-01-03T00:00:00.000Z' }
+];
+
+describe.each(Object.keys(DRIVERS))('POST /api/todos/bulk (%s store)', (driver) => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+  let user;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ driver, legacyOwner: 'alice' }));
+    for (const todo of seededTodos) {
+      await store.insert('todos', todo);
+    }
+    ({ api, user } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should apply creates, updates and deletes and report each result', async () => {
+    const response = await api
+      .post('/api/todos/bulk')
+      .send({
+        operations: [
+          { op: 'create', data: { text: '  Fourth  ' } },
+          { op: 'update', id: 'todo-1', data: { completed: true } },
+          { op: 'delete', id: 'todo-2' }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.results).toEqual([
+      { index: 0, op: 'create', status: 201, id: expect.any(String), todo: expect.objectContaining({ text: 'Fourth', completed: false, version: 1 }) },
+      { index: 1, op: 'update', status: 200, id: 'todo-1', todo: expect.objectContaining({ completed: true, version: 2 }) },
+      { index: 2, op: 'delete', status: 200, id: 'todo-2', todo: { ...seededTodos[1], ownerId: user.id, deletedAt: expect.any(String), version: 2, updatedAt: expect.any(String) } }
+    ]);
+
+    const todos = await store.list('todos');
+    expect(todos.map(todo => todo.text)).toEqual(['First', 'Second', 'Third', 'Fourth']);
+    expect(todos[0].completed).toBe(true);
+    expect(todos[1].deletedAt).toEqual(expect.any(String));
+  });
+
+  it('should apply nothing when any operation fails', async () => {
+    const response = await api
+      .post('/api/todos/bulk')
+      .send({
+        operations: [
+          { op: 'update', id: 'todo-1', data: { completed: true } },
+          { op: 'create', data: { text: 'Never stored' } },
+          { op: 'delete', id: 'missing' },
+          { op: 'update', id: 'todo-3', ifMatch: '"1"', data: { text: 'Stale' } }
+        ]
+      })
+      .expect(409);
+
+    expect(response.body).toEqual({
+      error: 'Bulk operation failed; no changes were applied',
+      results: [
+        { index: 0, op: 'update', status: 424, id: 'todo-1', error: 'Not applied because another operation failed' },
+        { index: 1, op: 'create', status: 424, error: 'Not applied because another operation failed' },
+        { index: 2, op: 'delete', status: 404, id: 'missing', error: 'Todo not found' },
+        { index: 3, op: 'update', status: 412, id: 'todo-3', error: 'Todo has been modified by another request', todo: { ...seededTodos[2], ownerId: user.id } }
+      ],
+      requestId: expect.any(String)
+    });
+
+    expect(await store.list('todos')).toEqual(seededTodos.map(todo => ({ ...todo, ownerId: user.id })));
+  });
+
+  it('should honor ifMatch on updates and deletes', async () => {
+    const response = await api
+      .post('/api/todos/bulk')
+      .send({
+        operations: [
+          { op: 'update', id: 'todo-3', ifMatch: '"3"', data: { completed: false } },
+          { op: 'delete', id: 'todo-3', ifMatch: '"4"' }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.results.map(result => result.status)).toEqual([200, 200]);
+    expect(await store.get('todos', 'todo-3')).toMatchObject({ version: 5, deletedAt: expect.any(String) });
+  });
+});
+
+describe('POST /api/todos/bulk validation', () => {
+  let cleanup;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ app, cleanup } = await createTestApp());
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should require a non-empty operations array', async () => {
+    const missing = await api.post('/api/todos/bulk').send({}).expect(400);
+    expect(missing.body.details).toEqual([
+      { field: 'operations', message: 'operations is required' }
+    ]);
+
+    const empty = await api.post('/api/todos/bulk').send({ operations: [] }).expect(400);
+    expect(empty.body.details).toEqual([
+      { field: 'operations', message: 'operations must contain between 1 and 1000 items' }
+    ]);
+  });
+
+  it('should report invalid operations by path', async () => {
+    const response = await api
+      .post('/api/todos/bulk')
+      .send({
+        operations: [
+          { op: 'create', data: { text: '' } },
+          { op: 'update', data: { completed: 'yes' } },
+          { op: 'delete', id: 'todo-1', data: {} },
+          { op: 'archive', id: 'todo-1' },
+          'delete everything',
+          { op: 'update', id: 'todo-1', data: {} }
+        ]
+      })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Validation failed',
+      details: [
+        { field: 'operations[0].data.text', message: 'Todo text cannot be empty' },
+        { field: 'operations[1].id', message: 'id is required' },
+        { field: 'operations[1].data.completed', message: 'Completed must be a boolean' },
+        { field: 'operations[2].data', message: 'data is not allowed when deleting' },
+        { field: 'operations[3].op', message: 'op must be one of: create, update, delete' },
+        { field: 'operations[4]', message: 'operations[4] must be an object' },
+        { field: 'operations[5].data', message: 'No fields to update' }
+      ],
+      requestId: expect.any(String)
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { createJsonStore, CorruptDataError } = require('../storage');
+
+describe('JSON file store under concurrent requests', () => {
+  let dir;
+  let cleanup;
+  let file;
+  let server;
+  let api;
+
+  beforeEach(async () => {
+    // One server for every request, as the agent keeps its socket alive
+    ({ dir, file, app: server, cleanup } = await createTestApp({ listen: true, legacyOwner: 'alice' }));
+    await fs.writeFile(file, JSON.stringify([], null, 2));
+    ({ api } = await signUp(server));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  // Each write also stores audit events, so the file holds an object
+  async function readFileTodos() {
+    return JSON.parse(await fs.readFile(file, 'utf8')).todos;
+  }
+
+  it('should keep every todo created by overlapping POST requests', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 25 }, (_, i) =>
+        api.post('/api/todos').send({ text: `Todo ${i}` })
+      )
+    );
+
+    responses.forEach(response => expect(response.status).toBe(201));
+    const todos = await readFileTodos();
+    expect(todos).toHaveLength(25);
+    expect(new Set(todos.map(todo => todo.text)).size).toBe(25);
+  });
+
+  it('should apply overlapping PUT requests to different todos', async () => {
+    const seeded = Array.from({ length: 10 }, (_, i) => ({
+      id: `todo-${i}`,
+      text: `Todo ${i}`,
+      completed: false,
+      createdAt: '2023-01-01T00:00:00.000Z'
+    }));
+    await fs.writeFile(file, JSON.stringify(seeded, null, 2));
+    ({ api } = await signUp(server));
+
+    await Promise.all(seeded.map(todo =>
+      api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200)
+    ));
+
+    const todos = await readFileTodos();
+    expect(todos.every(todo => todo.completed)).toBe(true);
+  });
+
+  it('should keep both changes when PUTs to one todo overlap', async () => {
+    await fs.writeFile(file, JSON.stringify([{
+      id: 'shared',
+      text: 'Original',
+      completed: false,
+      createdAt: '2023-01-01T00:00:00.000Z'
+    }], null, 2));
+    ({ api } = await signUp(server));
+
+    await Promise.all([
+      api.put('/api/todos/shared').send({ text: 'Renamed' }).expect(200),
+      api.put('/api/todos/shared').send({ completed: true }).expect(200)
+    ]);
+
+    const [todo] = await readFileTodos();
+    expect(todo).toMatchObject({ text: 'Renamed', completed: true });
+  });
+
+  it('should not lose creates that overlap with deletes', async () => {
+    const first = await api.post('/api/todos').send({ text: 'Delete me' });
+
+    await Promise.all([
+      api.delete(`/api/todos/${first.body.id}`).expect(200),
+      api.post('/api/todos').send({ text: 'Keep me' }).expect(201),
+      api.post('/api/todos').send({ text: 'Keep me too' }).expect(201)
+    ]);
+
+    const todos = (await readFileTodos()).filter(todo => !todo.deletedAt);
+    expect(todos.map(todo => todo.text).sort()).toEqual(['Keep me', 'Keep me too']);
+  });
+
+  it('should leave the previous file intact when a write fails', async () => {
+    await api.post('/api/todos').send({ text: 'Saved' }).expect(201);
+    jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+    await api.post('/api/todos').send({ text: 'Lost' }).expect(500);
+
+    const todos = await readFileTodos();
+    expect(todos.map(todo => todo.text)).toEqual(['Saved']);
+    expect(await fs.readdir(dir)).toEqual(['data.json']);
+  });
+
+  it('should report a corrupt data file instead of returning an empty list', async () => {
+    await fs.writeFile(file, '[{"id": "truncat');
+
+    const response = await api.get('/api/todos').expect(503);
+
+    expect(response.body.error).toMatch(/data file is corrupt/);
+  });
+
+  it('should not overwrite a corrupt data file on write', async () => {
+    await fs.writeFile(file, '');
+
+    await api.post('/api/todos').send({ text: 'New' }).expect(503);
+
+    expect(await fs.readFile(file, 'utf8')).toBe('');
+  });
+
+  it('should raise CorruptDataError from the store', async () => {
+    await fs.writeFile(file, '{"todos": {}}');
+
+    await expect(createJsonStore(file).list('todos')).rejects.toBeInstanceOf(CorruptDataError);
+  });
+
+  it('should treat a missing data file as an empty list', async () => {
+    await fs.rm(file);
+    ({ api } = await signUp(server));
+
+    const response = await api.get('/api/todos').expect(200);
+
+    expect(response.body).toEqual([]);
+  });
+});
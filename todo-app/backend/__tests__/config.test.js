@@ -0,0 +1,254 @@
+const { spawnSync } = require('child_process');
+const request = require('supertest');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const createApp = require('../app');
+const { ConfigError, loadConfig } = require('../config');
+const { PASSWORD, signUp } = require('./helpers/auth');
+const { errorResponse } = require('./helpers/responses');
+
+const SECRET = 'x'.repeat(32);
+
+describe('Configuration', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function writeConfigFile(values) {
+    const file = path.join(dir, 'config.json');
+    await fs.writeFile(file, typeof values === 'string' ? values : JSON.stringify(values));
+    return file;
+  }
+
+  function configError(load) {
+    try {
+      load();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error;
+    }
+    throw new Error('Expected a ConfigError');
+  }
+
+  describe('loadConfig', () => {
+    it('should fill in defaults', () => {
+      expect(loadConfig({ env: {} })).toEqual({
+        port: 3000,
+        storageDriver: 'json',
+        dataFile: undefined,
+        authSecret: undefined,
+        legacyOwner: undefined,
+        corsOrigins: '*',
+        bodyLimit: '100kb',
+        logLevel: undefined,
+        trashRetentionDays: 30,
+        auditRetentionDays: 365,
+        idempotencyWindowMs: 24 * 60 * 60 * 1000,
+        minFreeDiskBytes: 100 * 1024 * 1024,
+        publicApiUrl: undefined,
+        features: { metrics: false, registration: true }
+      });
+    });
+
+    it('should read environment variables, converting their units', () => {
+      const config = loadConfig({
+        env: {
+          PORT: '8080',
+          STORAGE_DRIVER: 'sqlite',
+          DATA_FILE: '/var/lib/todo/data.sqlite',
+          AUTH_SECRET: SECRET,
+          CORS_ORIGINS: 'https://todo.example.com/, http://localhost:8080',
+          BODY_LIMIT: '1mb',
+          LOG_LEVEL: 'warn',
+          IDEMPOTENCY_WINDOW_HOURS: '2',
+          HEALTH_MIN_FREE_DISK_MB: '10',
+          PUBLIC_API_URL: 'https://api.example.com/api',
+          METRICS_ENABLED: 'true',
+          REGISTRATION_ENABLED: '0'
+        }
+      });
+
+      expect(config).toMatchObject({
+        port: 8080,
+        storageDriver: 'sqlite',
+        dataFile: '/var/lib/todo/data.sqlite',
+        authSecret: SECRET,
+        corsOrigins: ['https://todo.example.com', 'http://localhost:8080'],
+        bodyLimit: '1mb',
+        logLevel: 'warn',
+        idempotencyWindowMs: 2 * 60 * 60 * 1000,
+        minFreeDiskBytes: 10 * 1024 * 1024,
+        publicApiUrl: 'https://api.example.com/api',
+        features: { metrics: true, registration: false }
+      });
+      expect(Object.isFrozen(config)).toBe(true);
+    });
+
+    it('should read a config file, letting the environment override it', async () => {
+      const file = await writeConfigFile({
+        port: 4000,
+        corsOrigins: ['https://todo.example.com'],
+        features: { metrics: true }
+      });
+
+      const config = loadConfig({ env: { CONFIG_FILE: file, PORT: '5000' } });
+
+      expect(config.port).toBe(5000);
+      expect(config.corsOrigins).toEqual(['https://todo.example.com']);
+      expect(config.features).toEqual({ metrics: true, registration: true });
+    });
+
+    it('should report every bad value at once', () => {
+      const error = configError(() => loadConfig({
+        env: {
+          PORT: '70000',
+          STORAGE_DRIVER: 'mongo',
+          AUTH_SECRET: 'short',
+          CORS_ORIGINS: 'todo.example.com',
+          BODY_LIMIT: 'lots',
+          LOG_LEVEL: 'loud',
+          TRASH_RETENTION_DAYS: '0',
+          METRICS_ENABLED: 'maybe',
+          PUBLIC_API_URL: 'ftp://example.com'
+        }
+      }));
+
+      expect(error.problems).toEqual([
+        'PORT must be a whole number from 0 to 65535',
+        'STORAGE_DRIVER must be one of json, sqlite',
+        'AUTH_SECRET must be at least 32 characters long',
+        'CORS_ORIGINS must be * or a comma-separated list of origins such as https://todo.example.com',
+        'BODY_LIMIT must be a size such as 100kb or 1mb',
+        'LOG_LEVEL must be one of debug, info, warn, error, silent',
+        'TRASH_RETENTION_DAYS must be a number above 0',
+        'PUBLIC_API_URL must be an http or https URL',
+        'METRICS_ENABLED must be true or false'
+      ]);
+      expect(error.message).toMatch(/^Invalid configuration:\n- PORT must be/);
+    });
+
+    it('should reject bad and unknown settings in the config file', async () => {
+      const file = await writeConfigFile({ port: '8080', features: { metrics: true, search: true }, colour: 'red' });
+
+      const error = configError(() => loadConfig({ env: {}, file }));
+
+      expect(error.problems).toEqual([
+        `Unknown setting features.search in ${file}`,
+        `Unknown setting colour in ${file}`,
+        `port in ${file} must be a whole number from 0 to 65535`
+      ]);
+    });
+
+    it('should reject a config file that cannot be read or parsed', async () => {
+      const missing = path.join(dir, 'missing.json');
+      expect(configError(() => loadConfig({ env: {}, file: missing })).message)
+        .toContain(`Cannot read config file ${missing}`);
+
+      const invalid = await writeConfigFile('{ port: 8080');
+      expect(configError(() => loadConfig({ env: {}, file: invalid })).message)
+        .toContain(`Config file ${invalid} is not valid JSON`);
+
+      const array = await writeConfigFile([]);
+      expect(configError(() => loadConfig({ env: {}, file: array })).message)
+        .toContain(`Config file ${array} must hold a JSON object`);
+    });
+  });
+
+  describe('createApp(config)', () => {
+    function appFor(env) {
+      return createApp(loadConfig({ env: { DATA_FILE: path.join(dir, 'data.json'), ...env } }));
+    }
+
+    it('should keep data in the configured file', async () => {
+      const alice = await signUp(appFor({}), 'alice');
+
+      await alice.api.post('/api/todos').send({ text: 'Buy milk' }).expect(201);
+
+      const data = JSON.parse(await fs.readFile(path.join(dir, 'data.json'), 'utf8'));
+      expect(data.todos).toHaveLength(1);
+    });
+
+    it('should serve the frontend its settings', async () => {
+      const local = await request(appFor({})).get('/api/config').expect(200);
+      expect(local.body).toEqual({
+        apiBaseUrl: expect.stringMatching(/^http:\/\/127\.0\.0\.1:\d+\/api$/),
+        features: { registration: true }
+      });
+
+      const published = await request(appFor({ PUBLIC_API_URL: 'https://api.example.com/api' }))
+        .get('/api/config')
+        .expect(200);
+      expect(published.body.apiBaseUrl).toBe('https://api.example.com/api');
+    });
+
+    it('should serve the frontend, which reads its settings from the same origin', async () => {
+      const response = await request(appFor({})).get('/').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+      expect(response.text).toContain('<meta name="config-url" content="/api/config">');
+    });
+
+    it('should refuse new accounts when registration is turned off', async () => {
+      const app = appFor({ REGISTRATION_ENABLED: 'false' });
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'alice', password: PASSWORD })
+        .expect(errorResponse(403, { error: 'Registration is disabled' }));
+      const config = await request(app).get('/api/config').expect(200);
+      expect(config.body.features).toEqual({ registration: false });
+    });
+
+    it('should serve metrics when they are turned on', async () => {
+      await request(appFor({})).get('/metrics').expect(404);
+      await request(appFor({ METRICS_ENABLED: 'true' })).get('/metrics').expect(200);
+    });
+
+    it('should only allow the configured CORS origins', async () => {
+      const app = appFor({ CORS_ORIGINS: 'https://todo.example.com' });
+
+      const response = await request(app).get('/api/health').set('Origin', 'https://todo.example.com').expect(200);
+      expect(response.headers['access-control-allow-origin']).toBe('https://todo.example.com');
+
+      const other = await request(app).get('/api/health').set('Origin', 'https://evil.example.com').expect(200);
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('should refuse bodies over the configured limit', async () => {
+      const alice = await signUp(appFor({ BODY_LIMIT: '1kb' }), 'alice');
+
+      await alice.api
+        .post('/api/todos')
+        .send({ text: 'Buy milk', description: 'x'.repeat(2000) })
+        .expect(errorResponse(413, { error: 'Request body must be at most 1024 bytes' }));
+    });
+  });
+
+  describe('server', () => {
+    it('should report every problem and exit when the log level is invalid', () => {
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, LOG_LEVEL: 'verbose', PORT: 'abc', CONFIG_FILE: '' },
+        encoding: 'utf8',
+        timeout: 10000
+      });
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toBe('');
+      expect(JSON.parse(result.stdout)).toMatchObject({
+        level: 'error',
+        msg: 'Invalid configuration',
+        problems: [
+          'PORT must be a whole number from 0 to 65535',
+          expect.stringMatching(/^LOG_LEVEL must be one of /)
+        ]
+      });
+    });
+  });
+});
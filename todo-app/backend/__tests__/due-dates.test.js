@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const queryTodos = require('../query');
+
+describe('Due dates, priorities and reminders', () => {
+  let cleanup;
+  let file;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ file, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should store due date, priority and reminder on create', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({
+        text: 'File taxes',
+        dueDate: '2024-04-15',
+        priority: 'high',
+        remindAt: '2024-04-14T09:00:00+02:00'
+      })
+      .expect(201);
+
+    expect(response.body).toMatchObject({
+      text: 'File taxes',
+      dueDate: '2024-04-15',
+      priority: 'high',
+      remindAt: '2024-04-14T07:00:00.000Z'
+    });
+  });
+
+  it('should leave out optional fields that are null on create', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({ text: 'No deadline', dueDate: null, priority: null })
+      .expect(201);
+
+    expect(response.body).not.toHaveProperty('dueDate');
+    expect(response.body).not.toHaveProperty('priority');
+  });
+
+  it('should update and clear the fields on PUT', async () => {
+    const created = await api
+      .post('/api/todos')
+      .send({ text: 'Plan trip', dueDate: '2024-06-01', priority: 'low' })
+      .expect(201);
+
+    const response = await api
+      .put(`/api/todos/${created.body.id}`)
+      .send({ dueDate: null, priority: 'medium', remindAt: '2024-05-30T08:00:00Z' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      dueDate: null,
+      priority: 'medium',
+      remindAt: '2024-05-30T08:00:00.000Z'
+    });
+  });
+
+  it('should reject invalid values', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({
+        text: 'Invalid',
+        dueDate: '2023-02-30',
+        priority: 'urgent',
+        remindAt: '2024-05-30 08:00'
+      })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      { field: 'dueDate', message: 'Due date must be a date in YYYY-MM-DD format' },
+      { field: 'priority', message: 'Priority must be one of: low, medium, high' },
+      { field: 'remindAt', message: 'Reminder time must be an ISO 8601 date-time with a time zone' }
+    ]);
+  });
+
+  it('should require a time zone on reminder times', async () => {
+    await api
+      .post('/api/todos')
+      .send({ text: 'Ambiguous', remindAt: '2024-05-30T08:00:00' })
+      .expect(400);
+  });
+
+  describe('GET /api/todos', () => {
+    beforeEach(async () => {
+      await fs.writeFile(file, JSON.stringify([
+        { id: 'past', text: 'Past due', completed: false, dueDate: '2000-01-01', priority: 'low', createdAt: '2023-01-01T00:00:00.000Z' },
+        { id: 'done', text: 'Done late', completed: true, dueDate: '2000-01-01', createdAt: '2023-01-02T00:00:00.000Z' },
+        { id: 'future', text: 'Due later', completed: false, dueDate: '2999-01-01', priority: 'high', createdAt: '2023-01-03T00:00:00.000Z' },
+        { id: 'none', text: 'No date', completed: false, createdAt: '2023-01-04T00:00:00.000Z' }
+      ]));
+      // Rewriting the file drops the account, so sign up again to claim the todos
+      ({ api } = await signUp(app));
+    });
+
+    it('should filter overdue todos', async () => {
+      const overdue = await api.get('/api/todos?overdue=true').expect(200);
+      expect(overdue.body.map(todo => todo.id)).toEqual(['past']);
+      expect(overdue.headers['x-total-count']).toBe('1');
+
+      const notOverdue = await api.get('/api/todos?overdue=false').expect(200);
+      expect(notOverdue.body.map(todo => todo.id)).toEqual(['done', 'future', 'none']);
+    });
+
+    it('should sort by due date and priority with missing values last', async () => {
+      const byDue = await api.get('/api/todos?sort=dueDate&order=desc').expect(200);
+      expect(byDue.body.map(todo => todo.id)).toEqual(['future', 'past', 'done', 'none']);
+
+      const byPriority = await api.get('/api/todos?sort=priority&order=desc').expect(200);
+      expect(byPriority.body.map(todo => todo.id)).toEqual(['future', 'past', 'done', 'none']);
+    });
+  });
+
+  it('should compare due dates against the given day', () => {
+    const todos = [{ id: 'a', text: 'Due today', completed: false, dueDate: '2024-03-10' }];
+
+    expect(queryTodos(todos, { overdue: true }, '2024-03-10').total).toBe(0);
+    expect(queryTodos(todos, { overdue: true }, '2024-03-11').total).toBe(1);
+  });
+});
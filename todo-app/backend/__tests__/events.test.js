@@ -0,0 +1,184 @@
+const http = require('http');
+const request = require('supertest');
+const createApp = require('../app');
+const { signUp } = require('./helpers/auth');
+const { createTestStore } = require('./helpers/app');
+const { errorResponse } = require('./helpers/responses');
+
+// Wait until check passes, polling every few milliseconds
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for events');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Open GET /api/events and collect what it sends: events as
+// { id, type, data } and the number of comments
+function openStream(server, token, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(
+      {
+        port: server.address().port,
+        path: '/api/events',
+        headers: { Authorization: `Bearer ${token}`, ...headers }
+      },
+      res => {
+        const stream = {
+          res,
+          events: [],
+          comments: 0,
+          close: () => req.destroy(),
+          next: count => waitFor(() => stream.events.length >= count).then(() => stream.events.slice(0, count))
+        };
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            if (block.startsWith(':')) {
+              stream.comments++;
+              continue;
+            }
+            const event = {};
+            for (const line of block.split('\n')) {
+              const separator = line.indexOf(': ');
+              const field = line.slice(0, separator);
+              const value = line.slice(separator + 2);
+              if (field === 'data') event.data = JSON.parse(value);
+              if (field === 'event') event.type = value;
+              if (field === 'id') event.id = value;
+            }
+            stream.events.push(event);
+          }
+        });
+        resolve(stream);
+      }
+    );
+    req.on('error', error => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+}
+
+describe('Event stream', () => {
+  let cleanup;
+  let store;
+  let app;
+  let server;
+  let alice;
+  let streams;
+
+  async function listen(options = {}) {
+    app = createApp({ store, ...options });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+  }
+
+  async function subscribe(user, headers) {
+    const stream = await openStream(server, user.token, headers);
+    streams.push(stream);
+    return stream;
+  }
+
+  beforeEach(async () => {
+    ({ store, cleanup } = await createTestStore());
+    streams = [];
+    await listen();
+    alice = await signUp(app, 'alice');
+  });
+
+  afterEach(async () => {
+    streams.forEach(stream => stream.close());
+    await new Promise(resolve => server.close(resolve));
+    await cleanup();
+  });
+
+  it('should stream todos being created, updated and deleted', async () => {
+    const stream = await subscribe(alice);
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const created = await alice.api.post('/api/todos').send({ text: 'Live' }).expect(201);
+    await alice.api.put(`/api/todos/${created.body.id}`).send({ completed: true }).expect(200);
+    await alice.api.delete(`/api/todos/${created.body.id}`).expect(200);
+
+    const events = await stream.next(3);
+    expect(events.map(event => [event.type, event.data.action])).toEqual([
+      ['todo.created', 'create'],
+      ['todo.updated', 'update'],
+      ['todo.deleted', 'delete']
+    ]);
+    expect(events[0].data).toMatchObject({
+      todoId: created.body.id,
+      listId: 'default',
+      todo: created.body,
+      actor: { type: 'user', id: alice.user.id, username: 'alice' }
+    });
+    expect(events[1].data.todo.completed).toBe(true);
+    expect(events[2].data.todo.deletedAt).toEqual(expect.any(String));
+    const audit = await store.list('audit');
+    expect(events.map(event => event.id)).toEqual(audit.map(event => event.id));
+  });
+
+  it('should only send changes to lists the user can see', async () => {
+    const bob = await signUp(app, 'bob');
+    const list = await alice.api.post('/api/lists').send({ name: 'Team' }).expect(201);
+    const invitation = await alice.api
+      .post(`/api/lists/${list.body.id}/invitations`)
+      .send({ username: 'bob', role: 'viewer' })
+      .expect(201);
+    await bob.api.post(`/api/invitations/${invitation.body.id}/accept`).expect(200);
+    const stream = await subscribe(bob);
+
+    await alice.api.post('/api/todos').send({ text: 'Private' }).expect(201);
+    await alice.api.post(`/api/lists/${list.body.id}/todos`).send({ text: 'Shared' }).expect(201);
+
+    const [event] = await stream.next(1);
+    expect(event.data).toMatchObject({ listId: list.body.id, todo: { text: 'Shared' } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(stream.events).toHaveLength(1);
+  });
+
+  it('should send the events missed since Last-Event-ID', async () => {
+    await alice.api.post('/api/todos').send({ text: 'Seen' }).expect(201);
+    const [seen] = await store.list('audit');
+    const missed = await alice.api.post('/api/todos').send({ text: 'Missed' }).expect(201);
+    await alice.api.put(`/api/todos/${missed.body.id}`).send({ text: 'Missed, edited' }).expect(200);
+
+    const stream = await subscribe(alice, { 'Last-Event-ID': seen.id });
+
+    const events = await stream.next(2);
+    expect(events.map(event => event.type)).toEqual(['todo.created', 'todo.updated']);
+    // Replayed events carry the todo as it is now
+    expect(events.map(event => event.data.todo.text)).toEqual(['Missed, edited', 'Missed, edited']);
+  });
+
+  it('should ask the client to reload when it cannot replay', async () => {
+    const stream = await subscribe(alice, { 'Last-Event-ID': 'unknown' });
+
+    const [event] = await stream.next(1);
+
+    expect(event).toEqual({ type: 'resync', data: {} });
+  });
+
+  it('should keep idle streams open with comments', async () => {
+    server.close();
+    await listen({ heartbeatMs: 10 });
+    const bob = await signUp(app, 'bob');
+
+    const stream = await subscribe(bob);
+
+    await waitFor(() => stream.comments >= 2);
+  });
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/events').expect(errorResponse(401, { error: 'Authentication required' }));
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const createApp = require('../app');
+const { createJsonStore, createSqliteStore } = require('../storage');
+const { readiness } = require('../health');
+const { version } = require('../package.json');
+
+describe('Health checks', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-health-'));
+    file = path.join(dir, 'data.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function appFor(store, options = {}) {
+    return createApp({ store, minFreeDiskBytes: 1, ...options });
+  }
+
+  it('should report the process live without touching storage', async () => {
+    await fs.writeFile(file, '{ not json');
+
+    const response = await request(appFor(createJsonStore(file))).get('/api/health/live').expect(200);
+
+    expect(response.body).toEqual({ status: 'OK', version, uptimeSeconds: expect.any(Number) });
+  });
+
+  it('should report ready with each check when storage can be used', async () => {
+    await fs.writeFile(file, '[]');
+
+    const response = await request(appFor(createJsonStore(file))).get('/api/health/ready').expect(200);
+
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body).toEqual({
+      status: 'OK',
+      version,
+      uptimeSeconds: expect.any(Number),
+      storageDriver: 'json',
+      checks: {
+        read: { status: 'pass', latencyMs: expect.any(Number) },
+        write: { status: 'pass', latencyMs: expect.any(Number) },
+        diskSpace: { status: 'pass', latencyMs: expect.any(Number), freeBytes: expect.any(Number) },
+        data: { status: 'pass', latencyMs: expect.any(Number) }
+      }
+    });
+    expect(await fs.readdir(dir)).toEqual(['data.json']);
+  });
+
+  it('should be ready before the data file has been created', async () => {
+    await request(appFor(createJsonStore(file))).get('/api/health/ready').expect(200);
+  });
+
+  it('should check SQLite storage', async () => {
+    const store = createSqliteStore(path.join(dir, 'data.sqlite'));
+    try {
+      const response = await request(appFor(store)).get('/api/health/ready').expect(200);
+      expect(response.body.storageDriver).toBe('sqlite');
+    } finally {
+      await store.close();
+    }
+  });
+
+  it('should answer 503 when the data file is corrupt', async () => {
+    await fs.writeFile(file, '{ not json');
+
+    const response = await request(appFor(createJsonStore(file))).get('/api/health/ready').expect(503);
+
+    expect(response.body.status).toBe('Degraded');
+    expect(response.body.checks.read.status).toBe('pass');
+    expect(response.body.checks.data).toEqual({
+      status: 'fail',
+      latencyMs: expect.any(Number),
+      error: expect.stringContaining('is corrupt')
+    });
+  });
+
+  it('should answer 503 when the data directory cannot be written', async () => {
+    const missing = path.join(dir, 'missing', 'data.json');
+
+    const response = await request(appFor(createJsonStore(missing))).get('/api/health/ready').expect(503);
+
+    expect(response.body.checks.write).toMatchObject({ status: 'fail', error: expect.stringContaining('ENOENT') });
+  });
+
+  it('should answer 503 when the disk is nearly full', async () => {
+    const app = appFor(createJsonStore(file), { minFreeDiskBytes: Number.MAX_SAFE_INTEGER });
+
+    const response = await request(app).get('/api/health/ready').expect(503);
+
+    expect(response.body.checks.diskSpace).toMatchObject({
+      status: 'fail',
+      error: expect.stringMatching(/^Only \d+ bytes free/)
+    });
+    expect(response.body.checks.data.status).toBe('pass');
+  });
+
+  it('should fail a check that does not finish in time', async () => {
+    const store = createJsonStore(file);
+    jest.spyOn(store, 'list').mockReturnValue(new Promise(() => {}));
+
+    const report = await readiness(store, { minFreeDiskBytes: 1, timeoutMs: 10 });
+
+    expect(report.status).toBe('Degraded');
+    expect(report.checks.data).toMatchObject({ status: 'fail', error: 'Timed out after 10 ms' });
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const createApp = require('../../app');
+const { createJsonStore, createSqliteStore } = require('../../storage');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// The storage drivers tests run against, each keeping its data in dir
+const DRIVERS = {
+  json: dir => createJsonStore(path.join(dir, 'data.json')),
+  sqlite: dir => createSqliteStore(path.join(dir, 'data.sqlite'))
+};
+
+// A store of the given driver in a new temporary directory. cleanup()
+// closes the store and removes the directory.
+async function createTestStore(driver = 'json') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `todo-${driver}-`));
+  const store = DRIVERS[driver](dir);
+  return {
+    dir,
+    file: store.file,
+    store,
+    cleanup: async () => {
+      await store.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// An app on a new test store, created with the other options. With listen,
+// app is a server listening on a free port, for tests that keep sockets open
+// across requests: supertest otherwise starts and closes a server for each
+// request, and a kept-alive socket to one whose port was reused is reset.
+// cleanup() also closes the server.
+async function createTestApp({ driver, listen = false, ...options } = {}) {
+  const { cleanup: removeStore, ...test } = await createTestStore(driver);
+  const handler = createApp({ store: test.store, ...options });
+  const app = listen ? handler.listen(0) : handler;
+  if (listen) {
+    await new Promise(resolve => app.once('listening', resolve));
+  }
+  return {
+    ...test,
+    app,
+    cleanup: async () => {
+      if (listen) {
+        await new Promise(resolve => app.close(resolve));
+      }
+      await removeStore();
+    }
+  };
+}
+
+module.exports = { DRIVERS, createTestStore, createTestApp };
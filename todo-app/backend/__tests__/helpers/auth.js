@@ -0,0 +1,19 @@
+const request = require('supertest');
+
+const PASSWORD = 'correct horse';
+
+// Register a user and return a supertest agent that sends their token
+async function signUp(app, username = 'alice') {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({ username, password: PASSWORD })
+    .expect(201);
+  const { user, token } = response.body;
+  return {
+    api: request.agent(app).set('Authorization', `Bearer ${token}`),
+    user,
+    token
+  };
+}
+
+module.exports = { PASSWORD, signUp };
@@ -0,0 +1,10 @@
+// supertest assertion for an error response: its status, and its body,
+// which also carries the ID of the request returned in X-Request-Id
+function errorResponse(status, body) {
+  return response => {
+    expect(response.status).toBe(status);
+    expect(response.body).toEqual({ ...body, requestId: response.headers['x-request-id'] });
+  };
+}
+
+module.exports = { errorResponse };
@@ -0,0 +1,119 @@
+const {
+  RESERVATION_TIMEOUT_MS,
+  requestFingerprint,
+  reserveIdempotencyKey
+} = require('../idempotency');
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { errorResponse } = require('./helpers/responses');
+
+describe('Idempotency keys', () => {
+  let cleanup;
+  let store;
+  let app;
+  let alice;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ idempotencyWindowMs: 60 * 1000 }));
+    alice = await signUp(app, 'alice');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  function createTodo(key, body = { text: 'Buy milk' }) {
+    return alice.api.post('/api/todos').set('Idempotency-Key', key).send(body);
+  }
+
+  it('should replay the first response instead of creating the todo again', async () => {
+    const first = await createTodo('retry-1').expect(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const repeat = await createTodo('retry-1').expect(201);
+
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers.etag).toBe(first.headers.etag);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(await store.list('todos')).toHaveLength(1);
+    expect(await store.list('audit')).toHaveLength(1);
+  });
+
+  it('should replay bulk operations', async () => {
+    const operations = [{ op: 'create', data: { text: 'One' } }, { op: 'create', data: { text: 'Two' } }];
+    const send = () => alice.api.post('/api/todos/bulk').set('Idempotency-Key', 'bulk-1').send({ operations });
+
+    const first = await send().expect(200);
+    const repeat = await send().expect(200);
+
+    expect(repeat.body).toEqual(first.body);
+    expect(await store.list('todos')).toHaveLength(2);
+  });
+
+  it('should refuse a key reused for a different request', async () => {
+    await createTodo('retry-1').expect(201);
+
+    await createTodo('retry-1', { text: 'Buy bread' }).expect(errorResponse(422, {
+      error: 'Idempotency-Key has already been used for a different request'
+    }));
+    await alice.api
+      .post('/api/lists/default/todos')
+      .set('Idempotency-Key', 'retry-1')
+      .send({ text: 'Buy milk' })
+      .expect(422);
+    expect(await store.list('todos')).toHaveLength(1);
+  });
+
+  it('should keep keys apart between users', async () => {
+    const bob = await signUp(app, 'bob');
+    await createTodo('shared-key').expect(201);
+
+    const response = await bob.api
+      .post('/api/todos')
+      .set('Idempotency-Key', 'shared-key')
+      .send({ text: 'Buy milk' })
+      .expect(201);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(response.body.ownerId).toBe(bob.user.id);
+  });
+
+  it('should let a failed request be retried with the same key', async () => {
+    await createTodo('retry-1', { text: '' }).expect(400);
+
+    const response = await createTodo('retry-1', { text: 'Fixed' }).expect(201);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('should apply the request again once the window has passed', async () => {
+    await createTodo('retry-1').expect(201);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 1000);
+
+    const response = await createTodo('retry-1').expect(201);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(await store.list('todos')).toHaveLength(2);
+    expect(await store.list('idempotency')).toHaveLength(1);
+  });
+
+  it('should refuse a repeat while the first request is in progress', async () => {
+    const fingerprint = requestFingerprint({ method: 'POST', originalUrl: '/api/todos', body: { text: 'Buy milk' } });
+    await store.transaction(tx => reserveIdempotencyKey(tx, alice.user, 'retry-1', fingerprint));
+
+    await createTodo('retry-1').expect(errorResponse(409, {
+      error: 'A request with this Idempotency-Key is still in progress'
+    }));
+
+    // A reservation left behind by a request that never finished expires
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + RESERVATION_TIMEOUT_MS);
+    await createTodo('retry-1').expect(201);
+  });
+
+  it('should reject keys that are too long', async () => {
+    await createTodo('k'.repeat(256)).expect(errorResponse(400, {
+      error: 'Idempotency-Key must be at most 255 characters'
+    }));
+  });
+});
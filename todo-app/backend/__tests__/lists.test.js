@@ -0,0 +1,146 @@
+const { signUp } = require('./helpers/auth');
+const { DRIVERS, createTestApp } = require('./helpers/app');
+
+describe.each(Object.keys(DRIVERS))('Lists (%s store)', (driver) => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+  let user;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ driver }));
+    ({ api, user } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function createList(body) {
+    const response = await api.post('/api/lists').send(body).expect(201);
+    return response.body;
+  }
+
+  it('should always include the default list first', async () => {
+    await createList({ name: 'Work', color: '#FF8800' });
+
+    const response = await api.get('/api/lists').expect(200);
+
+    expect(response.body).toEqual([
+      { id: 'default', name: 'Inbox', color: '#4facfe', ownerId: user.id, role: 'owner' },
+      { id: expect.any(String), ownerId: user.id, name: 'Work', color: '#ff8800', createdAt: expect.any(String), role: 'owner' }
+    ]);
+  });
+
+  it('should validate list names and colors', async () => {
+    const response = await api
+      .post('/api/lists')
+      .send({ name: '  ', color: 'red' })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      { field: 'name', message: 'List name cannot be empty' },
+      { field: 'color', message: 'List color must be a hex color such as #4facfe' }
+    ]);
+  });
+
+  it('should keep todos separate per list', async () => {
+    const work = await createList({ name: 'Work' });
+
+    const workTodo = await api
+      .post(`/api/lists/${work.id}/todos`)
+      .send({ text: 'Write report' })
+      .expect(201);
+    await api.post('/api/todos').send({ text: 'Buy milk' }).expect(201);
+
+    expect(workTodo.body.listId).toBe(work.id);
+
+    const workTodos = await api.get(`/api/lists/${work.id}/todos`).expect(200);
+    expect(workTodos.body.map(todo => todo.text)).toEqual(['Write report']);
+    expect(workTodos.headers['x-total-count']).toBe('1');
+
+    const defaultTodos = await api.get('/api/lists/default/todos').expect(200);
+    const legacyRoute = await api.get('/api/todos').expect(200);
+    expect(defaultTodos.body.map(todo => todo.text)).toEqual(['Buy milk']);
+    expect(legacyRoute.body).toEqual(defaultTodos.body);
+  });
+
+  it('should treat todos without a listId as belonging to the default list', async () => {
+    await store.insert('todos', { id: 'legacy', ownerId: user.id, text: 'Old todo', completed: false });
+
+    const response = await api.get('/api/lists/default/todos/legacy').expect(200);
+    expect(response.body.text).toBe('Old todo');
+  });
+
+  it('should not reach todos through another list', async () => {
+    const work = await createList({ name: 'Work' });
+    const todo = await api
+      .post(`/api/lists/${work.id}/todos`)
+      .send({ text: 'Write report' })
+      .expect(201);
+
+    await api.get(`/api/todos/${todo.body.id}`).expect(404);
+    await api.put(`/api/todos/${todo.body.id}`).send({ completed: true }).expect(404);
+    await api.delete(`/api/todos/${todo.body.id}`).expect(404);
+
+    const bulk = await api
+      .post('/api/todos/bulk')
+      .send({ operations: [{ op: 'delete', id: todo.body.id }] })
+      .expect(409);
+    expect(bulk.body.results[0]).toMatchObject({ status: 404, error: 'Todo not found' });
+
+    await api
+      .put(`/api/lists/${work.id}/todos/${todo.body.id}`)
+      .send({ completed: true })
+      .expect(200);
+  });
+
+  it('should answer 404 for todo routes of an unknown list', async () => {
+    const response = await api.get('/api/lists/missing/todos').expect(404);
+    expect(response.body).toEqual({ error: 'List not found', requestId: expect.any(String) });
+
+    await api.post('/api/lists/missing/todos').send({ text: 'Lost' }).expect(404);
+    expect(await store.list('todos')).toEqual([]);
+  });
+
+  it('should rename lists, including the default list', async () => {
+    const work = await createList({ name: 'Work' });
+
+    const renamed = await api
+      .put(`/api/lists/${work.id}`)
+      .send({ name: 'Office' })
+      .expect(200);
+    expect(renamed.body).toMatchObject({ id: work.id, name: 'Office', updatedAt: expect.any(String) });
+
+    await api.put('/api/lists/default').send({ color: '#222222' }).expect(200);
+    const lists = await api.get('/api/lists').expect(200);
+    expect(lists.body.map(list => [list.name, list.color])).toEqual([
+      ['Inbox', '#222222'],
+      ['Office', '#4facfe']
+    ]);
+
+    await api.put('/api/lists/missing').send({ name: 'Nope' }).expect(404);
+  });
+
+  it('should delete a list together with its todos', async () => {
+    const work = await createList({ name: 'Work' });
+    await api.post(`/api/lists/${work.id}/todos`).send({ text: 'Write report' }).expect(201);
+    await api.post('/api/todos').send({ text: 'Buy milk' }).expect(201);
+
+    const response = await api.delete(`/api/lists/${work.id}`).expect(200);
+
+    expect(response.body).toMatchObject({
+      message: 'List deleted successfully',
+      list: { id: work.id, name: 'Work' },
+      todos: [expect.objectContaining({ text: 'Write report' })]
+    });
+    expect((await store.list('todos')).map(todo => todo.text)).toEqual(['Buy milk']);
+    await api.get(`/api/lists/${work.id}`).expect(404);
+  });
+
+  it('should refuse to delete the default list', async () => {
+    const response = await api.delete('/api/lists/default').expect(400);
+    expect(response.body).toEqual({ error: 'The default list cannot be deleted', requestId: expect.any(String) });
+  });
+});
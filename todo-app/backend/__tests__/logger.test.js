@@ -0,0 +1,123 @@
+const { createLogger } = require('../logger');
+const { PASSWORD, signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+describe('Logger', () => {
+  let entries;
+  let sink;
+
+  beforeEach(() => {
+    entries = [];
+    sink = entry => entries.push(entry);
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+  });
+
+  it('should write entries at or above its level with the child fields', () => {
+    const logger = createLogger({ level: 'info', sink, fields: { service: 'todo' } });
+
+    logger.debug('Hidden');
+    logger.child({ requestId: 'r1' }).warn('Slow request', { durationMs: 1200 });
+
+    expect(entries).toEqual([
+      {
+        time: expect.any(String),
+        level: 'warn',
+        msg: 'Slow request',
+        service: 'todo',
+        requestId: 'r1',
+        durationMs: 1200
+      }
+    ]);
+    expect(JSON.parse(JSON.stringify(entries[0]))).toEqual(entries[0]);
+  });
+
+  it('should take its level from LOG_LEVEL and stay silent under test', () => {
+    expect(createLogger({ sink }).level).toBe('silent');
+    process.env.LOG_LEVEL = 'debug';
+    expect(createLogger({ sink }).level).toBe('debug');
+    expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level: loud');
+  });
+
+  it('should redact credentials and describe errors', () => {
+    const logger = createLogger({ level: 'debug', sink });
+
+    logger.error('Failed', {
+      headers: { Authorization: 'Bearer secret', Cookie: 'sid=1', host: 'localhost' },
+      body: { username: 'alice', password: PASSWORD, nested: [{ token: 'tdp_abc' }] },
+      error: new Error('Disk full')
+    });
+
+    const [entry] = entries;
+    expect(entry.headers).toEqual({ Authorization: '[redacted]', Cookie: '[redacted]', host: 'localhost' });
+    expect(entry.body).toEqual({ username: 'alice', password: '[redacted]', nested: [{ token: '[redacted]' }] });
+    expect(entry.error).toEqual({ name: 'Error', message: 'Disk full', stack: expect.any(String) });
+  });
+
+  it('should truncate long strings and large objects', () => {
+    const logger = createLogger({ level: 'debug', sink });
+    const todos = Array.from({ length: 200 }, (_, i) => ({ id: `todo-${i}`, text: 'Buy milk' }));
+
+    logger.debug('Large', { text: 'x'.repeat(1500), todos });
+
+    const [entry] = entries;
+    expect(entry.text).toBe(`${'x'.repeat(1000)}... [500 more characters]`);
+    expect(entry.todos).toEqual({
+      truncated: true,
+      length: JSON.stringify(todos).length,
+      preview: JSON.stringify(todos).slice(0, 1000)
+    });
+  });
+
+  describe('request logging', () => {
+    let cleanup;
+    let app;
+
+    beforeEach(async () => {
+      ({ app, cleanup } = await createTestApp({ logger: createLogger({ level: 'debug', sink }) }));
+    });
+
+    afterEach(async () => {
+      await cleanup();
+    });
+
+    it('should log each request once it completes, without credentials', async () => {
+      const alice = await signUp(app, 'alice');
+      const completed = entries.filter(entry => entry.msg === 'Request completed');
+
+      expect(completed).toHaveLength(1);
+      expect(completed[0]).toMatchObject({
+        level: 'info',
+        requestId: expect.any(String),
+        method: 'POST',
+        url: '/api/auth/register',
+        status: 201,
+        durationMs: expect.any(Number),
+        requestBody: { username: 'alice', password: '[redacted]' },
+        responseBody: { user: { username: 'alice' }, token: '[redacted]' }
+      });
+
+      entries.length = 0;
+      await alice.api.post('/api/todos').send({ text: 'Buy milk' }).expect(201);
+
+      const requestIds = new Set(entries.map(entry => entry.requestId));
+      expect(requestIds.size).toBe(1);
+      expect(entries.map(entry => entry.msg)).toEqual(['Creating todo', 'Created todo', 'Request completed']);
+      expect(entries[2].requestHeaders.authorization).toBe('[redacted]');
+    });
+
+    it('should log validation failures', async () => {
+      const alice = await signUp(app, 'alice');
+
+      await alice.api.post('/api/todos').send({ text: '' }).expect(400);
+
+      expect(entries).toContainEqual(expect.objectContaining({
+        level: 'info',
+        msg: 'Validation failed',
+        details: [{ field: 'text', message: 'Todo text cannot be empty' }]
+      }));
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { createMetrics } = require('../metrics');
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+// Parse the text exposition format into { types, samples }, where each
+// sample is { name, labels, value }
+function parseExposition(text) {
+  const types = {};
+  const samples = [];
+  for (const line of text.split('\n')) {
+    if (!line) {
+      continue;
+    }
+    const type = line.match(/^# TYPE (\w+) (\w+)$/);
+    if (type) {
+      types[type[1]] = type[2];
+      continue;
+    }
+    if (line.startsWith('#')) {
+      continue;
+    }
+    const sample = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+    expect(sample).not.toBeNull();
+    const labels = {};
+    for (const [, name, value] of (sample[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+      labels[name] = value;
+    }
+    samples.push({ name: sample[1], labels, value: Number(sample[3]) });
+  }
+  return { types, samples };
+}
+
+function sampleValue(samples, name, labels = {}) {
+  const found = samples.find(sample =>
+    sample.name === name &&
+    Object.entries(labels).every(([key, value]) => sample.labels[key] === value)
+  );
+  return found ? found.value : undefined;
+}
+
+describe('Metrics', () => {
+  let cleanup;
+  let store;
+  let app;
+  let alice;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ metrics: createMetrics() }));
+    alice = await signUp(app, 'alice');
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function scrape() {
+    const response = await request(app)
+      .get('/metrics')
+      .expect('Content-Type', /^text\/plain;.*version=0\.0\.4/)
+      .expect(200);
+    return parseExposition(response.text);
+  }
+
+  it('should not serve metrics unless enabled', async () => {
+    const plain = createApp({ store });
+
+    await request(plain).get('/metrics').expect(404);
+  });
+
+  it('should count requests by route pattern and status', async () => {
+    const created = await alice.api.post('/api/todos').send({ text: 'Buy milk' }).expect(201);
+    await alice.api.get(`/api/todos/${created.body.id}`).expect(200);
+    await alice.api.get('/api/lists/default/todos').expect(200);
+    await alice.api.get('/api/todos/missing').expect(404);
+    await request(app).get('/api/todos').expect(401);
+
+    const { types, samples } = await scrape();
+
+    expect(types.http_requests_total).toBe('counter');
+    expect(sampleValue(samples, 'http_requests_total', {
+      method: 'POST', route: '/api/todos', status: '201'
+    })).toBe(1);
+    expect(sampleValue(samples, 'http_requests_total', {
+      method: 'GET', route: '/api/todos/:id', status: '200'
+    })).toBe(1);
+    expect(sampleValue(samples, 'http_requests_total', {
+      method: 'GET', route: '/api/todos/:id', status: '404'
+    })).toBe(1);
+    expect(sampleValue(samples, 'http_requests_total', {
+      method: 'GET', route: '/api/lists/:listId/todos', status: '200'
+    })).toBe(1);
+    expect(sampleValue(samples, 'http_requests_total', {
+      method: 'GET', route: 'unmatched', status: '401'
+    })).toBe(1);
+    expect(sampleValue(samples, 'http_requests_total', {
+      method: 'POST', route: '/api/auth/register', status: '201'
+    })).toBe(1);
+  });
+
+  it('should record request latency as a cumulative histogram', async () => {
+    await alice.api.get('/api/todos').expect(200);
+    await alice.api.get('/api/todos').expect(200);
+
+    const { types, samples } = await scrape();
+    const labels = { method: 'GET', route: '/api/todos', status: '200' };
+    const buckets = samples.filter(sample =>
+      sample.name === 'http_request_duration_seconds_bucket' &&
+      sample.labels.route === '/api/todos' &&
+      sample.labels.method === 'GET'
+    );
+
+    expect(types.http_request_duration_seconds).toBe('histogram');
+    expect(buckets[buckets.length - 1].labels.le).toBe('+Inf');
+    expect(buckets[buckets.length - 1].value).toBe(2);
+    buckets.slice(1).forEach((bucket, i) => expect(bucket.value).toBeGreaterThanOrEqual(buckets[i].value));
+    expect(sampleValue(samples, 'http_request_duration_seconds_count', labels)).toBe(2);
+    expect(sampleValue(samples, 'http_request_duration_seconds_sum', labels)).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should record storage read and write latency', async () => {
+    await alice.api.post('/api/todos').send({ text: 'Buy milk' }).expect(201);
+
+    const { types, samples } = await scrape();
+
+    expect(types.storage_operation_duration_seconds).toBe('histogram');
+    expect(sampleValue(samples, 'storage_operation_duration_seconds_count', {
+      operation: 'list', type: 'read'
+    })).toBeGreaterThan(0);
+    expect(sampleValue(samples, 'storage_operation_duration_seconds_count', {
+      operation: 'transaction', type: 'write'
+    })).toBeGreaterThan(0);
+  });
+
+  it('should count todos by completion state, leaving out the trash', async () => {
+    const created = [];
+    for (const text of ['One', 'Two', 'Three']) {
+      created.push((await alice.api.post('/api/todos').send({ text }).expect(201)).body);
+    }
+    await alice.api.put(`/api/todos/${created[0].id}`).send({ completed: true }).expect(200);
+    await alice.api.delete(`/api/todos/${created[1].id}`).expect(200);
+
+    const { types, samples } = await scrape();
+
+    expect(types.todos).toBe('gauge');
+    expect(sampleValue(samples, 'todos', { state: 'active' })).toBe(1);
+    expect(sampleValue(samples, 'todos', { state: 'completed' })).toBe(1);
+  });
+
+  it('should report process stats', async () => {
+    const { samples } = await scrape();
+
+    expect(sampleValue(samples, 'process_resident_memory_bytes')).toBeGreaterThan(0);
+    expect(sampleValue(samples, 'nodejs_heap_size_used_bytes')).toBeGreaterThan(0);
+    expect(sampleValue(samples, 'process_cpu_user_seconds_total')).toBeGreaterThan(0);
+    expect(sampleValue(samples, 'process_start_time_seconds')).toBeLessThanOrEqual(Date.now() / 1000);
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { orderByPosition, nextPosition, planMove } = require('../ordering');
+
+describe('ordering helpers', () => {
+  const positioned = [
+    { id: 'a', position: 0 },
+    { id: 'b', position: 1 },
+    { id: 'c', position: 2 }
+  ];
+
+  it('should order by position, ranking todos without one by stored order', () => {
+    const todos = [{ id: 'a' }, { id: 'b' }, { id: 'c', position: 0.5 }];
+
+    expect(orderByPosition(todos).map(todo => todo.id)).toEqual(['a', 'c', 'b']);
+    expect(nextPosition(todos)).toBe(2);
+    expect(nextPosition([])).toBe(0);
+  });
+
+  it('should move a todo by changing only its own position', () => {
+    expect(planMove(positioned, 'c', 'a')).toEqual([['c', 0.5]]);
+    expect(planMove(positioned, 'a', 'c')).toEqual([['a', 3]]);
+    expect(planMove(positioned, 'c', null)).toEqual([['c', -1]]);
+  });
+
+  it('should renumber the list when todos have no position yet', () => {
+    const todos = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    expect(planMove(todos, 'c', 'a')).toEqual([['a', 0], ['c', 1], ['b', 2]]);
+  });
+
+  it('should renumber the list when neighbours are too close to split', () => {
+    const todos = [
+      { id: 'a', position: 1 },
+      { id: 'b', position: 1 + Number.EPSILON },
+      { id: 'c', position: 2 }
+    ];
+
+    expect(planMove(todos, 'c', 'a')).toEqual([['a', 0], ['c', 1], ['b', 2]]);
+  });
+});
+
+describe('POST /api/todos/:id/move', () => {
+  let cleanup;
+  let file;
+  let store;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ store, file, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    ({ api } = await signUp(app));
+    for (const text of ['First', 'Second', 'Third']) {
+      await api.post('/api/todos').send({ text }).expect(201);
+    }
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function texts() {
+    const response = await api.get('/api/todos').expect(200);
+    return response.body.map(todo => todo.text);
+  }
+
+  async function idOf(text) {
+    const todos = await store.list('todos');
+    return todos.find(todo => todo.text === text).id;
+  }
+
+  it('should append new todos to the end of the list', async () => {
+    const todos = await store.list('todos');
+    expect(todos.map(todo => todo.position)).toEqual([0, 1, 2]);
+  });
+
+  it('should move a todo after another and persist the order', async () => {
+    const response = await api
+      .post(`/api/todos/${await idOf('Third')}/move`)
+      .send({ afterId: await idOf('First') })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ text: 'Third', position: 0.5, version: 2 });
+    expect(response.headers.etag).toBe('"2"');
+    expect(await texts()).toEqual(['First', 'Third', 'Second']);
+
+    const untouched = await store.get('todos', await idOf('Second'));
+    expect(untouched).toMatchObject({ position: 1, version: 1 });
+  });
+
+  it('should move a todo to the top when afterId is null', async () => {
+    await api
+      .post(`/api/todos/${await idOf('Second')}/move`)
+      .send({ afterId: null })
+      .expect(200);
+
+    expect(await texts()).toEqual(['Second', 'First', 'Third']);
+
+    const reversed = await api.get('/api/todos?order=desc').expect(200);
+    expect(reversed.body.map(todo => todo.text)).toEqual(['Third', 'First', 'Second']);
+  });
+
+  it('should give legacy todos positions the first time they are moved', async () => {
+    await fs.writeFile(file, JSON.stringify([
+      { id: 'a', text: 'A', completed: false },
+      { id: 'b', text: 'B', completed: false },
+      { id: 'c', text: 'C', completed: false }
+    ]));
+    ({ api } = await signUp(app));
+
+    await api.post('/api/todos/a/move').send({ afterId: 'c' }).expect(200);
+
+    expect(await texts()).toEqual(['B', 'C', 'A']);
+    const todos = await store.list('todos');
+    expect(todos.map(todo => [todo.id, todo.position, todo.version])).toEqual([
+      ['a', 2, 2],
+      ['b', 0, undefined],
+      ['c', 1, undefined]
+    ]);
+  });
+
+  it('should reject an afterId outside the list', async () => {
+    const id = await idOf('First');
+
+    const self = await api.post(`/api/todos/${id}/move`).send({ afterId: id }).expect(400);
+    expect(self.body.details).toEqual([
+      { field: 'afterId', message: 'afterId must be another todo in the same list' }
+    ]);
+    await api.post(`/api/todos/${id}/move`).send({ afterId: 'missing' }).expect(400);
+
+    const missing = await api.post(`/api/todos/${id}/move`).send({}).expect(400);
+    expect(missing.body.details).toEqual([{ field: 'afterId', message: 'afterId is required' }]);
+  });
+
+  it('should honour If-Match and answer 404 for unknown todos', async () => {
+    await api
+      .post(`/api/todos/${await idOf('First')}/move`)
+      .set('If-Match', '"5"')
+      .send({ afterId: null })
+      .expect(412);
+    await api.post('/api/todos/missing/move').send({ afterId: null }).expect(404);
+  });
+});
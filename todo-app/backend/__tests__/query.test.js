@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+const seededTodos = [
+  {
+    id: 'todo-1',
+    text: 'Write release notes',
+    completed: false,
+    createdAt: '2023-01-03T00:00:00.000Z'
+  },
+  {
+    id: 'todo-2',
+    text: 'buy milk',
+    completed: true,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-05T00:00:00.000Z'
+  },
+  {
+    id: 'todo-3',
+    text: 'Review release checklist',
+    completed: true,
+    createdAt: '2023-01-02T00:00:00.000Z',
+    updatedAt: '2023-01-04T12:00:00.000Z'
+  },
+  {
+    id: 'todo-4',
+    text: 'Answer email',
+    completed: false,
+    createdAt: '2023-01-04T00:00:00.000Z'
+  }
+];
+
+describe('GET /api/todos query parameters', () => {
+  let cleanup;
+  let file;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ file, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    await fs.writeFile(file, JSON.stringify(seededTodos));
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  function ids(response) {
+    return response.body.map(todo => todo.id);
+  }
+
+  it('should return every todo in stored order with a total count', async () => {
+    const response = await api.get('/api/todos').expect(200);
+
+    expect(ids(response)).toEqual(['todo-1', 'todo-2', 'todo-3', 'todo-4']);
+    expect(response.headers['x-total-count']).toBe('4');
+  });
+
+  it('should filter by completion state', async () => {
+    const completed = await api.get('/api/todos?completed=true').expect(200);
+    const active = await api.get('/api/todos?completed=false').expect(200);
+
+    expect(ids(completed)).toEqual(['todo-2', 'todo-3']);
+    expect(ids(active)).toEqual(['todo-1', 'todo-4']);
+    expect(active.headers['x-total-count']).toBe('2');
+  });
+
+  it('should search text case-insensitively for every term', async () => {
+    const response = await api.get('/api/todos?q=RELEASE').expect(200);
+    expect(ids(response)).toEqual(['todo-1', 'todo-3']);
+
+    const narrowed = await api.get('/api/todos?q=release%20notes').expect(200);
+    expect(ids(narrowed)).toEqual(['todo-1']);
+  });
+
+  it('should combine search with the completion filter', async () => {
+    const response = await api
+      .get('/api/todos?q=release&completed=true')
+      .expect(200);
+
+    expect(ids(response)).toEqual(['todo-3']);
+  });
+
+  it('should sort by createdAt, updatedAt and text in either direction', async () => {
+    const byCreated = await api.get('/api/todos?sort=createdAt').expect(200);
+    expect(ids(byCreated)).toEqual(['todo-2', 'todo-3', 'todo-1', 'todo-4']);
+
+    const byCreatedDesc = await api
+      .get('/api/todos?sort=createdAt&order=desc')
+      .expect(200);
+    expect(ids(byCreatedDesc)).toEqual(['todo-4', 'todo-1', 'todo-3', 'todo-2']);
+
+    // Todos that were never updated fall back to their creation time
+    const byUpdated = await api.get('/api/todos?sort=updatedAt').expect(200);
+    expect(ids(byUpdated)).toEqual(['todo-1', 'todo-4', 'todo-3', 'todo-2']);
+
+    const byText = await api.get('/api/todos?sort=text').expect(200);
+    expect(ids(byText)).toEqual(['todo-4', 'todo-2', 'todo-3', 'todo-1']);
+  });
+
+  it('should paginate with limit and offset while reporting the full total', async () => {
+    const firstPage = await api.get('/api/todos?limit=2').expect(200);
+    const secondPage = await api.get('/api/todos?limit=2&offset=2').expect(200);
+    const pastEnd = await api.get('/api/todos?limit=2&offset=10').expect(200);
+
+    expect(ids(firstPage)).toEqual(['todo-1', 'todo-2']);
+    expect(ids(secondPage)).toEqual(['todo-3', 'todo-4']);
+    expect(pastEnd.body).toEqual([]);
+    expect(secondPage.headers['x-total-count']).toBe('4');
+  });
+
+  it('should return only the count when limit is 0', async () => {
+    const response = await api.get('/api/todos?completed=true&limit=0').expect(200);
+
+    expect(response.body).toEqual([]);
+    expect(response.headers['x-total-count']).toBe('2');
+  });
+
+  it('should expose the total count header to cross-origin clients', async () => {
+    const response = await api.get('/api/todos').expect(200);
+
+    expect(response.headers['access-control-expose-headers']).toContain('X-Total-Count');
+  });
+
+  it('should reject invalid query parameters', async () => {
+    const response = await api
+      .get('/api/todos?completed=yes&sort=size&limit=500&offset=-1&page=2')
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Invalid query parameters',
+      details: [
+        { field: 'page', message: 'Unknown field "page"' },
+        { field: 'completed', message: 'completed must be a boolean' },
+        { field: 'sort', message: 'sort must be one of: createdAt, updatedAt, text, dueDate, priority' },
+        { field: 'limit', message: 'limit must be at most 100' },
+        { field: 'offset', message: 'offset must be at least 0' }
+      ],
+      requestId: expect.any(String)
+    });
+  });
+});
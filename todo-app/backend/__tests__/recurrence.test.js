@@ -0,0 +1,220 @@
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { nextDate, shiftInstant, nextOccurrence } = require('../recurrence');
+
+describe('recurrence engine', () => {
+  describe('nextDate', () => {
+    it('should repeat every N days across month and year ends', () => {
+      expect(nextDate({ frequency: 'daily' }, '2024-02-28')).toBe('2024-02-29');
+      expect(nextDate({ frequency: 'daily', interval: 3 }, '2024-01-30')).toBe('2024-02-02');
+      expect(nextDate({ frequency: 'daily', interval: 2 }, '2023-12-31')).toBe('2024-01-02');
+    });
+
+    it('should repeat weekly on the given weekdays', () => {
+      const rule = { frequency: 'weekly', weekdays: ['mon', 'thu'] };
+
+      expect(nextDate(rule, '2024-01-01')).toBe('2024-01-04');
+      expect(nextDate(rule, '2024-01-04')).toBe('2024-01-08');
+      expect(nextDate(rule, '2024-01-06')).toBe('2024-01-08');
+    });
+
+    it('should skip weeks for a weekly interval', () => {
+      const rule = { frequency: 'weekly', interval: 2, weekdays: ['mon', 'thu'] };
+
+      expect(nextDate(rule, '2024-01-01')).toBe('2024-01-04');
+      expect(nextDate(rule, '2024-01-04')).toBe('2024-01-15');
+    });
+
+    it('should default to the weekday of the date for weekly recurrence', () => {
+      expect(nextDate({ frequency: 'weekly' }, '2024-01-03')).toBe('2024-01-10');
+      expect(nextDate({ frequency: 'weekly' }, '2024-01-07')).toBe('2024-01-14');
+    });
+
+    it('should clamp monthly recurrence to the end of shorter months', () => {
+      const rule = { frequency: 'monthly', monthDay: 31 };
+
+      expect(nextDate(rule, '2024-01-31')).toBe('2024-02-29');
+      expect(nextDate(rule, '2024-02-29')).toBe('2024-03-31');
+      expect(nextDate(rule, '2023-01-31')).toBe('2023-02-28');
+      expect(nextDate(rule, '2024-03-31')).toBe('2024-04-30');
+    });
+
+    it('should carry monthly intervals into the next year', () => {
+      expect(nextDate({ frequency: 'monthly', interval: 3 }, '2024-11-15')).toBe('2025-02-15');
+      expect(nextDate({ frequency: 'monthly' }, '2024-12-31')).toBe('2025-01-31');
+    });
+
+    it('should stop after the until date', () => {
+      const rule = { frequency: 'daily', until: '2024-01-02' };
+
+      expect(nextDate(rule, '2024-01-01')).toBe('2024-01-02');
+      expect(nextDate(rule, '2024-01-02')).toBeNull();
+    });
+  });
+
+  describe('shiftInstant', () => {
+    it('should keep the local time when DST starts', () => {
+      // 09:00 EST on 9 March 2024 -> 09:00 EDT on 10 March
+      expect(shiftInstant('2024-03-09T14:00:00.000Z', 1, 'America/New_York'))
+        .toBe('2024-03-10T13:00:00.000Z');
+    });
+
+    it('should keep the local time when DST ends', () => {
+      // 09:00 EDT on 2 November 2024 -> 09:00 EST on 3 November
+      expect(shiftInstant('2024-11-02T13:00:00.000Z', 1, 'America/New_York'))
+        .toBe('2024-11-03T14:00:00.000Z');
+      // 08:30 BST -> 08:30 GMT a week later
+      expect(shiftInstant('2024-10-21T07:30:00.000Z', 7, 'Europe/London'))
+        .toBe('2024-10-28T08:30:00.000Z');
+    });
+
+    it('should move whole days in UTC', () => {
+      expect(shiftInstant('2024-02-28T23:15:00.000Z', 2, 'UTC')).toBe('2024-03-01T23:15:00.000Z');
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    it('should continue from the due date and move the reminder with it', () => {
+      const todo = {
+        dueDate: '2024-03-08',
+        remindAt: '2024-03-08T14:00:00.000Z',
+        recurrence: { frequency: 'weekly' }
+      };
+
+      expect(nextOccurrence(todo, '2024-03-08', 'America/New_York')).toEqual({
+        dueDate: '2024-03-15',
+        remindAt: '2024-03-15T13:00:00.000Z',
+        recurrence: { frequency: 'weekly', interval: 1, weekdays: ['fri'] }
+      });
+    });
+
+    it('should skip occurrences that are already in the past', () => {
+      const todo = { dueDate: '2024-01-01', recurrence: { frequency: 'daily', interval: 2 } };
+
+      expect(nextOccurrence(todo, '2024-01-06', 'UTC').dueDate).toBe('2024-01-07');
+    });
+
+    it('should start from today for todos without a due date', () => {
+      const todo = { recurrence: { frequency: 'monthly' } };
+
+      expect(nextOccurrence(todo, '2024-01-31', 'UTC')).toEqual({
+        dueDate: '2024-02-29',
+        recurrence: { frequency: 'monthly', interval: 1, monthDay: 31 }
+      });
+    });
+
+    it('should return null once the recurrence has ended', () => {
+      const todo = { dueDate: '2024-01-01', recurrence: { frequency: 'daily', until: '2024-01-01' } };
+
+      expect(nextOccurrence(todo, '2024-01-01', 'UTC')).toBeNull();
+    });
+  });
+});
+
+describe('Recurring todos API', () => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp());
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function createRecurring(fields = {}) {
+    const response = await api
+      .post('/api/todos')
+      .send({
+        text: 'Pay rent',
+        dueDate: '2099-01-31',
+        priority: 'high',
+        tags: ['home'],
+        recurrence: { frequency: 'monthly' },
+        ...fields
+      })
+      .expect(201);
+    return response.body;
+  }
+
+  it('should create the next occurrence when a recurring todo is completed', async () => {
+    const todo = await createRecurring();
+
+    const response = await api
+      .put(`/api/todos/${todo.id}`)
+      .send({ completed: true })
+      .expect(200);
+
+    const next = await store.get('todos', response.body.nextOccurrenceId);
+    expect(next).toMatchObject({
+      text: 'Pay rent',
+      completed: false,
+      dueDate: '2099-02-28',
+      priority: 'high',
+      tags: ['home'],
+      recurrence: { frequency: 'monthly', interval: 1, monthDay: 31 },
+      version: 1
+    });
+    expect(next.id).not.toBe(todo.id);
+  });
+
+  it('should create the next occurrence only once', async () => {
+    const todo = await createRecurring();
+
+    await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+    await api.put(`/api/todos/${todo.id}`).send({ completed: false }).expect(200);
+    await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+
+    expect(await store.list('todos')).toHaveLength(2);
+  });
+
+  it('should repeat the checklist with every subtask unticked', async () => {
+    const todo = await createRecurring({ autoComplete: true });
+    const withSubtask = await api
+      .post(`/api/todos/${todo.id}/subtasks`)
+      .send({ text: 'Transfer money' })
+      .expect(201);
+
+    const completed = await api
+      .put(`/api/todos/${todo.id}/subtasks/${withSubtask.body.subtasks[0].id}`)
+      .send({ completed: true })
+      .expect(200);
+
+    expect(completed.body.completed).toBe(true);
+    const next = await store.get('todos', completed.body.nextOccurrenceId);
+    expect(next.subtasks).toEqual([expect.objectContaining({ text: 'Transfer money', completed: false })]);
+    expect(next.progress).toEqual({ completed: 0, total: 1, percent: 0 });
+  });
+
+  it('should leave todos without a recurrence alone', async () => {
+    const todo = await createRecurring({ recurrence: null });
+
+    const response = await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(200);
+
+    expect(response.body.nextOccurrenceId).toBeUndefined();
+    expect(await store.list('todos')).toHaveLength(1);
+  });
+
+  it('should validate recurrence rules', async () => {
+    const cases = [
+      [{ frequency: 'yearly' }, 'recurrence.frequency', 'Frequency must be one of: daily, weekly, monthly'],
+      [{ frequency: 'daily', interval: 0 }, 'recurrence.interval', 'Interval must be at least 1'],
+      [{ frequency: 'weekly', weekdays: ['mon', 'funday'] }, 'recurrence.weekdays[1]', 'Weekday must be one of: sun, mon, tue, wed, thu, fri, sat'],
+      [{ frequency: 'daily', monthDay: 3 }, 'recurrence', 'Day of month can only be set for monthly recurrence'],
+      [{ frequency: 'monthly', weekdays: ['mon'] }, 'recurrence', 'Weekdays can only be set for weekly recurrence'],
+      [{ frequency: 'daily', every: 2 }, 'recurrence.every', 'Unknown field "every"']
+    ];
+
+    for (const [recurrence, field, message] of cases) {
+      const response = await api
+        .post('/api/todos')
+        .send({ text: 'Chore', recurrence })
+        .expect(400);
+      expect(response.body.details).toEqual([{ field, message }]);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { createLogger } = require('../logger');
+const { runWithContext, currentRequestId } = require('../context');
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('Request IDs', () => {
+  let cleanup;
+  let store;
+  let entries;
+  let app;
+  let alice;
+
+  beforeEach(async () => {
+    entries = [];
+    ({ store, app, cleanup } = await createTestApp({
+      logger: createLogger({ level: 'debug', sink: entry => entries.push(entry) })
+    }));
+    alice = await signUp(app, 'alice');
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should give each request a new ID and return it', async () => {
+    const first = await request(app).get('/api/health').expect(200);
+    const second = await request(app).get('/api/health').expect(200);
+
+    expect(first.headers['x-request-id']).toMatch(UUID);
+    expect(second.headers['x-request-id']).toMatch(UUID);
+    expect(first.headers['x-request-id']).not.toBe(second.headers['x-request-id']);
+  });
+
+  it('should keep an ID sent from upstream unless it is malformed', async () => {
+    const kept = await request(app).get('/api/health').set('X-Request-Id', 'edge-42:a.b_c').expect(200);
+    expect(kept.headers['x-request-id']).toBe('edge-42:a.b_c');
+
+    for (const invalid of ['has spaces', 'x'.repeat(129), '<script>']) {
+      const replaced = await request(app).get('/api/health').set('X-Request-Id', invalid).expect(200);
+      expect(replaced.headers['x-request-id']).toMatch(UUID);
+    }
+  });
+
+  it('should include the ID in error bodies', async () => {
+    const response = await alice.api.get('/api/todos/missing').set('X-Request-Id', 'report-me').expect(404);
+
+    expect(response.body).toEqual({ error: 'Todo not found', requestId: 'report-me' });
+  });
+
+  it('should record the ID in the audit log and on every log line', async () => {
+    entries.length = 0;
+
+    await alice.api.post('/api/todos').set('X-Request-Id', 'create-1').send({ text: 'Traced' }).expect(201);
+
+    const [event] = await store.list('audit');
+    expect(event.requestId).toBe('create-1');
+    expect(entries.length).toBeGreaterThan(1);
+    entries.forEach(entry => expect(entry.requestId).toBe('create-1'));
+  });
+
+  it('should carry the ID through async calls', async () => {
+    const logged = [];
+    const logger = createLogger({ level: 'info', sink: entry => logged.push(entry) });
+
+    const seen = await runWithContext({ requestId: 'async-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      logger.info('Later');
+      return currentRequestId();
+    });
+
+    expect(seen).toBe('async-1');
+    expect(logged[0].requestId).toBe('async-1');
+    expect(currentRequestId()).toBeNull();
+  });
+});
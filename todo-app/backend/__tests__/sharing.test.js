@@ -0,0 +1,253 @@
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { errorResponse } = require('./helpers/responses');
+
+describe('Shared lists', () => {
+  let cleanup;
+  let store;
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp());
+    alice = await signUp(app, 'alice');
+    bob = await signUp(app, 'bob');
+    const response = await alice.api.post('/api/lists').send({ name: 'Team' }).expect(201);
+    list = response.body;
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  // Invite bob to the team list with a role and have him accept
+  async function share(role) {
+    const invitation = await alice.api
+      .post(`/api/lists/${list.id}/invitations`)
+      .send({ username: 'bob', role })
+      .expect(201);
+    await bob.api.post(`/api/invitations/${invitation.body.id}/accept`).expect(200);
+  }
+
+  async function createTodo(text = 'Plan sprint') {
+    const response = await alice.api.post(`/api/lists/${list.id}/todos`).send({ text }).expect(201);
+    return response.body;
+  }
+
+  function todosPath(suffix = '') {
+    return `/api/lists/${list.id}/todos${suffix}`;
+  }
+
+  describe('invitations', () => {
+    it('should let an invited user join the list after accepting', async () => {
+      await bob.api.get(`/api/lists/${list.id}`).expect(404);
+
+      const invitation = await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'Bob', role: 'viewer' })
+        .expect(201);
+      expect(invitation.body).toMatchObject({
+        listId: list.id,
+        listName: 'Team',
+        userId: bob.user.id,
+        username: 'bob',
+        role: 'viewer',
+        invitedBy: alice.user.id,
+        invitedByUsername: 'alice'
+      });
+      await bob.api.get(`/api/lists/${list.id}`).expect(404);
+
+      const received = await bob.api.get('/api/invitations').expect(200);
+      expect(received.body.map(invitation => invitation.id)).toEqual([invitation.body.id]);
+      const joined = await bob.api.post(`/api/invitations/${invitation.body.id}/accept`).expect(200);
+
+      expect(joined.body).toMatchObject({ id: list.id, name: 'Team', ownerId: alice.user.id, role: 'viewer' });
+      const lists = await bob.api.get('/api/lists').expect(200);
+      expect(lists.body.map(list => [list.name, list.role])).toEqual([['Inbox', 'owner'], ['Team', 'viewer']]);
+      await bob.api.get('/api/invitations').expect(200, []);
+      const members = await bob.api.get(`/api/lists/${list.id}/members`).expect(200);
+      expect(members.body.map(member => [member.username, member.role])).toEqual([['alice', 'owner'], ['bob', 'viewer']]);
+    });
+
+    it('should change the role of a pending invitation when inviting again', async () => {
+      await alice.api.post(`/api/lists/${list.id}/invitations`).send({ username: 'bob', role: 'viewer' }).expect(201);
+
+      const again = await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'bob', role: 'editor' })
+        .expect(200);
+
+      expect(again.body.role).toBe('editor');
+      const pending = await alice.api.get(`/api/lists/${list.id}/invitations`).expect(200);
+      expect(pending.body.map(invitation => invitation.role)).toEqual(['editor']);
+    });
+
+    it('should refuse invitations that cannot be sent', async () => {
+      await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'nobody', role: 'viewer' })
+        .expect(errorResponse(404, { error: 'User not found' }));
+      await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'alice', role: 'editor' })
+        .expect(errorResponse(409, { error: 'User is already a member of this list' }));
+      await alice.api
+        .post('/api/lists/default/invitations')
+        .send({ username: 'bob', role: 'viewer' })
+        .expect(errorResponse(400, { error: 'The default list cannot be shared' }));
+
+      const invalid = await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'bob', role: 'owner' })
+        .expect(400);
+      expect(invalid.body.details).toEqual([
+        { field: 'role', message: 'Role must be one of: viewer, editor' }
+      ]);
+    });
+
+    it('should let invitations be declined or withdrawn', async () => {
+      const first = await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'bob', role: 'viewer' })
+        .expect(201);
+
+      await alice.api.post(`/api/invitations/${first.body.id}/accept`).expect(404);
+      await bob.api.delete(`/api/invitations/${first.body.id}`).expect(200);
+      await bob.api.post(`/api/invitations/${first.body.id}/accept`).expect(404);
+
+      const second = await alice.api
+        .post(`/api/lists/${list.id}/invitations`)
+        .send({ username: 'bob', role: 'viewer' })
+        .expect(201);
+      await alice.api.delete(`/api/lists/${list.id}/invitations/${second.body.id}`).expect(200);
+      await bob.api.get('/api/invitations').expect(200, []);
+    });
+  });
+
+  describe('viewers', () => {
+    beforeEach(() => share('viewer'));
+
+    it('should read the list, its todos, trash and history', async () => {
+      const todo = await createTodo();
+
+      const todos = await bob.api.get(todosPath()).expect(200);
+      expect(todos.body.map(todo => todo.text)).toEqual(['Plan sprint']);
+      await bob.api.get(todosPath(`/${todo.id}`)).expect(200);
+      await bob.api.get(todosPath(`/${todo.id}/history`)).expect(200);
+      await bob.api.get(todosPath('/trash')).expect(200, []);
+    });
+
+    it('should be forbidden to change anything', async () => {
+      const todo = await createTodo();
+
+      const response = await bob.api.post(todosPath()).send({ text: 'Sneaky' }).expect(403);
+      expect(response.body).toEqual({
+        error: 'Only editors and the owner of this list can do this',
+        role: 'viewer',
+        requiredRole: 'editor',
+        requestId: expect.any(String)
+      });
+      await bob.api.put(todosPath(`/${todo.id}`)).send({ completed: true }).expect(403);
+      await bob.api.post(todosPath(`/${todo.id}/move`)).send({ afterId: null }).expect(403);
+      await bob.api.post(todosPath(`/${todo.id}/subtasks`)).send({ text: 'Step' }).expect(403);
+      await bob.api
+        .post(todosPath('/bulk'))
+        .send({ operations: [{ op: 'update', id: todo.id, data: { completed: true } }] })
+        .expect(403);
+      await bob.api.delete(todosPath(`/${todo.id}`)).expect(403);
+
+      expect(await store.get('todos', todo.id)).toEqual(todo);
+    });
+  });
+
+  describe('editors', () => {
+    beforeEach(() => share('editor'));
+
+    it('should create, update and complete todos on behalf of the owner', async () => {
+      const created = await bob.api.post(todosPath()).send({ text: 'From bob' }).expect(201);
+      expect(created.body).toMatchObject({ listId: list.id, ownerId: alice.user.id });
+
+      const updated = await bob.api
+        .put(todosPath(`/${created.body.id}`))
+        .send({ text: 'From bob, edited', completed: true })
+        .expect(200);
+      expect(updated.body).toMatchObject({ text: 'From bob, edited', completed: true });
+
+      const todos = await alice.api.get(todosPath()).expect(200);
+      expect(todos.body.map(todo => todo.text)).toEqual(['From bob, edited']);
+      const [event] = (await alice.api.get(todosPath(`/${created.body.id}/history`)).expect(200)).body;
+      expect(event.actor).toEqual({ type: 'user', id: bob.user.id, username: 'bob' });
+    });
+
+    it('should be forbidden to delete todos or manage the list', async () => {
+      const todo = await createTodo();
+      const ownerOnly = {
+        error: 'Only the owner of this list can do this',
+        role: 'editor',
+        requiredRole: 'owner'
+      };
+
+      await bob.api.delete(todosPath(`/${todo.id}`)).expect(errorResponse(403, ownerOnly));
+      await bob.api
+        .post(todosPath('/bulk'))
+        .send({ operations: [{ op: 'update', id: todo.id, data: { completed: true } }, { op: 'delete', id: todo.id }] })
+        .expect(errorResponse(403, ownerOnly));
+      await bob.api.delete(todosPath('/trash')).expect(403);
+      await bob.api.post(todosPath(`/${todo.id}/restore`)).expect(403);
+      await bob.api.put(`/api/lists/${list.id}`).send({ name: 'Mine' }).expect(403);
+      await bob.api.delete(`/api/lists/${list.id}`).expect(403);
+      await bob.api.get(`/api/lists/${list.id}/invitations`).expect(403);
+      await bob.api.post(`/api/lists/${list.id}/invitations`).send({ username: 'alice', role: 'viewer' }).expect(403);
+      await bob.api.put(`/api/lists/${list.id}/members/${bob.user.id}`).send({ role: 'editor' }).expect(403);
+
+      await bob.api
+        .post(todosPath('/bulk'))
+        .send({ operations: [{ op: 'update', id: todo.id, data: { completed: true } }] })
+        .expect(200);
+    });
+  });
+
+  describe('members', () => {
+    it('should take role changes into account straight away', async () => {
+      await share('viewer');
+      await bob.api.post(todosPath()).send({ text: 'Not yet' }).expect(403);
+
+      const changed = await alice.api
+        .put(`/api/lists/${list.id}/members/${bob.user.id}`)
+        .send({ role: 'editor' })
+        .expect(200);
+
+      expect(changed.body.role).toBe('editor');
+      await bob.api.post(todosPath()).send({ text: 'Now' }).expect(201);
+      await alice.api.put(`/api/lists/${list.id}/members/missing`).send({ role: 'viewer' }).expect(404);
+    });
+
+    it('should let the owner remove members and members leave', async () => {
+      await share('editor');
+
+      await alice.api.delete(`/api/lists/${list.id}/members/${bob.user.id}`).expect(200);
+      await bob.api.get(todosPath()).expect(404);
+
+      await share('viewer');
+      await bob.api.delete(`/api/lists/${list.id}/members/${alice.user.id}`).expect(403);
+      await bob.api.delete(`/api/lists/${list.id}/members/${bob.user.id}`).expect(200);
+      const lists = await bob.api.get('/api/lists').expect(200);
+      expect(lists.body.map(list => list.name)).toEqual(['Inbox']);
+      await alice.api
+        .delete(`/api/lists/${list.id}/members/${alice.user.id}`)
+        .expect(errorResponse(400, { error: 'The owner cannot be removed from their list' }));
+    });
+
+    it('should stop sharing a list when it is deleted', async () => {
+      await share('editor');
+      await alice.api.post(`/api/lists/${list.id}/invitations`).send({ username: 'carol', role: 'viewer' }).expect(404);
+
+      await alice.api.delete(`/api/lists/${list.id}`).expect(200);
+
+      await bob.api.get(`/api/lists/${list.id}`).expect(404);
+      expect(await store.list('memberships')).toEqual([]);
+    });
+  });
+});
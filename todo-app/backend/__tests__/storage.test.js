@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const createApp = require('../app');
+const { signUp } = require('./helpers/auth');
+const { DRIVERS, createTestStore } = require('./helpers/app');
+const { createJsonStore, createSqliteStore } = require('../storage');
+const migrateJsonToSqlite = require('../storage/migrate-json');
+
+describe.each(Object.keys(DRIVERS))('%s store', (driver) => {
+  let cleanup;
+  let store;
+
+  beforeEach(async () => {
+    ({ store, cleanup } = await createTestStore(driver));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should return an empty list for an unused collection', async () => {
+    expect(await store.list('todos')).toEqual([]);
+    expect(await store.get('todos', 'missing')).toBeNull();
+  });
+
+  it('should insert records and list them in insertion order', async () => {
+    await store.insert('todos', { id: 'b', text: 'First' });
+    await store.insert('todos', { id: 'a', text: 'Second' });
+
+    const todos = await store.list('todos');
+    expect(todos.map(todo => todo.id)).toEqual(['b', 'a']);
+    expect(await store.get('todos', 'a')).toEqual({ id: 'a', text: 'Second' });
+  });
+
+  it('should merge changes into an existing record', async () => {
+    await store.insert('todos', { id: 'a', text: 'Original', completed: false });
+
+    const updated = await store.update('todos', 'a', { completed: true });
+
+    expect(updated).toEqual({ id: 'a', text: 'Original', completed: true });
+    expect(await store.get('todos', 'a')).toEqual(updated);
+    expect(await store.update('todos', 'missing', { completed: true })).toBeNull();
+  });
+
+  it('should remove a record and return it', async () => {
+    await store.insert('todos', { id: 'a', text: 'Keep' });
+    await store.insert('todos', { id: 'b', text: 'Remove' });
+
+    expect(await store.remove('todos', 'b')).toEqual({ id: 'b', text: 'Remove' });
+    expect(await store.remove('todos', 'b')).toBeNull();
+    expect(await store.list('todos')).toEqual([{ id: 'a', text: 'Keep' }]);
+  });
+
+  it('should keep collections separate', async () => {
+    await store.insert('todos', { id: 'a', text: 'Todo' });
+    await store.insert('lists', { id: 'a', name: 'List' });
+
+    expect(await store.list('todos')).toEqual([{ id: 'a', text: 'Todo' }]);
+    expect(await store.list('lists')).toEqual([{ id: 'a', name: 'List' }]);
+  });
+
+  it('should query records by field, range and position', async () => {
+    await store.insert('audit', { id: 'a', ownerId: 'u1', action: 'create', timestamp: '2024-01-01' });
+    await store.insert('audit', { id: 'b', ownerId: 'u2', action: 'create', timestamp: '2024-01-02' });
+    await store.insert('audit', { id: 'c', ownerId: 'u1', action: 'update', timestamp: '2024-01-03' });
+    await store.insert('audit', { id: 'd', action: 'update', timestamp: '2024-01-04' });
+    const ids = result => ({ ids: result.items.map(record => record.id), total: result.total });
+
+    expect(ids(await store.query('audit'))).toEqual({ ids: ['a', 'b', 'c', 'd'], total: 4 });
+    expect(ids(await store.query('audit', { where: { ownerId: 'u1' } }))).toEqual({ ids: ['a', 'c'], total: 2 });
+    expect(ids(await store.query('audit', { where: { ownerId: null } }))).toEqual({ ids: ['d'], total: 1 });
+    expect(ids(await store.query('audit', {
+      range: { field: 'timestamp', from: '2024-01-02', to: '2024-01-03' }
+    }))).toEqual({ ids: ['b', 'c'], total: 2 });
+    expect(ids(await store.query('audit', { newestFirst: true, offset: 1, limit: 2 })))
+      .toEqual({ ids: ['c', 'b'], total: 4 });
+    expect(ids(await store.query('audit', { after: 'b', where: { action: 'update' } })))
+      .toEqual({ ids: ['c', 'd'], total: 2 });
+    expect(ids(await store.query('audit', { after: 'missing' }))).toEqual({ ids: [], total: 0 });
+  });
+
+  it('should query inside a transaction', async () => {
+    await store.insert('todos', { id: 'a', completed: true });
+
+    const result = await store.transaction(async (tx) => {
+      await tx.insert('todos', { id: 'b', completed: true });
+      return tx.query('todos', { where: { completed: true } });
+    });
+
+    expect(result.total).toBe(2);
+  });
+
+  it('should apply transaction changes together', async () => {
+    await store.insert('todos', { id: 'a', text: 'Old', completed: false });
+
+    const result = await store.transaction(async (tx) => {
+      await tx.update('todos', 'a', { completed: true });
+      await tx.insert('todos', { id: 'b', text: 'New' });
+      return tx.list('todos');
+    });
+
+    expect(result).toHaveLength(2);
+    expect(await store.list('todos')).toEqual([
+      { id: 'a', text: 'Old', completed: true },
+      { id: 'b', text: 'New' }
+    ]);
+  });
+
+  it('should discard transaction changes when the callback throws', async () => {
+    await store.insert('todos', { id: 'a', text: 'Old', completed: false });
+
+    await expect(store.transaction(async (tx) => {
+      await tx.update('todos', 'a', { completed: true });
+      await tx.insert('todos', { id: 'b', text: 'New' });
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await store.list('todos')).toEqual([
+      { id: 'a', text: 'Old', completed: false }
+    ]);
+  });
+
+  it('should serialize overlapping transactions', async () => {
+    await store.insert('counters', { id: 'c', value: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () =>
+      store.transaction(async (tx) => {
+        const counter = await tx.get('counters', 'c');
+        await new Promise(resolve => setImmediate(resolve));
+        await tx.update('counters', 'c', { value: counter.value + 1 });
+      })
+    ));
+
+    expect(await store.get('counters', 'c')).toEqual({ id: 'c', value: 10 });
+  });
+
+  it('should back the API when passed to createApp', async () => {
+    const { api } = await signUp(createApp({ store }));
+
+    const created = await api
+      .post('/api/todos')
+      .send({ text: 'Stored todo' })
+      .expect(201);
+
+    await api
+      .put(`/api/todos/${created.body.id}`)
+      .send({ completed: true })
+      .expect(200);
+
+    const response = await api.get('/api/todos').expect(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0]).toMatchObject({ text: 'Stored todo', completed: true });
+
+    await api.delete(`/api/todos/${created.body.id}`).expect(200);
+    const [deleted] = await store.list('todos');
+    expect(deleted.deletedAt).toEqual(expect.any(String));
+    await api.get('/api/todos').expect(200, []);
+  });
+});
+
+describe('createStore', () => {
+  it('should not load the SQLite module for the JSON driver', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-driver-'));
+    try {
+      await jest.isolateModulesAsync(async () => {
+        jest.doMock('better-sqlite3', () => {
+          throw new Error('better-sqlite3 was not built');
+        });
+        const { createStore } = require('../storage');
+
+        const store = createStore({ driver: 'json', file: path.join(dir, 'data.json') });
+        await store.insert('todos', { id: 'a', text: 'Todo' });
+
+        expect(await store.list('todos')).toEqual([{ id: 'a', text: 'Todo' }]);
+        expect(() => createStore({ driver: 'sqlite', file: path.join(dir, 'data.sqlite') }))
+          .toThrow('better-sqlite3 was not built');
+      });
+    } finally {
+      jest.dontMock('better-sqlite3');
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('JSON store file format', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-store-'));
+    file = path.join(dir, 'data.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should keep writing a bare array while only todos are stored', async () => {
+    const store = createJsonStore(file);
+    await store.insert('todos', { id: 'a', text: 'Todo' });
+
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual([
+      { id: 'a', text: 'Todo' }
+    ]);
+  });
+
+  it('should switch to an object keyed by collection for other collections', async () => {
+    await fs.writeFile(file, JSON.stringify([{ id: 'a', text: 'Todo' }]));
+    const store = createJsonStore(file);
+    await store.insert('lists', { id: 'l', name: 'List' });
+
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({
+      todos: [{ id: 'a', text: 'Todo' }],
+      lists: [{ id: 'l', name: 'List' }]
+    });
+  });
+});
+
+describe('migrateJsonToSqlite', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-migrate-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should import an existing data.json and skip records already present', async () => {
+    const jsonFile = path.join(dir, 'data.json');
+    const sqliteFile = path.join(dir, 'data.sqlite');
+    const todos = [
+      { id: 'test-id-1', text: 'First', completed: false, createdAt: '2023-01-01T00:00:00.000Z' },
+      { id: 'test-id-2', text: 'Second', completed: true, createdAt: '2023-01-02T00:00:00.000Z' }
+    ];
+    await fs.writeFile(jsonFile, JSON.stringify(todos, null, 2));
+
+    expect(await migrateJsonToSqlite(jsonFile, sqliteFile)).toEqual({
+      todos: { imported: 2, skipped: 0 }
+    });
+    expect(await migrateJsonToSqlite(jsonFile, sqliteFile)).toEqual({
+      todos: { imported: 0, skipped: 2 }
+    });
+
+    const store = createSqliteStore(sqliteFile);
+    try {
+      expect(await store.list('todos')).toEqual(todos);
+    } finally {
+      await store.close();
+    }
+  });
+});
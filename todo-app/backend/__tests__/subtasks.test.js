@@ -0,0 +1,145 @@
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+describe('Subtasks', () => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    await store.insert('todos', { id: 'todo-1', text: 'Release', completed: false, version: 1 });
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function addSubtask(text, todoId = 'todo-1') {
+    const response = await api
+      .post(`/api/todos/${todoId}/subtasks`)
+      .send({ text })
+      .expect(201);
+    return response.body;
+  }
+
+  it('should append subtasks and report progress', async () => {
+    await addSubtask('Write changelog');
+    const todo = await addSubtask('  Tag release  ');
+
+    expect(todo.subtasks).toEqual([
+      { id: expect.any(String), text: 'Write changelog', completed: false, createdAt: expect.any(String) },
+      { id: expect.any(String), text: 'Tag release', completed: false, createdAt: expect.any(String) }
+    ]);
+    expect(todo.progress).toEqual({ completed: 0, total: 2, percent: 0 });
+    expect(todo.version).toBe(3);
+  });
+
+  it('should toggle and rename a subtask', async () => {
+    const todo = await addSubtask('Write changelog');
+    await addSubtask('Tag release');
+    const [first] = todo.subtasks;
+
+    const response = await api
+      .put(`/api/todos/todo-1/subtasks/${first.id}`)
+      .send({ completed: true, text: 'Write the changelog' })
+      .expect(200);
+
+    expect(response.body.subtasks[0]).toMatchObject({ text: 'Write the changelog', completed: true });
+    expect(response.body.progress).toEqual({ completed: 1, total: 2, percent: 50 });
+    expect(response.body.completed).toBe(false);
+    expect(response.headers.etag).toBe('"4"');
+  });
+
+  it('should reorder subtasks', async () => {
+    await addSubtask('One');
+    await addSubtask('Two');
+    const todo = await addSubtask('Three');
+    const [one, two, three] = todo.subtasks.map(subtask => subtask.id);
+
+    const response = await api
+      .put('/api/todos/todo-1/subtasks')
+      .send({ order: [three, one, two] })
+      .expect(200);
+    expect(response.body.subtasks.map(subtask => subtask.text)).toEqual(['Three', 'One', 'Two']);
+
+    const invalid = await api
+      .put('/api/todos/todo-1/subtasks')
+      .send({ order: [three, one] })
+      .expect(400);
+    expect(invalid.body).toEqual({
+      error: 'Validation failed',
+      details: [{ field: 'order', message: 'order must list every subtask exactly once' }],
+      requestId: expect.any(String)
+    });
+  });
+
+  it('should delete a subtask and drop progress with the last one', async () => {
+    const todo = await addSubtask('Only step');
+
+    const response = await api
+      .delete(`/api/todos/todo-1/subtasks/${todo.subtasks[0].id}`)
+      .expect(200);
+
+    expect(response.body.subtasks).toEqual([]);
+    expect(response.body.progress).toBeNull();
+    await api.delete(`/api/todos/todo-1/subtasks/${todo.subtasks[0].id}`).expect(404);
+  });
+
+  it('should auto-complete and reopen the parent when enabled', async () => {
+    await api.put('/api/todos/todo-1').send({ autoComplete: true }).expect(200);
+    const todo = await addSubtask('One');
+    await addSubtask('Two');
+    const [one] = todo.subtasks;
+    const { subtasks } = await store.get('todos', 'todo-1');
+
+    await api.put(`/api/todos/todo-1/subtasks/${one.id}`).send({ completed: true }).expect(200);
+    const done = await api
+      .put(`/api/todos/todo-1/subtasks/${subtasks[1].id}`)
+      .send({ completed: true })
+      .expect(200);
+    expect(done.body).toMatchObject({ completed: true, progress: { completed: 2, total: 2, percent: 100 } });
+
+    const reopened = await api.post('/api/todos/todo-1/subtasks').send({ text: 'Three' }).expect(201);
+    expect(reopened.body.completed).toBe(false);
+  });
+
+  it('should leave the parent alone without auto-complete', async () => {
+    const todo = await addSubtask('Only step');
+
+    const response = await api
+      .put(`/api/todos/todo-1/subtasks/${todo.subtasks[0].id}`)
+      .send({ completed: true })
+      .expect(200);
+
+    expect(response.body.completed).toBe(false);
+  });
+
+  it('should honour If-Match and validate subtask text', async () => {
+    const conflict = await api
+      .post('/api/todos/todo-1/subtasks')
+      .set('If-Match', '"7"')
+      .send({ text: 'Step' })
+      .expect(412);
+    expect(conflict.body.error).toBe('Todo has been modified by another request');
+
+    const invalid = await api
+      .post('/api/todos/todo-1/subtasks')
+      .send({ text: ' ' })
+      .expect(400);
+    expect(invalid.body.details).toEqual([{ field: 'text', message: 'Subtask text cannot be empty' }]);
+  });
+
+  it('should answer 404 for unknown todos and subtasks', async () => {
+    const missingTodo = await api.post('/api/todos/missing/subtasks').send({ text: 'Step' }).expect(404);
+    expect(missingTodo.body).toEqual({ error: 'Todo not found', requestId: expect.any(String) });
+
+    const missingSubtask = await api
+      .put('/api/todos/todo-1/subtasks/missing')
+      .send({ completed: true })
+      .expect(404);
+    expect(missingSubtask.body).toEqual({ error: 'Subtask not found', requestId: expect.any(String) });
+  });
+});
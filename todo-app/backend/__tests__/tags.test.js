@@ -0,0 +1,121 @@
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+const seededTodos = [
+  { id: 'todo-1', text: 'Fix login', completed: false, version: 1, tags: ['backend', 'bug'] },
+  { id: 'todo-2', text: 'Ship release', completed: false, version: 1, tags: ['release-1.2'] },
+  { id: 'todo-3', text: 'Style tweaks', completed: true, version: 2, tags: ['frontend', 'bug'] },
+  { id: 'todo-4', text: 'Untagged', completed: false, version: 1 }
+];
+
+describe('Tags', () => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+  let user;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    for (const todo of seededTodos) {
+      await store.insert('todos', todo);
+    }
+    ({ api, user } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  const ids = (response) => response.body.map(todo => todo.id);
+
+  it('should normalize and de-duplicate tags when creating a todo', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({ text: 'Tagged', tags: [' Backend ', 'backend', 'release-1.2'] })
+      .expect(201);
+
+    expect(response.body.tags).toEqual(['backend', 'release-1.2']);
+  });
+
+  it('should reject invalid tags with the element path', async () => {
+    const invalid = await api
+      .post('/api/todos')
+      .send({ text: 'Tagged', tags: ['ok', 'not ok'] })
+      .expect(400);
+    expect(invalid.body.details).toEqual([
+      { field: 'tags[1]', message: 'Tag must start with a letter or digit and contain only letters, digits, ".", "_" and "-"' }
+    ]);
+
+    const notArray = await api
+      .put('/api/todos/todo-1')
+      .send({ tags: 'bug' })
+      .expect(400);
+    expect(notArray.body.details).toEqual([
+      { field: 'tags', message: 'Tags must be an array' }
+    ]);
+
+    const tooMany = await api
+      .post('/api/todos')
+      .send({ text: 'Tagged', tags: Array.from({ length: 21 }, (_, i) => `tag-${i}`) })
+      .expect(400);
+    expect(tooMany.body.details[0].message).toBe('Tags must contain at most 20 items');
+  });
+
+  it('should replace tags on update', async () => {
+    const response = await api
+      .put('/api/todos/todo-1')
+      .send({ tags: ['backend'] })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ tags: ['backend'], version: 2 });
+  });
+
+  it('should filter todos by one or more tags', async () => {
+    const bug = await api.get('/api/todos?tag=bug').expect(200);
+    expect(ids(bug)).toEqual(['todo-1', 'todo-3']);
+
+    const both = await api.get('/api/todos?tag=bug&tag=Backend').expect(200);
+    expect(ids(both)).toEqual(['todo-1']);
+    expect(both.headers['x-total-count']).toBe('1');
+
+    const invalid = await api.get('/api/todos?tag=a%20b').expect(400);
+    expect(invalid.body.details[0].field).toBe('tag[0]');
+  });
+
+  it('should list tags with usage counts', async () => {
+    const response = await api.get('/api/tags').expect(200);
+
+    expect(response.body).toEqual([
+      { name: 'backend', count: 1 },
+      { name: 'bug', count: 2 },
+      { name: 'frontend', count: 1 },
+      { name: 'release-1.2', count: 1 }
+    ]);
+  });
+
+  it('should rename a tag on every todo, merging with an existing tag', async () => {
+    const response = await api
+      .put('/api/tags/bug')
+      .send({ name: 'Backend' })
+      .expect(200);
+
+    expect(response.body).toEqual({ name: 'backend', count: 2 });
+    expect(await store.get('todos', 'todo-1')).toMatchObject({ tags: ['backend'], version: 2 });
+    expect(await store.get('todos', 'todo-3')).toMatchObject({ tags: ['frontend', 'backend'], version: 3 });
+    expect(await store.get('todos', 'todo-4')).toEqual({ ...seededTodos[3], ownerId: user.id });
+  });
+
+  it('should delete a tag from every todo', async () => {
+    const response = await api.delete('/api/tags/bug').expect(200);
+
+    expect(response.body).toEqual({ message: 'Tag deleted successfully', name: 'bug', count: 2 });
+    const tags = await api.get('/api/tags').expect(200);
+    expect(tags.body.map(tag => tag.name)).toEqual(['backend', 'frontend', 'release-1.2']);
+  });
+
+  it('should answer 404 for unknown tags', async () => {
+    await api.put('/api/tags/missing').send({ name: 'other' }).expect(404);
+    await api.delete('/api/tags/missing').expect(404);
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const { LAST_USED_RESOLUTION_MS } = require('../tokens');
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { errorResponse } = require('./helpers/responses');
+
+describe('Personal API tokens', () => {
+  let cleanup;
+  let store;
+  let app;
+  let alice;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp());
+    alice = await signUp(app, 'alice');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  // Create a token for alice and return a supertest agent that sends it
+  async function createToken(scopes, extra = {}) {
+    const response = await alice.api
+      .post('/api/tokens')
+      .send({ name: 'CI', scopes, ...extra })
+      .expect(201);
+    return {
+      api: request.agent(app).set('Authorization', `Bearer ${response.body.token}`),
+      token: response.body
+    };
+  }
+
+  describe('managing tokens', () => {
+    it('should show a new token once and store only its hash', async () => {
+      const response = await alice.api
+        .post('/api/tokens')
+        .send({ name: ' CI ', scopes: ['todos:write'] })
+        .expect(201);
+
+      expect(response.body).toEqual({
+        id: expect.any(String),
+        userId: alice.user.id,
+        name: 'CI',
+        scopes: ['todos:write'],
+        start: response.body.token.slice(0, 12),
+        createdAt: expect.any(String),
+        expiresAt: null,
+        lastUsedAt: null,
+        token: expect.stringMatching(/^tdp_[0-9a-f]{64}$/)
+      });
+      const [stored] = await store.list('tokens');
+      expect(stored.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain(response.body.token);
+
+      const { token, ...listed } = response.body;
+      await alice.api.get('/api/tokens').expect(200, [listed]);
+    });
+
+    it('should validate the name, scopes and expiry', async () => {
+      const response = await alice.api
+        .post('/api/tokens')
+        .send({ name: '', scopes: [], expiresInDays: 0 })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'name', message: 'Token name cannot be empty' },
+        { field: 'scopes', message: 'Scopes cannot be empty' },
+        { field: 'expiresInDays', message: 'Expiry in days must be at least 1' }
+      ]);
+      const unknown = await alice.api
+        .post('/api/tokens')
+        .send({ name: 'CI', scopes: ['admin'] })
+        .expect(400);
+      expect(unknown.body.details).toEqual([
+        { field: 'scopes[0]', message: 'Scope must be one of: todos:read, todos:write' }
+      ]);
+    });
+
+    it('should revoke a token so it can no longer be used', async () => {
+      const { api, token } = await createToken(['todos:read']);
+      await api.get('/api/todos').expect(200);
+
+      await alice.api.delete(`/api/tokens/${token.id}`).expect(200);
+
+      await api.get('/api/todos').expect(errorResponse(401, { error: 'Invalid token' }));
+      await alice.api.get('/api/tokens').expect(200, []);
+      await alice.api.delete(`/api/tokens/${token.id}`).expect(errorResponse(404, { error: 'Token not found' }));
+    });
+
+    it('should keep each user\'s tokens to themselves', async () => {
+      const { token } = await createToken(['todos:read']);
+      const bob = await signUp(app, 'bob');
+
+      await bob.api.get('/api/tokens').expect(200, []);
+      await bob.api.delete(`/api/tokens/${token.id}`).expect(404);
+    });
+  });
+
+  describe('using tokens', () => {
+    it('should act for the user within the token\'s scopes', async () => {
+      const writer = await createToken(['todos:write']);
+      const reader = await createToken(['todos:read']);
+
+      const created = await writer.api.post('/api/todos').send({ text: 'From CI' }).expect(201);
+      expect(created.body.ownerId).toBe(alice.user.id);
+      const todos = await reader.api.get('/api/todos').expect(200);
+      expect(todos.body.map(todo => todo.text)).toEqual(['From CI']);
+      await reader.api.get('/api/lists').expect(200);
+      await reader.api.get('/api/tags').expect(200);
+
+      const denied = await reader.api.put(`/api/todos/${created.body.id}`).send({ completed: true }).expect(403);
+      expect(denied.body).toEqual({
+        error: 'This token does not have the todos:write scope',
+        scopes: ['todos:read'],
+        requiredScope: 'todos:write',
+        requestId: expect.any(String)
+      });
+      await writer.api.get('/api/todos').expect(403);
+    });
+
+    it('should record the token in the audit log', async () => {
+      const { api, token } = await createToken(['todos:write']);
+
+      const created = await api.post('/api/todos').send({ text: 'From CI' }).expect(201);
+
+      const [event] = (await alice.api.get(`/api/todos/${created.body.id}/history`).expect(200)).body;
+      expect(event.actor).toEqual({
+        type: 'user',
+        id: alice.user.id,
+        username: 'alice',
+        token: { id: token.id, name: 'CI' }
+      });
+    });
+
+    it('should not reach account, sharing or token routes', async () => {
+      const { api } = await createToken(['todos:read', 'todos:write']);
+      const refused = { error: 'API tokens cannot be used for this endpoint' };
+
+      await api.get('/api/tokens').expect(errorResponse(403, refused));
+      await api
+        .post('/api/tokens')
+        .send({ name: 'Another', scopes: ['todos:read'] })
+        .expect(errorResponse(403, refused));
+      await api.post('/api/lists').send({ name: 'Work' }).expect(errorResponse(403, refused));
+      await api.get('/api/lists/default/members').expect(errorResponse(403, refused));
+      await api.get('/api/invitations').expect(errorResponse(403, refused));
+      await api.get('/api/audit').expect(errorResponse(403, refused));
+      await api.get('/api/auth/me').expect(errorResponse(403, refused));
+      await api.post('/api/auth/logout').expect(errorResponse(403, refused));
+    });
+
+    it('should track when a token was last used', async () => {
+      const { api, token } = await createToken(['todos:read']);
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await api.get('/api/todos').expect(200);
+      const [used] = (await alice.api.get('/api/tokens').expect(200)).body;
+      expect(used.lastUsedAt).toBe(new Date(now).toISOString());
+
+      Date.now.mockReturnValue(now + 1000);
+      await api.get('/api/todos').expect(200);
+      expect((await store.get('tokens', token.id)).lastUsedAt).toBe(new Date(now).toISOString());
+
+      Date.now.mockReturnValue(now + LAST_USED_RESOLUTION_MS);
+      await api.get('/api/todos').expect(200);
+      expect((await store.get('tokens', token.id)).lastUsedAt).toBe(
+        new Date(now + LAST_USED_RESOLUTION_MS).toISOString()
+      );
+    });
+
+    it('should refuse a token revoked while it is being checked', async () => {
+      const { api, token } = await createToken(['todos:read']);
+      const update = store.update;
+      jest.spyOn(store, 'update').mockImplementationOnce(async (collection, id, changes) => {
+        await store.remove('tokens', token.id);
+        return update(collection, id, changes);
+      });
+
+      await api.get('/api/todos').expect(errorResponse(401, { error: 'Invalid token' }));
+    });
+
+    it('should refuse expired and unknown tokens', async () => {
+      const { api } = await createToken(['todos:read'], { expiresInDays: 1 });
+      await api.get('/api/todos').expect(200);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 24 * 60 * 60 * 1000);
+
+      await api.get('/api/todos').expect(errorResponse(401, { error: 'Token expired' }));
+      await request(app)
+        .get('/api/todos')
+        .set('Authorization', 'Bearer tdp_unknown')
+        .expect(errorResponse(401, { error: 'Invalid token' }));
+    });
+  });
+});
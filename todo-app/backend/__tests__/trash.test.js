@@ -0,0 +1,176 @@
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { purgeTrash } = require('../trash');
+
+describe('Trash', () => {
+  let cleanup;
+  let store;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ store, app, cleanup } = await createTestApp());
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function createTodo(text, fields = {}) {
+    const response = await api
+      .post('/api/todos')
+      .send({ text, ...fields })
+      .expect(201);
+    return response.body;
+  }
+
+  async function deleteTodo(id) {
+    const response = await api.delete(`/api/todos/${id}`).expect(200);
+    return response.body.todo;
+  }
+
+  it('should hide deleted todos from every other route', async () => {
+    const todo = await createTodo('Throw away');
+    await createTodo('Keep');
+
+    await deleteTodo(todo.id);
+
+    const response = await api.get('/api/todos').expect(200);
+    expect(response.body.map(todo => todo.text)).toEqual(['Keep']);
+    expect(response.headers['x-total-count']).toBe('1');
+    await api.get(`/api/todos/${todo.id}`).expect(404);
+    await api.put(`/api/todos/${todo.id}`).send({ completed: true }).expect(404);
+    await api.delete(`/api/todos/${todo.id}`).expect(404);
+    await api.post(`/api/todos/${todo.id}/subtasks`).send({ text: 'Step' }).expect(404);
+  });
+
+  it('should list the trash most recently deleted first', async () => {
+    const first = await createTodo('First');
+    const second = await createTodo('Second');
+    await createTodo('Not deleted');
+
+    await deleteTodo(first.id);
+    await store.update('todos', first.id, { deletedAt: '2024-01-01T00:00:00.000Z' });
+    await deleteTodo(second.id);
+
+    const response = await api.get('/api/todos/trash').expect(200);
+    expect(response.body.map(todo => todo.text)).toEqual(['Second', 'First']);
+  });
+
+  it('should keep each list\'s trash separate', async () => {
+    const list = await api.post('/api/lists').send({ name: 'Work' }).expect(201);
+    const response = await api
+      .post(`/api/lists/${list.body.id}/todos`)
+      .send({ text: 'Report' })
+      .expect(201);
+    await api.delete(`/api/lists/${list.body.id}/todos/${response.body.id}`).expect(200);
+
+    await api.get('/api/todos/trash').expect(200, []);
+    const trash = await api.get(`/api/lists/${list.body.id}/todos/trash`).expect(200);
+    expect(trash.body.map(todo => todo.text)).toEqual(['Report']);
+    await api.post(`/api/todos/${response.body.id}/restore`).expect(404);
+  });
+
+  it('should restore a todo to its old place in the list', async () => {
+    const first = await createTodo('First');
+    await createTodo('Second');
+    const deleted = await deleteTodo(first.id);
+
+    const response = await api
+      .post(`/api/todos/${first.id}/restore`)
+      .set('If-Match', `"${deleted.version}"`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ text: 'First', deletedAt: null, version: 3 });
+    expect(response.headers.etag).toBe('"3"');
+    const todos = await api.get('/api/todos').expect(200);
+    expect(todos.body.map(todo => todo.text)).toEqual(['First', 'Second']);
+    await api.get('/api/todos/trash').expect(200, []);
+  });
+
+  it('should refuse to restore todos that are not in the trash', async () => {
+    const todo = await createTodo('Still here');
+
+    const response = await api.post(`/api/todos/${todo.id}/restore`).expect(409);
+    expect(response.body).toEqual({ error: 'Todo is not in the trash', requestId: expect.any(String) });
+    await api.post('/api/todos/missing/restore').expect(404);
+
+    await deleteTodo(todo.id);
+    await api.post(`/api/todos/${todo.id}/restore`).set('If-Match', '"1"').expect(412);
+  });
+
+  it('should move todos to the trash through bulk deletes', async () => {
+    const todo = await createTodo('Bulk');
+
+    await api
+      .post('/api/todos/bulk')
+      .send({ operations: [{ op: 'delete', id: todo.id }] })
+      .expect(200);
+
+    const trash = await api.get('/api/todos/trash').expect(200);
+    expect(trash.body.map(todo => todo.id)).toEqual([todo.id]);
+  });
+
+  it('should leave trashed todos out of tag counts and tag rewrites', async () => {
+    const todo = await createTodo('Tagged', { tags: ['home'] });
+    await createTodo('Also tagged', { tags: ['home'] });
+    await deleteTodo(todo.id);
+
+    await api.get('/api/tags').expect(200, [{ name: 'home', count: 1 }]);
+    await api.put('/api/tags/home').send({ name: 'house' }).expect(200, { name: 'house', count: 1 });
+    expect((await store.get('todos', todo.id)).tags).toEqual(['home']);
+  });
+
+  it('should empty the trash, optionally only of older todos', async () => {
+    const old = await createTodo('Old');
+    const recent = await createTodo('Recent');
+    await createTodo('Kept');
+    await deleteTodo(old.id);
+    await deleteTodo(recent.id);
+    const longAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    await store.update('todos', old.id, { deletedAt: longAgo });
+
+    const purged = await api.delete('/api/todos/trash?olderThanDays=7').expect(200);
+    expect(purged.body.message).toBe('Trash emptied successfully');
+    expect(purged.body.todos.map(todo => todo.text)).toEqual(['Old']);
+    expect(await store.get('todos', old.id)).toBeNull();
+
+    const emptied = await api.delete('/api/todos/trash').expect(200);
+    expect(emptied.body.todos.map(todo => todo.text)).toEqual(['Recent']);
+    expect((await store.list('todos')).map(todo => todo.text)).toEqual(['Kept']);
+  });
+
+  it('should validate olderThanDays', async () => {
+    const response = await api.delete('/api/todos/trash?olderThanDays=-1').expect(400);
+    expect(response.body.details).toEqual([
+      { field: 'olderThanDays', message: 'olderThanDays must be at least 0' }
+    ]);
+  });
+
+  it('should remove trashed todos together with their list', async () => {
+    const list = await api.post('/api/lists').send({ name: 'Errands' }).expect(201);
+    const todo = await api
+      .post(`/api/lists/${list.body.id}/todos`)
+      .send({ text: 'Post office' })
+      .expect(201);
+    await api.delete(`/api/lists/${list.body.id}/todos/${todo.body.id}`).expect(200);
+
+    await api.delete(`/api/lists/${list.body.id}`).expect(200);
+
+    expect(await store.list('todos')).toEqual([]);
+  });
+
+  it('should purge expired todos from every list', async () => {
+    await store.insert('todos', { id: 'a', listId: 'default', text: 'A', deletedAt: '2024-01-01T00:00:00.000Z' });
+    await store.insert('todos', { id: 'b', listId: 'work', text: 'B', deletedAt: '2024-01-20T00:00:00.000Z' });
+    await store.insert('todos', { id: 'c', listId: 'work', text: 'C', deletedAt: '2024-01-02T00:00:00.000Z' });
+
+    const purged = await store.transaction(tx =>
+      purgeTrash(tx, { olderThanDays: 30, now: new Date('2024-02-01T12:00:00.000Z') })
+    );
+
+    expect(purged.map(todo => todo.id)).toEqual(['a', 'c']);
+    expect((await store.list('todos')).map(todo => todo.id)).toEqual(['b']);
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+const { todoSchema, validate, TODO_TEXT_MAX_LENGTH } = require('../validation');
+
+describe('validate', () => {
+  it('should return trimmed values when the input is valid', () => {
+    expect(validate(todoSchema, { text: '  Buy milk  ', completed: true })).toEqual({
+      value: { text: 'Buy milk', completed: true },
+      details: []
+    });
+  });
+
+  it('should only require fields for full validation', () => {
+    expect(validate(todoSchema, {}).details).toEqual([
+      { field: 'text', message: 'Todo text is required' }
+    ]);
+    expect(validate(todoSchema, { completed: true }, { partial: true })).toEqual({
+      value: { completed: true },
+      details: []
+    });
+  });
+
+  it('should require at least one field for partial validation', () => {
+    expect(validate(todoSchema, {}, { partial: true }).details).toEqual([
+      { field: 'body', message: 'No fields to update' }
+    ]);
+  });
+
+  it('should report every problem at once', () => {
+    const { details } = validate(todoSchema, { text: 5, completed: 'yes', owner: 'me' });
+
+    expect(details).toEqual([
+      { field: 'owner', message: 'Unknown field "owner"' },
+      { field: 'text', message: 'Todo text must be a string' },
+      { field: 'completed', message: 'Completed must be a boolean' }
+    ]);
+  });
+
+  it('should reject input that is not an object', () => {
+    expect(validate(todoSchema, ['text']).details).toEqual([
+      { field: 'body', message: 'Request body must be an object' }
+    ]);
+  });
+});
+
+describe('Todo payload validation', () => {
+  let cleanup;
+  let file;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ file, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    await fs.writeFile(file, JSON.stringify([{
+      id: 'test-id-1',
+      text: 'Original todo',
+      completed: false,
+      createdAt: '2023-01-01T00:00:00.000Z'
+    }]));
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should accept text of exactly the maximum length', async () => {
+    const text = 'a'.repeat(TODO_TEXT_MAX_LENGTH);
+
+    const response = await api.post('/api/todos').send({ text }).expect(201);
+
+    expect(response.body.text).toBe(text);
+  });
+
+  it('should reject text longer than the maximum length', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({ text: 'a'.repeat(TODO_TEXT_MAX_LENGTH + 1) })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Validation failed',
+      details: [{ field: 'text', message: 'Todo text must be at most 200 characters' }],
+      requestId: expect.any(String)
+    });
+  });
+
+  it('should reject unknown fields on create', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({ text: 'New todo', id: 'chosen-by-client' })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      { field: 'id', message: 'Unknown field "id"' }
+    ]);
+  });
+
+  it('should reject a non-boolean completed value on update', async () => {
+    const response = await api
+      .put('/api/todos/test-id-1')
+      .send({ completed: 'yes' })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Validation failed',
+      details: [{ field: 'completed', message: 'Completed must be a boolean' }],
+      requestId: expect.any(String)
+    });
+
+    const todo = await api.get('/api/todos/test-id-1');
+    expect(todo.body.completed).toBe(false);
+  });
+
+  it('should create a todo that is already completed', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send({ text: 'Done already', completed: true })
+      .expect(201);
+
+    expect(response.body.completed).toBe(true);
+  });
+
+  it('should reject an update without fields and leave the todo unchanged', async () => {
+    const before = await api.get('/api/todos/test-id-1');
+    const response = await api.put('/api/todos/test-id-1').send({}).expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Validation failed',
+      details: [{ field: 'body', message: 'No fields to update' }],
+      requestId: expect.any(String)
+    });
+
+    const todo = await api.get('/api/todos/test-id-1');
+    expect(todo.headers.etag).toBe(before.headers.etag);
+    expect(todo.body.updatedAt).toBeUndefined();
+  });
+
+  it('should reject unknown fields on update', async () => {
+    const response = await api
+      .put('/api/todos/test-id-1')
+      .send({ text: 'Renamed', createdAt: '2020-01-01T00:00:00.000Z' })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      { field: 'createdAt', message: 'Unknown field "createdAt"' }
+    ]);
+  });
+
+  it('should reject a JSON body that is not an object', async () => {
+    const response = await api
+      .post('/api/todos')
+      .send(['New todo'])
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      { field: 'body', message: 'Request body must be an object' }
+    ]);
+  });
+
+  it('should answer malformed JSON with the same error shape', async () => {
+    const response = await api
+      .post('/api/todos')
+      .set('Content-Type', 'application/json')
+      .send('{"text": ')
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Invalid JSON in request body',
+      details: [{ field: 'body', message: expect.any(String) }],
+      requestId: expect.any(String)
+    });
+  });
+});
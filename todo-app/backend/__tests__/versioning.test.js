@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const { signUp } = require('./helpers/auth');
+const { createTestApp } = require('./helpers/app');
+
+describe('Optimistic concurrency', () => {
+  let cleanup;
+  let file;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    ({ file, app, cleanup } = await createTestApp({ legacyOwner: 'alice' }));
+    ({ api } = await signUp(app));
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function createTodo(text = 'Versioned todo') {
+    const response = await api.post('/api/todos').send({ text }).expect(201);
+    return response;
+  }
+
+  it('should return version 1 and an ETag for a new todo', async () => {
+    const response = await createTodo();
+
+    expect(response.body.version).toBe(1);
+    expect(response.headers.etag).toBe('"1"');
+  });
+
+  it('should return the ETag when fetching a single todo', async () => {
+    const created = await createTodo();
+
+    const response = await api
+      .get(`/api/todos/${created.body.id}`)
+      .expect(200);
+
+    expect(response.body).toEqual(created.body);
+    expect(response.headers.etag).toBe('"1"');
+  });
+
+  it('should return 404 when fetching a missing todo', async () => {
+    const response = await api.get('/api/todos/missing').expect(404);
+
+    expect(response.body).toEqual({ error: 'Todo not found', requestId: expect.any(String) });
+  });
+
+  it('should increment the version on every update', async () => {
+    const created = await createTodo();
+
+    await api.put(`/api/todos/${created.body.id}`).send({ completed: true }).expect(200);
+    const response = await api
+      .put(`/api/todos/${created.body.id}`)
+      .send({ text: 'Renamed' })
+      .expect(200);
+
+    expect(response.body.version).toBe(3);
+    expect(response.headers.etag).toBe('"3"');
+  });
+
+  it('should update when If-Match matches the current ETag', async () => {
+    const created = await createTodo();
+
+    const response = await api
+      .put(`/api/todos/${created.body.id}`)
+      .set('If-Match', created.headers.etag)
+      .send({ completed: true })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ completed: true, version: 2 });
+  });
+
+  it('should accept If-Match with a list of ETags or a wildcard', async () => {
+    const created = await createTodo();
+
+    await api
+      .put(`/api/todos/${created.body.id}`)
+      .set('If-Match', '"7", "1"')
+      .send({ completed: true })
+      .expect(200);
+
+    await api
+      .put(`/api/todos/${created.body.id}`)
+      .set('If-Match', '*')
+      .send({ completed: false })
+      .expect(200);
+  });
+
+  it('should return 412 and the current todo when If-Match is stale', async () => {
+    const created = await createTodo();
+    const staleETag = created.headers.etag;
+    await api
+      .put(`/api/todos/${created.body.id}`)
+      .set('If-Match', staleETag)
+      .send({ text: 'Edited in another tab' })
+      .expect(200);
+
+    const response = await api
+      .put(`/api/todos/${created.body.id}`)
+      .set('If-Match', staleETag)
+      .send({ text: 'Stale edit' })
+      .expect(412);
+
+    expect(response.headers.etag).toBe('"2"');
+    expect(response.body).toEqual({
+      error: 'Todo has been modified by another request',
+      todo: expect.objectContaining({ text: 'Edited in another tab', version: 2 }),
+      requestId: expect.any(String)
+    });
+
+    const current = await api.get(`/api/todos/${created.body.id}`);
+    expect(current.body.text).toBe('Edited in another tab');
+  });
+
+  it('should not treat a weak ETag as a match', async () => {
+    const created = await createTodo();
+
+    await api
+      .put(`/api/todos/${created.body.id}`)
+      .set('If-Match', 'W/"1"')
+      .send({ completed: true })
+      .expect(412);
+  });
+
+  it('should let only one of two updates with the same ETag succeed', async () => {
+    const created = await createTodo();
+
+    const responses = await Promise.all(['Tab A', 'Tab B'].map(text =>
+      api
+        .put(`/api/todos/${created.body.id}`)
+        .set('If-Match', created.headers.etag)
+        .send({ text })
+    ));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 412]);
+  });
+
+  it('should delete when If-Match matches and refuse when it is stale', async () => {
+    const created = await createTodo();
+    await api.put(`/api/todos/${created.body.id}`).send({ completed: true }).expect(200);
+
+    await api
+      .delete(`/api/todos/${created.body.id}`)
+      .set('If-Match', '"1"')
+      .expect(412);
+
+    await api
+      .delete(`/api/todos/${created.body.id}`)
+      .set('If-Match', '"2"')
+      .expect(200);
+
+    await api.get(`/api/todos/${created.body.id}`).expect(404);
+  });
+
+  it('should treat todos stored without a version as version 1', async () => {
+    await fs.writeFile(file, JSON.stringify([{
+      id: 'legacy',
+      text: 'Legacy todo',
+      completed: false,
+      createdAt: '2023-01-01T00:00:00.000Z'
+    }]));
+    ({ api } = await signUp(app));
+
+    const response = await api
+      .put('/api/todos/legacy')
+      .set('If-Match', '"1"')
+      .send({ completed: true })
+      .expect(200);
+
+    expect(response.body.version).toBe(2);
+  });
+});
@@ -1,335 +1,1629 @@
+const crypto = require("crypto");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
-const fs = require("fs").promises;
-const path = require("path");
+const { createStore, CorruptDataError } = require("./storage");
+const { createLogger } = require("./logger");
+const { runWithContext } = require("./context");
+const { CONTENT_TYPE, createMetrics, instrumentStore } = require("./metrics");
+const { DEFAULT_FEATURES } = require("./config");
+const { liveness, readiness } = require("./health");
+const queryTodos = require("./query");
+const {
+  DEFAULT_LIST_ID,
+  belongsToList,
+  isDeleted,
+  inList,
+  listTodos,
+  todoETag,
+  etagMatches,
+  createTodoRecord,
+  todoChanges,
+  updateTodoRecord,
+  applyBulkOperation,
+} = require("./todos");
+const { nextPosition, planMove } = require("./ordering");
+const {
+  listLists,
+  getList,
+  createListRecord,
+  updateList,
+  removeList,
+} = require("./lists");
+const { listTags, renameTag, removeTag } = require("./tags");
+const { listTrash, purgeTrash } = require("./trash");
+const { withAudit, queryAudit } = require("./audit");
+const {
+  HEARTBEAT_MS,
+  createEventHub,
+  formatEvent,
+  missedChanges,
+} = require("./events");
+const {
+  hasRole,
+  listMembers,
+  listInvitations,
+  inviteMember,
+  acceptInvitation,
+  removeInvitation,
+  changeMemberRole,
+  removeMember,
+} = require("./sharing");
+const {
+  publicUser,
+  hashPassword,
+  registerUser,
+  authenticateUser,
+  createSession,
+  resolveToken,
+} = require("./auth");
+const {
+  isApiToken,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+  resolveApiToken,
+} = require("./tokens");
+const {
+  IDEMPOTENCY_KEY_MAX_LENGTH,
+  requestFingerprint,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require("./idempotency");
+const {
+  addSubtask,
+  updateSubtask,
+  removeSubtask,
+  reorderSubtasks,
+  subtaskChanges,
+} = require("./subtasks");
+const {
+  todoSchema,
+  subtaskSchema,
+  subtaskOrderSchema,
+  moveSchema,
+  listSchema,
+  tagRenameSchema,
+  credentialsSchema,
+  registrationSchema,
+  invitationSchema,
+  memberRoleSchema,
+  apiTokenSchema,
+  todoQuerySchema,
+  trashPurgeQuerySchema,
+  auditQuerySchema,
+  validateBulk,
+  validateBody,
+  validateQuery,
+} = require("./validation");
+
+// The frontend, served alongside the API so it finds it on the same origin
+const FRONTEND_DIR = path.join(__dirname, "..", "frontend");
 
-const DATA_FILE = path.join(__dirname, "data.json");
+// What an X-Request-Id from upstream may look like to be kept
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
 
-// Logging utility functions
-function generateRequestId() {
-  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+// The request's ID: the one a client or proxy sent in X-Request-Id, so a
+// request can be followed across services, or a new UUID
+function requestIdFor(req) {
+  const incoming = req.get("X-Request-Id");
+  return incoming && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
 }
 
-function formatTimestamp() {
-  return new Date().toISOString();
+// The route a request matched, as its path pattern so that requests for
+// different todos are counted together. Todo routes take their prefix from
+// req.routePrefix, as req.baseUrl holds the actual list ID.
+function routeLabel(req) {
+  if (!req.route) {
+    return "unmatched";
+  }
+  const prefix = req.routePrefix !== undefined ? req.routePrefix : req.baseUrl;
+  return req.route.path === "/" && prefix
+    ? prefix
+    : `${prefix}${req.route.path}`;
 }
 
-function logRequest(req, requestId, startTime) {
-  // Only log in non-test environment
-  if (process.env.NODE_ENV !== "test") {
-    console.log("\n=== INCOMING REQUEST ===");
-    console.log(`Request ID: ${requestId}`);
-    console.log(`Timestamp: ${formatTimestamp()}`);
-    console.log(`Method: ${req.method}`);
-    console.log(`URL: ${req.url}`);
-    console.log(`IP: ${req.ip || req.connection.remoteAddress}`);
-    console.log(`User-Agent: ${req.get("User-Agent") || "N/A"}`);
-    console.log(`Headers:`, JSON.stringify(req.headers, null, 2));
+// Respond to a failed storage operation. A corrupt data file is reported as
+// 503 so it is not mistaken for an ordinary request failure.
+function sendStorageError(res, error, message) {
+  if (error instanceof CorruptDataError) {
+    return res.status(503).json({ error: `${message}: data file is corrupt` });
+  }
+  return res.status(500).json({ error: message });
+}
 
-    if (req.body && Object.keys(req.body).length > 0) {
-      console.log(`Body:`, JSON.stringify(req.body, null, 2));
-    }
+// Thrown inside the bulk transaction to discard its changes
+const BULK_ROLLBACK = new Error("Bulk operation rolled back");
 
-    if (req.params && Object.keys(req.params).length > 0) {
-      console.log(`Params:`, JSON.stringify(req.params, null, 2));
-    }
+// Check the request's If-Match header against the todo's current ETag
+function ifMatchSatisfied(req, todo) {
+  return etagMatches(req.get("If-Match"), todo);
+}
 
-    if (req.query && Object.keys(req.query).length > 0) {
-      console.log(`Query:`, JSON.stringify(req.query, null, 2));
-    }
-  }
+// Every todo the user owns, across their lists
+async function ownTodos(tx, user) {
+  return (await tx.list("todos")).filter((todo) => todo.ownerId === user.id);
 }
 
-function logResponse(res, requestId, startTime, responseBody) {
-  // Only log in non-test environment
-  if (process.env.NODE_ENV !== "test") {
-    const duration = Date.now() - startTime;
-    console.log("\n=== OUTGOING RESPONSE ===");
-    console.log(`Request ID: ${requestId}`);
-    console.log(`Timestamp: ${formatTimestamp()}`);
-    console.log(`Status Code: ${res.statusCode}`);
-    console.log(`Duration: ${duration}ms`);
-    console.log(`Response Headers:`, JSON.stringify(res.getHeaders(), null, 2));
-
-    if (responseBody) {
-      console.log(`Response Body:`, JSON.stringify(responseBody, null, 2));
-    }
-    console.log("========================\n");
-  }
+// Reject a stale write, returning the current todo so the client can
+// resolve the conflict
+function sendVersionConflict(req, res, todo) {
+  req.log.info("Precondition failed", {
+    ifMatch: req.get("If-Match"),
+    etag: todoETag(todo),
+  });
+  return res.status(412).set("ETag", todoETag(todo)).json({
+    error: "Todo has been modified by another request",
+    todo,
+  });
 }
 
-// Helper function to read todos from file
-async function readTodos() {
-  try {
-    const data = await fs.readFile(DATA_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    if (process.env.NODE_ENV !== "test") {
-      console.error("Error reading todos:", error);
-    }
-    return [];
+// Who made a request, as recorded in the audit log, including the API token
+// it was made with
+function requestActor(req) {
+  const actor = { type: "user", id: req.user.id, username: req.user.username };
+  if (req.apiToken) {
+    actor.token = { id: req.apiToken.id, name: req.apiToken.name };
   }
+  return actor;
 }
 
-// Helper function to write todos to file
-async function writeTodos(todos) {
-  try {
-    await fs.writeFile(DATA_FILE, JSON.stringify(todos, null, 2));
-  } catch (error) {
-    if (process.env.NODE_ENV !== "test") {
-      console.error("Error writing todos:", error);
-    }
-    throw error;
-  }
+// The scope an API token needs for a todo or tag request
+function scopeForMethod(method) {
+  return method === "GET" || method === "HEAD" ? "todos:read" : "todos:write";
 }
 
-// Generate unique ID
-function generateId() {
-  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+// Refuse a request that has no valid session
+function sendUnauthorized(req, res, error) {
+  req.log.info("Unauthorized", { reason: error });
+  return res.status(401).set("WWW-Authenticate", "Bearer").json({ error });
 }
 
-function createApp() {
-  const app = express();
+// What each role may do, as told to users who lack it
+const ROLE_DESCRIPTIONS = {
+  viewer: "members of this list",
+  editor: "editors and the owner of this list",
+  owner: "the owner of this list",
+};
 
-  // Request logging middleware
-  app.use((req, res, next) => {
-    const requestId = generateRequestId();
-    const startTime = Date.now();
+// Only let users with at least the given role on req.list through
+function requireRole(required) {
+  return (req, res, next) => {
+    if (hasRole(req.list.role, required)) {
+      return next();
+    }
+    req.log.info("Forbidden", {
+      listId: req.list.id,
+      role: req.list.role,
+      requiredRole: required,
+    });
+    res.status(403).json({
+      error: `Only ${ROLE_DESCRIPTIONS[required]} can do this`,
+      role: req.list.role,
+      requiredRole: required,
+    });
+  };
+}
 
-    // Add request ID to request object for use in routes
-    req.requestId = requestId;
-    req.startTime = startTime;
+// Create the app from a config object as returned by loadConfig(), whose
+// settings all have defaults here too. The store, event hub, logger and
+// metrics registry it builds can be passed in instead.
+function createApp(options = {}) {
+  const app = express();
+  const features = { ...DEFAULT_FEATURES, ...options.features };
+  // Without a metrics registry there is no /metrics endpoint and nothing is
+  // measured
+  const metrics =
+    options.metrics || (features.metrics ? createMetrics() : undefined);
+  const baseStore =
+    options.store ||
+    createStore({ driver: options.storageDriver, file: options.dataFile });
+  const store = metrics ? instrumentStore(baseStore, metrics) : baseStore;
+  // Without a configured secret, tokens only last until the process exits
+  const authSecret =
+    options.authSecret || crypto.randomBytes(32).toString("hex");
+  const sessionTtlMs = options.sessionTtlMs;
+  // Username of the user given the data stored before accounts existed
+  const legacyOwner = options.legacyOwner;
+  const events = options.events || createEventHub();
+  const heartbeatMs = options.heartbeatMs || HEARTBEAT_MS;
+  const idempotencyWindowMs = options.idempotencyWindowMs;
+  const logger = options.logger || createLogger({ level: options.logLevel });
+  // Least free disk space, in bytes, for the app to report itself ready
+  const minFreeDiskBytes = options.minFreeDiskBytes;
 
-    // Log incoming request
-    logRequest(req, requestId, startTime);
+  // Run fn in a transaction whose todo changes are recorded in the audit log
+  // against the request, and published to event streams once it commits
+  async function auditedTransaction(req, fn) {
+    const recorded = [];
+    const result = await store.transaction((tx) =>
+      fn(
+        withAudit(tx, {
+          actor: requestActor(req),
+          onRecord: (event, todo) => recorded.push({ event, todo }),
+        })
+      )
+    );
+    events.publish(recorded);
+    return result;
+  }
+
+  // Give each request an ID, returned in X-Request-Id and in error bodies
+  // so users can report it, and a logger tagged with it. One entry is logged
+  // per request once it is over, adding headers and bodies at debug level.
+  app.use((req, res, next) => {
+    req.requestId = requestIdFor(req);
+    req.startTime = Date.now();
+    req.log = logger.child({ requestId: req.requestId });
+    const debug = req.log.isLevelEnabled("debug");
+    res.set("X-Request-Id", req.requestId);
 
-    // Override res.json to capture response body
+    let responseBody;
     const originalJson = res.json;
     res.json = function (body) {
-      logResponse(res, requestId, startTime, body);
+      if (
+        res.statusCode >= 400 &&
+        body &&
+        typeof body === "object" &&
+        !Array.isArray(body)
+      ) {
+        body = { ...body, requestId: req.requestId };
+      }
+      responseBody = body;
       return originalJson.call(this, body);
     };
 
-    // Override res.send to capture response body for non-JSON responses
-    const originalSend = res.send;
-    res.send = function (body) {
-      logResponse(res, requestId, startTime, body);
-      return originalSend.call(this, body);
+    const logCompletion = () => {
+      const fields = {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - req.startTime,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      };
+      if (!res.writableFinished) {
+        fields.aborted = true;
+      }
+      if (debug) {
+        fields.requestHeaders = req.headers;
+        fields.requestBody = req.body;
+        fields.responseBody = responseBody;
+      }
+      req.log[res.statusCode >= 500 ? "error" : "info"](
+        "Request completed",
+        fields
+      );
+      if (metrics) {
+        metrics.observeRequest({ ...fields, route: routeLabel(req) });
+      }
     };
+    // Responses the client stopped waiting for, such as event streams, end
+    // with close rather than finish
+    res.on("finish", logCompletion);
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        logCompletion();
+      }
+    });
 
     next();
   });
 
   // Middleware
-  app.use(cors());
-  app.use(express.json());
+  app.use(
+    cors({
+      origin: options.corsOrigins || "*",
+      exposedHeaders: [
+        "ETag",
+        "X-Total-Count",
+        "Idempotent-Replayed",
+        "X-Request-Id",
+      ],
+    })
+  );
+  app.use(express.json({ limit: options.bodyLimit }));
+  app.use(express.static(FRONTEND_DIR));
 
-  // Routes
+  // Carry the request ID through everything the handlers go on to do. This
+  // comes after body parsing, whose stream events would lose the context.
+  app.use((req, res, next) =>
+    runWithContext({ requestId: req.requestId }, next)
+  );
+
+  function bearerToken(req) {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    return scheme === "Bearer" && token ? token : null;
+  }
 
-  // GET /api/todos - Fetch all todos
-  app.get("/api/todos", async (req, res) => {
-    if (process.env.NODE_ENV !== "test") {
-      console.log(
-        `[${req.requestId}] Processing GET /api/todos - Fetching all todos`
+  // Let a request made with an API token through to the routes it may use,
+  // resolving it to req.user and req.apiToken. scope names the scope the
+  // token needs, or is a function of the request method. Other requests are
+  // left to requireAuth.
+  function acceptApiToken(scope) {
+    return async (req, res, next) => {
+      const token = bearerToken(req);
+      if (!token || !isApiToken(token)) {
+        return next();
+      }
+      try {
+        const result = await resolveApiToken(store, token);
+        if (result.error) {
+          return sendUnauthorized(req, res, result.error);
+        }
+        const required =
+          typeof scope === "function" ? scope(req.method) : scope;
+        if (!result.token.scopes.includes(required)) {
+          req.log.info("Forbidden", {
+            tokenId: result.token.id,
+            requiredScope: required,
+          });
+          return res.status(403).json({
+            error: `This token does not have the ${required} scope`,
+            scopes: result.token.scopes,
+            requiredScope: required,
+          });
+        }
+        req.user = result.user;
+        req.apiToken = result.token;
+        next();
+      } catch (error) {
+        req.log.error("Error checking API token", { error });
+        sendStorageError(res, error, "Failed to check API token");
+      }
+    };
+  }
+
+  // Resolve the bearer token to req.user, or answer 401. API tokens only get
+  // this far on routes that do not accept them.
+  async function requireAuth(req, res, next) {
+    if (req.apiToken) {
+      return next();
+    }
+    const token = bearerToken(req);
+    if (!token) {
+      return sendUnauthorized(req, res, "Authentication required");
+    }
+    if (isApiToken(token)) {
+      return res
+        .status(403)
+        .json({ error: "API tokens cannot be used for this endpoint" });
+    }
+    try {
+      const { user, session, error } = await resolveToken(
+        store,
+        token,
+        authSecret
       );
+      if (error) {
+        return sendUnauthorized(req, res, error);
+      }
+      req.user = user;
+      req.session = session;
+      next();
+    } catch (error) {
+      req.log.error("Error checking session", { error });
+      sendStorageError(res, error, "Failed to check session");
+    }
+  }
+
+  // API tokens can read and change todos and tags, and look up lists
+  app.use(
+    ["/api/todos", "/api/lists/:listId/todos", "/api/tags"],
+    acceptApiToken(scopeForMethod)
+  );
+  app.get(
+    ["/api/lists", "/api/lists/:listId", "/api/events"],
+    acceptApiToken("todos:read")
+  );
+  app.use(
+    [
+      "/api/todos",
+      "/api/lists",
+      "/api/tags",
+      "/api/audit",
+      "/api/invitations",
+      "/api/tokens",
+      "/api/events",
+    ],
+    requireAuth
+  );
+
+  // Make writes carrying an Idempotency-Key safe to retry: a repeat of a
+  // request that succeeded is answered with the stored response, marked
+  // with Idempotent-Replayed, instead of being applied again
+  async function honorIdempotencyKey(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (!key || req.method === "GET" || req.method === "HEAD") {
+      return next();
+    }
+    if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`,
+      });
     }
+
+    let result;
     try {
-      const todos = await readTodos();
-      if (process.env.NODE_ENV !== "test") {
-        console.log(
-          `[${req.requestId}] Successfully fetched ${todos.length} todos`
-        );
+      result = await store.transaction((tx) =>
+        reserveIdempotencyKey(tx, req.user, key, requestFingerprint(req), {
+          windowMs: idempotencyWindowMs,
+        })
+      );
+    } catch (error) {
+      req.log.error("Error checking idempotency key", { error });
+      return sendStorageError(res, error, "Failed to check idempotency key");
+    }
+
+    if (result.conflict === "mismatch") {
+      return res.status(422).json({
+        error: "Idempotency-Key has already been used for a different request",
+      });
+    }
+    if (result.conflict === "in-progress") {
+      return res.status(409).json({
+        error: "A request with this Idempotency-Key is still in progress",
+      });
+    }
+    if (result.replay) {
+      req.log.info("Replaying idempotent response", { idempotencyKey: key });
+      const { status, headers, body } = result.replay.response;
+      return res
+        .status(status)
+        .set({ ...headers, "Idempotent-Replayed": "true" })
+        .json(body);
+    }
+
+    // Store the response before sending it, so a repeat sent as soon as it
+    // arrives is replayed. Any other outcome frees the key for a retry.
+    const { id } = result.reserved;
+    let settled = false;
+    const settle = (body) => {
+      settled = true;
+      if (body !== undefined && res.statusCode >= 200 && res.statusCode < 300) {
+        const headers = res.get("ETag") ? { ETag: res.get("ETag") } : {};
+        return completeIdempotencyKey(store, id, {
+          status: res.statusCode,
+          headers,
+          body,
+        });
+      }
+      return releaseIdempotencyKey(store, id);
+    };
+    const logFailure = (error) => {
+      req.log.error("Error storing idempotent response", { error });
+    };
+
+    const json = res.json;
+    res.json = function (body) {
+      settle(body)
+        .catch(logFailure)
+        .then(() => json.call(this, body));
+      return this;
+    };
+    res.on("close", () => {
+      if (!settled) {
+        settle(undefined).catch(logFailure);
       }
-      res.json(todos);
+    });
+    next();
+  }
+
+  // Todo writes, single or bulk, may be retried with an Idempotency-Key
+  app.use(["/api/todos", "/api/lists/:listId/todos"], honorIdempotencyKey);
+
+  // Resolve the list the request is scoped to, with the user's role on it,
+  // to req.list. Lists the user cannot see answer 404.
+  async function loadList(req, res, next) {
+    try {
+      const list = await getList(
+        store,
+        req.params.listId || DEFAULT_LIST_ID,
+        req.user
+      );
+      if (!list) {
+        req.log.info("List not found", { listId: req.params.listId });
+        return res.status(404).json({ error: "List not found" });
+      }
+      req.list = list;
+      next();
     } catch (error) {
-      if (process.env.NODE_ENV !== "test") {
-        console.error(`[${req.requestId}] Error fetching todos:`, error);
+      req.log.error("Error fetching list", { error });
+      sendStorageError(res, error, "Failed to fetch list");
+    }
+  }
+
+  // Routes
+
+  // POST /api/auth/register - Create an account and log in
+  app.post(
+    "/api/auth/register",
+    validateBody(registrationSchema),
+    async (req, res) => {
+      if (!features.registration) {
+        return res.status(403).json({ error: "Registration is disabled" });
+      }
+      req.log.debug("Registering user", { username: req.body.username });
+      try {
+        const { username, password } = req.body;
+        const passwordHash = await hashPassword(password);
+        const result = await store.transaction(async (tx) => {
+          const user = await registerUser(
+            tx,
+            { username, passwordHash },
+            { legacyOwner }
+          );
+          if (!user) {
+            return null;
+          }
+          const session = await createSession(tx, user, {
+            secret: authSecret,
+            ttlMs: sessionTtlMs,
+          });
+          return { user: publicUser(user), ...session };
+        });
+        if (!result) {
+          return res.status(409).json({ error: "Username is already taken" });
+        }
+        res.status(201).json(result);
+      } catch (error) {
+        req.log.error("Error registering user", { error });
+        sendStorageError(res, error, "Failed to register");
+      }
+    }
+  );
+
+  // POST /api/auth/login - Exchange a username and password for a token
+  app.post(
+    "/api/auth/login",
+    validateBody(credentialsSchema),
+    async (req, res) => {
+      req.log.debug("Logging in", { username: req.body.username });
+      try {
+        const user = await authenticateUser(store, req.body);
+        if (!user) {
+          return sendUnauthorized(req, res, "Invalid username or password");
+        }
+        const session = await store.transaction((tx) =>
+          createSession(tx, user, { secret: authSecret, ttlMs: sessionTtlMs })
+        );
+        res.json({ user: publicUser(user), ...session });
+      } catch (error) {
+        req.log.error("Error logging in", { error });
+        sendStorageError(res, error, "Failed to log in");
       }
-      res.status(500).json({ error: "Failed to fetch todos" });
+    }
+  );
+
+  // POST /api/auth/logout - End the current session, revoking its token
+  app.post("/api/auth/logout", requireAuth, async (req, res) => {
+    try {
+      await store.remove("sessions", req.session.id);
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      req.log.error("Error logging out", { error });
+      sendStorageError(res, error, "Failed to log out");
+    }
+  });
+
+  // GET /api/auth/me - Fetch the logged-in user
+  app.get("/api/auth/me", requireAuth, (req, res) => {
+    res.json(req.user);
+  });
+
+  // GET /api/tokens - Fetch the user's personal API tokens
+  app.get("/api/tokens", async (req, res) => {
+    try {
+      res.json(await listApiTokens(store, req.user));
+    } catch (error) {
+      req.log.error("Error fetching API tokens", { error });
+      sendStorageError(res, error, "Failed to fetch API tokens");
     }
   });
 
-  // POST /api/todos - Create new todo
-  app.post("/api/todos", async (req, res) => {
-    if (process.env.NODE_ENV !== "test") {
-      console.log(
-        `[${req.requestId}] Processing POST /api/todos - Creating new todo`
+  // POST /api/tokens - Create a personal API token, returned only this once
+  app.post("/api/tokens", validateBody(apiTokenSchema), async (req, res) => {
+    req.log.debug("Creating API token", { name: req.body.name });
+    try {
+      const token = await store.transaction((tx) =>
+        createApiToken(tx, req.user, req.body)
       );
-      console.log(`[${req.requestId}] Todo text: "${req.body.text}"`);
+      res.status(201).json(token);
+    } catch (error) {
+      req.log.error("Error creating API token", { error });
+      sendStorageError(res, error, "Failed to create API token");
     }
+  });
 
+  // DELETE /api/tokens/:id - Revoke a personal API token
+  app.delete("/api/tokens/:id", async (req, res) => {
+    req.log.debug("Revoking API token", { tokenId: req.params.id });
     try {
-      const { text } = req.body;
+      const token = await store.transaction((tx) =>
+        revokeApiToken(tx, req.params.id, req.user)
+      );
+      if (!token) {
+        return res.status(404).json({ error: "Token not found" });
+      }
+      res.json({ message: "Token revoked successfully", token });
+    } catch (error) {
+      req.log.error("Error revoking API token", { error });
+      sendStorageError(res, error, "Failed to revoke API token");
+    }
+  });
 
-      if (!text || text.trim() === "") {
-        if (process.env.NODE_ENV !== "test") {
-          console.log(
-            `[${req.requestId}] Validation failed: Todo text is required`
+  // Todo routes, mounted for the default list at /api/todos and for any list
+  // at /api/lists/:listId/todos. Todos in other lists are treated as missing.
+  // Each route names the role it needs on the list.
+  const todoRouter = express.Router({ mergeParams: true });
+  todoRouter.use((req, res, next) => {
+    req.routePrefix =
+      req.params.listId === undefined
+        ? "/api/todos"
+        : "/api/lists/:listId/todos";
+    next();
+  });
+  todoRouter.use(loadList);
+
+  // GET / - Fetch the list's todos, optionally filtered, sorted and paginated
+  todoRouter.get(
+    "/",
+    requireRole("viewer"),
+    validateQuery(todoQuerySchema),
+    async (req, res) => {
+      req.log.debug("Fetching todos");
+      try {
+        const todos = await listTodos(store, req.list);
+        const { items, total } = queryTodos(todos, req.query);
+        req.log.debug("Fetched todos", { count: items.length, total });
+        res.set("X-Total-Count", String(total)).json(items);
+      } catch (error) {
+        req.log.error("Error fetching todos", { error });
+        sendStorageError(res, error, "Failed to fetch todos");
+      }
+    }
+  );
+
+  // POST / - Create new todo in the list
+  todoRouter.post(
+    "/",
+    requireRole("editor"),
+    validateBody(todoSchema),
+    async (req, res) => {
+      req.log.debug("Creating todo", { text: req.body.text });
+
+      try {
+        // New todos go to the end of the list
+        const newTodo = await auditedTransaction(req, async (tx) => {
+          const todo = createTodoRecord(req.body, {
+            list: req.list,
+            position: nextPosition(await listTodos(tx, req.list)),
+          });
+          return tx.insert("todos", todo);
+        });
+
+        req.log.info("Created todo", { todoId: newTodo.id });
+        res.status(201).set("ETag", todoETag(newTodo)).json(newTodo);
+      } catch (error) {
+        req.log.error("Error creating todo", { error });
+        sendStorageError(res, error, "Failed to create todo");
+      }
+    }
+  );
+
+  // POST /bulk - Apply create, update and delete operations atomically
+  todoRouter.post(
+    "/bulk",
+    requireRole("editor"),
+    validateBody(validateBulk),
+    (req, res, next) =>
+      // Deleting todos, even in a batch, is up to the owner
+      req.body.operations.some((operation) => operation.op === "delete")
+        ? requireRole("owner")(req, res, next)
+        : next(),
+    async (req, res) => {
+      const { operations } = req.body;
+      req.log.debug("Applying bulk operations", { count: operations.length });
+
+      try {
+        let results = [];
+        let failed = false;
+
+        try {
+          await auditedTransaction(req, async (tx) => {
+            results = [];
+            for (const [index, operation] of operations.entries()) {
+              const result = await applyBulkOperation(tx, operation, req.list);
+              results.push({ index, op: operation.op, ...result });
+            }
+            if (results.some((result) => result.status >= 400)) {
+              throw BULK_ROLLBACK;
+            }
+          });
+        } catch (error) {
+          if (error !== BULK_ROLLBACK) {
+            throw error;
+          }
+          failed = true;
+        }
+
+        if (failed) {
+          // Nothing was applied, so successful operations are reported as
+          // not performed (424 Failed Dependency)
+          results = results.map((result) =>
+            result.status < 400
+              ? {
+                  index: result.index,
+                  op: result.op,
+                  status: 424,
+                  id: result.op === "create" ? undefined : result.id,
+                  error: "Not applied because another operation failed",
+                }
+              : result
           );
+          req.log.info("Bulk operation rolled back", {
+            failures: results.filter((result) => result.status !== 424),
+          });
+          return res.status(409).json({
+            error: "Bulk operation failed; no changes were applied",
+            results,
+          });
         }
-        return res.status(400).json({ error: "Todo text is required" });
-      }
 
-      const todos = await readTodos();
-      const newTodo = {
-        id: generateId(),
-        text: text.trim(),
-        completed: false,
-        createdAt: new Date().toISOString(),
-      };
+        req.log.info("Applied bulk operations", { count: results.length });
+        res.json({ results });
+      } catch (error) {
+        req.log.error("Error applying bulk operations", { error });
+        sendStorageError(res, error, "Failed to apply bulk operations");
+      }
+    }
+  );
 
-      todos.push(newTodo);
-      await writeTodos(todos);
+  // GET /trash - Fetch the list's trashed todos, most recently deleted first
+  todoRouter.get("/trash", requireRole("viewer"), async (req, res) => {
+    req.log.debug("Fetching trash");
+    try {
+      res.json(await listTrash(store, req.list));
+    } catch (error) {
+      req.log.error("Error fetching trash", { error });
+      sendStorageError(res, error, "Failed to fetch trash");
+    }
+  });
 
-      if (process.env.NODE_ENV !== "test") {
-        console.log(
-          `[${req.requestId}] Successfully created todo with ID: ${newTodo.id}`
+  // DELETE /trash - Permanently remove trashed todos, optionally only those
+  // deleted more than olderThanDays ago
+  todoRouter.delete(
+    "/trash",
+    requireRole("owner"),
+    validateQuery(trashPurgeQuerySchema),
+    async (req, res) => {
+      const { olderThanDays = 0 } = req.query;
+      req.log.debug("Emptying trash", { olderThanDays });
+      try {
+        const todos = await auditedTransaction(req, (tx) =>
+          purgeTrash(tx, { olderThanDays, list: req.list })
         );
+        res.json({ message: "Trash emptied successfully", todos });
+      } catch (error) {
+        req.log.error("Error emptying trash", { error });
+        sendStorageError(res, error, "Failed to empty trash");
       }
-      res.status(201).json(newTodo);
+    }
+  );
+
+  // GET /:id - Fetch a single todo
+  todoRouter.get("/:id", requireRole("viewer"), async (req, res) => {
+    req.log.debug("Fetching todo", { todoId: req.params.id });
+
+    try {
+      const todo = await store.get("todos", req.params.id);
+
+      if (!inList(todo, req.list)) {
+        req.log.info("Todo not found", { todoId: req.params.id });
+        return res.status(404).json({ error: "Todo not found" });
+      }
+
+      res.set("ETag", todoETag(todo)).json(todo);
     } catch (error) {
-      if (process.env.NODE_ENV !== "test") {
-        console.error(`[${req.requestId}] Error creating todo:`, error);
+      req.log.error("Error fetching todo", { error });
+      sendStorageError(res, error, "Failed to fetch todo");
+    }
+  });
+
+  // GET /:id/history - Fetch the todo's audit events, newest first. History
+  // stays available while the todo is in the trash and after it is purged,
+  // until its events are pruned.
+  todoRouter.get("/:id/history", requireRole("viewer"), async (req, res) => {
+    const { id } = req.params;
+    req.log.debug("Fetching history", { todoId: id });
+    try {
+      const [todo, { items }] = await Promise.all([
+        store.get("todos", id),
+        queryAudit(store, {
+          ownerId: req.list.ownerId,
+          todoId: id,
+          listId: req.list.id,
+        }),
+      ]);
+      if (items.length === 0 && !belongsToList(todo, req.list)) {
+        return res.status(404).json({ error: "Todo not found" });
       }
-      res.status(500).json({ error: "Failed to create todo" });
+      res.json(items);
+    } catch (error) {
+      req.log.error("Error fetching history", { error });
+      sendStorageError(res, error, "Failed to fetch history");
     }
   });
 
-  // PUT /api/todos/:id - Update existing todo
-  app.put("/api/todos/:id", async (req, res) => {
-    if (process.env.NODE_ENV !== "test") {
-      console.log(
-        `[${req.requestId}] Processing PUT /api/todos/${req.params.id} - Updating todo`
-      );
-      console.log(
-        `[${req.requestId}] Update data:`,
-        JSON.stringify(req.body, null, 2)
-      );
+  // PUT /:id - Update existing todo
+  todoRouter.put(
+    "/:id",
+    requireRole("editor"),
+    validateBody(todoSchema, { partial: true }),
+    async (req, res) => {
+      req.log.debug("Updating todo", {
+        todoId: req.params.id,
+        changes: req.body,
+      });
+
+      try {
+        const { id } = req.params;
+
+        // Read, check the version and update inside one transaction so
+        // concurrent requests cannot overwrite each other's changes
+        const result = await auditedTransaction(req, async (tx) => {
+          const todo = await tx.get("todos", id);
+          if (!inList(todo, req.list)) {
+            return { status: 404 };
+          }
+          if (!ifMatchSatisfied(req, todo)) {
+            return { status: 412, todo };
+          }
+
+          req.log.debug("Found todo", { todo });
+
+          return {
+            status: 200,
+            todo: await updateTodoRecord(tx, todo, req.body),
+          };
+        });
+
+        if (result.status === 404) {
+          req.log.info("Todo not found", { todoId: id });
+          return res.status(404).json({ error: "Todo not found" });
+        }
+
+        if (result.status === 412) {
+          return sendVersionConflict(req, res, result.todo);
+        }
+
+        req.log.info("Updated todo", { todoId: id });
+        res.set("ETag", todoETag(result.todo)).json(result.todo);
+      } catch (error) {
+        req.log.error("Error updating todo", { error });
+        sendStorageError(res, error, "Failed to update todo");
+      }
     }
+  );
+
+  // DELETE /:id - Move todo to the trash
+  todoRouter.delete("/:id", requireRole("owner"), async (req, res) => {
+    req.log.debug("Deleting todo", { todoId: req.params.id });
 
     try {
       const { id } = req.params;
-      const { text, completed } = req.body;
 
-      const todos = await readTodos();
-      const todoIndex = todos.findIndex((todo) => todo.id === id);
+      const result = await auditedTransaction(req, async (tx) => {
+        const todo = await tx.get("todos", id);
+        if (!inList(todo, req.list)) {
+          return { status: 404 };
+        }
+        if (!ifMatchSatisfied(req, todo)) {
+          return { status: 412, todo };
+        }
+        const changes = todoChanges(todo, {
+          deletedAt: new Date().toISOString(),
+        });
+        return { status: 200, todo: await tx.update("todos", id, changes) };
+      });
+
+      if (result.status === 404) {
+        req.log.info("Todo not found", { todoId: id });
+        return res.status(404).json({ error: "Todo not found" });
+      }
+
+      if (result.status === 412) {
+        return sendVersionConflict(req, res, result.todo);
+      }
+
+      const deletedTodo = result.todo;
+      req.log.info("Deleted todo", { todoId: id });
+      res.json({ message: "Todo deleted successfully", todo: deletedTodo });
+    } catch (error) {
+      req.log.error("Error deleting todo", { error });
+      sendStorageError(res, error, "Failed to delete todo");
+    }
+  });
+
+  // POST /:id/restore - Bring a todo back from the trash
+  todoRouter.post("/:id/restore", requireRole("owner"), async (req, res) => {
+    const { id } = req.params;
+    req.log.debug("Restoring todo", { todoId: id });
 
-      if (todoIndex === -1) {
-        if (process.env.NODE_ENV !== "test") {
-          console.log(`[${req.requestId}] Todo not found with ID: ${id}`);
+    try {
+      const result = await auditedTransaction(req, async (tx) => {
+        const todo = await tx.get("todos", id);
+        if (!belongsToList(todo, req.list)) {
+          return { status: 404 };
+        }
+        if (!isDeleted(todo)) {
+          return { status: 409 };
+        }
+        if (!ifMatchSatisfied(req, todo)) {
+          return { status: 412, todo };
         }
+        // The todo returns to its old position in the list
+        const changes = todoChanges(todo, { deletedAt: null });
+        return { status: 200, todo: await tx.update("todos", id, changes) };
+      });
+
+      if (result.status === 404) {
         return res.status(404).json({ error: "Todo not found" });
       }
+      if (result.status === 409) {
+        return res.status(409).json({ error: "Todo is not in the trash" });
+      }
+      if (result.status === 412) {
+        return sendVersionConflict(req, res, result.todo);
+      }
+      res.set("ETag", todoETag(result.todo)).json(result.todo);
+    } catch (error) {
+      req.log.error("Error restoring todo", { error });
+      sendStorageError(res, error, "Failed to restore todo");
+    }
+  });
+
+  // POST /:id/move - Move a todo directly after another one in the list
+  todoRouter.post(
+    "/:id/move",
+    requireRole("editor"),
+    validateBody(moveSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      const { afterId } = req.body;
+      req.log.debug("Moving todo", { todoId: id, afterId });
+
+      try {
+        const result = await auditedTransaction(req, async (tx) => {
+          const todo = await tx.get("todos", id);
+          if (!inList(todo, req.list)) {
+            return { status: 404 };
+          }
+          if (!ifMatchSatisfied(req, todo)) {
+            return { status: 412, todo };
+          }
+          const todos = await listTodos(tx, req.list);
+          if (
+            afterId !== null &&
+            (afterId === id || !todos.some((other) => other.id === afterId))
+          ) {
+            return { status: 400 };
+          }
+
+          // Other todos only change position when the list is renumbered,
+          // which does not touch their content or version
+          const positions = new Map(planMove(todos, id, afterId));
+          for (const [otherId, position] of positions) {
+            if (otherId !== id) {
+              await tx.update("todos", otherId, { position });
+            }
+          }
+          const position = positions.has(id)
+            ? positions.get(id)
+            : todo.position;
+          const changes = todoChanges(todo, { position });
+          return { status: 200, todo: await tx.update("todos", id, changes) };
+        });
+
+        if (result.status === 404) {
+          return res.status(404).json({ error: "Todo not found" });
+        }
+        if (result.status === 412) {
+          return sendVersionConflict(req, res, result.todo);
+        }
+        if (result.status === 400) {
+          return res.status(400).json({
+            error: "Validation failed",
+            details: [
+              {
+                field: "afterId",
+                message: "afterId must be another todo in the same list",
+              },
+            ],
+          });
+        }
+        res.set("ETag", todoETag(result.todo)).json(result.todo);
+      } catch (error) {
+        req.log.error("Error moving todo", { error });
+        sendStorageError(res, error, "Failed to move todo");
+      }
+    }
+  );
 
-      if (process.env.NODE_ENV !== "test") {
-        console.log(
-          `[${req.requestId}] Found todo at index ${todoIndex}:`,
-          JSON.stringify(todos[todoIndex], null, 2)
+  // Apply a subtasks.js helper to a todo's checklist inside a transaction,
+  // honouring If-Match, and answer with the updated todo
+  async function changeSubtasks(req, res, status, change, failureMessage) {
+    const { id } = req.params;
+    try {
+      const result = await auditedTransaction(req, async (tx) => {
+        const todo = await tx.get("todos", id);
+        if (!inList(todo, req.list)) {
+          return { status: 404, error: "Todo not found" };
+        }
+        if (!ifMatchSatisfied(req, todo)) {
+          return { status: 412, todo };
+        }
+        const changed = change(todo.subtasks || []);
+        if (changed.error) {
+          return changed;
+        }
+        // Auto-completing a recurring todo creates its next occurrence
+        const changes = subtaskChanges(todo, changed.subtasks);
+        return { status, todo: await updateTodoRecord(tx, todo, changes) };
+      });
+
+      if (result.status === 412) {
+        return sendVersionConflict(req, res, result.todo);
+      }
+      if (result.error) {
+        req.log.info(result.error, { todoId: id });
+        const { error, details } = result;
+        return res.status(result.status).json({ error, details });
+      }
+      res
+        .status(result.status)
+        .set("ETag", todoETag(result.todo))
+        .json(result.todo);
+    } catch (error) {
+      req.log.error(failureMessage, { error });
+      sendStorageError(res, error, failureMessage);
+    }
+  }
+
+  // POST /:id/subtasks - Append a subtask to the todo's checklist
+  todoRouter.post(
+    "/:id/subtasks",
+    requireRole("editor"),
+    validateBody(subtaskSchema),
+    (req, res) =>
+      changeSubtasks(
+        req,
+        res,
+        201,
+        (subtasks) => addSubtask(subtasks, req.body),
+        "Failed to add subtask"
+      )
+  );
+
+  // PUT /:id/subtasks - Reorder the checklist
+  todoRouter.put(
+    "/:id/subtasks",
+    requireRole("editor"),
+    validateBody(subtaskOrderSchema),
+    (req, res) =>
+      changeSubtasks(
+        req,
+        res,
+        200,
+        (subtasks) => reorderSubtasks(subtasks, req.body.order),
+        "Failed to reorder subtasks"
+      )
+  );
+
+  // PUT /:id/subtasks/:subtaskId - Rename or toggle a subtask
+  todoRouter.put(
+    "/:id/subtasks/:subtaskId",
+    requireRole("editor"),
+    validateBody(subtaskSchema, { partial: true }),
+    (req, res) =>
+      changeSubtasks(
+        req,
+        res,
+        200,
+        (subtasks) => updateSubtask(subtasks, req.params.subtaskId, req.body),
+        "Failed to update subtask"
+      )
+  );
+
+  // DELETE /:id/subtasks/:subtaskId - Remove a subtask
+  todoRouter.delete(
+    "/:id/subtasks/:subtaskId",
+    requireRole("editor"),
+    (req, res) =>
+      changeSubtasks(
+        req,
+        res,
+        200,
+        (subtasks) => removeSubtask(subtasks, req.params.subtaskId),
+        "Failed to delete subtask"
+      )
+  );
+
+  app.use("/api/todos", todoRouter);
+  app.use("/api/lists/:listId/todos", todoRouter);
+
+  // GET /api/lists - Fetch the user's own and shared lists, default list first
+  app.get("/api/lists", async (req, res) => {
+    req.log.debug("Fetching lists");
+    try {
+      res.json(await listLists(store, req.user));
+    } catch (error) {
+      req.log.error("Error fetching lists", { error });
+      sendStorageError(res, error, "Failed to fetch lists");
+    }
+  });
+
+  // POST /api/lists - Create new list
+  app.post("/api/lists", validateBody(listSchema), async (req, res) => {
+    req.log.debug("Creating list", { name: req.body.name });
+    try {
+      const list = createListRecord(req.body, req.user);
+      await store.insert("lists", list);
+      res.status(201).json({ ...list, role: "owner" });
+    } catch (error) {
+      req.log.error("Error creating list", { error });
+      sendStorageError(res, error, "Failed to create list");
+    }
+  });
+
+  // GET /api/lists/:listId - Fetch a single list
+  app.get("/api/lists/:listId", loadList, requireRole("viewer"), (req, res) => {
+    res.json(req.list);
+  });
+
+  // PUT /api/lists/:listId - Rename or recolour a list
+  app.put(
+    "/api/lists/:listId",
+    loadList,
+    requireRole("owner"),
+    validateBody(listSchema, { partial: true }),
+    async (req, res) => {
+      req.log.debug("Updating list", { listId: req.list.id });
+      try {
+        const list = await auditedTransaction(req, (tx) =>
+          updateList(tx, req.params.listId, req.body, req.user)
         );
+        if (!list) {
+          return res.status(404).json({ error: "List not found" });
+        }
+        res.json(list);
+      } catch (error) {
+        req.log.error("Error updating list", { error });
+        sendStorageError(res, error, "Failed to update list");
       }
+    }
+  );
 
-      // Update todo properties
-      if (text !== undefined) {
-        if (text.trim() === "") {
-          if (process.env.NODE_ENV !== "test") {
-            console.log(
-              `[${req.requestId}] Validation failed: Todo text cannot be empty`
-            );
-          }
-          return res.status(400).json({ error: "Todo text cannot be empty" });
+  // DELETE /api/lists/:listId - Delete a list together with its todos
+  app.delete(
+    "/api/lists/:listId",
+    loadList,
+    requireRole("owner"),
+    async (req, res) => {
+      const { listId } = req.params;
+      req.log.debug("Deleting list", { listId });
+      if (listId === DEFAULT_LIST_ID) {
+        return res
+          .status(400)
+          .json({ error: "The default list cannot be deleted" });
+      }
+      try {
+        const removed = await auditedTransaction(req, (tx) =>
+          removeList(tx, listId, req.user)
+        );
+        if (!removed) {
+          return res.status(404).json({ error: "List not found" });
         }
-        if (process.env.NODE_ENV !== "test") {
-          console.log(
-            `[${req.requestId}] Updating text from "${
-              todos[todoIndex].text
-            }" to "${text.trim()}"`
-          );
+        req.log.info("Deleted list", { listId, todos: removed.todos.length });
+        res.json({ message: "List deleted successfully", ...removed });
+      } catch (error) {
+        req.log.error("Error deleting list", { error });
+        sendStorageError(res, error, "Failed to delete list");
+      }
+    }
+  );
+
+  // GET /api/lists/:listId/members - Fetch the list's owner and members
+  app.get(
+    "/api/lists/:listId/members",
+    loadList,
+    requireRole("viewer"),
+    async (req, res) => {
+      try {
+        res.json(await listMembers(store, req.list));
+      } catch (error) {
+        req.log.error("Error fetching members", { error });
+        sendStorageError(res, error, "Failed to fetch members");
+      }
+    }
+  );
+
+  // PUT /api/lists/:listId/members/:userId - Change a member's role
+  app.put(
+    "/api/lists/:listId/members/:userId",
+    loadList,
+    requireRole("owner"),
+    validateBody(memberRoleSchema),
+    async (req, res) => {
+      const { userId } = req.params;
+      req.log.debug("Changing member role", { userId, role: req.body.role });
+      try {
+        const membership = await store.transaction((tx) =>
+          changeMemberRole(tx, req.list, userId, req.body.role)
+        );
+        if (!membership) {
+          return res.status(404).json({ error: "Member not found" });
         }
-        todos[todoIndex].text = text.trim();
+        res.json(membership);
+      } catch (error) {
+        req.log.error("Error changing member", { error });
+        sendStorageError(res, error, "Failed to change member");
       }
+    }
+  );
 
-      if (completed !== undefined) {
-        if (process.env.NODE_ENV !== "test") {
-          console.log(
-            `[${req.requestId}] Updating completed status from ${todos[todoIndex].completed} to ${completed}`
-          );
+  // DELETE /api/lists/:listId/members/:userId - Remove a member. Members may
+  // remove themselves to leave the list.
+  app.delete(
+    "/api/lists/:listId/members/:userId",
+    loadList,
+    (req, res, next) =>
+      req.params.userId === req.user.id
+        ? next()
+        : requireRole("owner")(req, res, next),
+    async (req, res) => {
+      const { userId } = req.params;
+      req.log.debug("Removing member", { userId });
+      if (userId === req.list.ownerId) {
+        return res
+          .status(400)
+          .json({ error: "The owner cannot be removed from their list" });
+      }
+      try {
+        const membership = await store.transaction((tx) =>
+          removeMember(tx, req.list, userId)
+        );
+        if (!membership) {
+          return res.status(404).json({ error: "Member not found" });
         }
-        todos[todoIndex].completed = completed;
+        res.json({ message: "Member removed successfully", membership });
+      } catch (error) {
+        req.log.error("Error removing member", { error });
+        sendStorageError(res, error, "Failed to remove member");
       }
+    }
+  );
+
+  // GET /api/lists/:listId/invitations - Fetch the list's pending invitations
+  app.get(
+    "/api/lists/:listId/invitations",
+    loadList,
+    requireRole("owner"),
+    async (req, res) => {
+      try {
+        res.json(await listInvitations(store, { listId: req.list.id }));
+      } catch (error) {
+        req.log.error("Error fetching invitations", { error });
+        sendStorageError(res, error, "Failed to fetch invitations");
+      }
+    }
+  );
 
-      todos[todoIndex].updatedAt = new Date().toISOString();
+  // POST /api/lists/:listId/invitations - Invite a user to the list
+  app.post(
+    "/api/lists/:listId/invitations",
+    loadList,
+    requireRole("owner"),
+    validateBody(invitationSchema),
+    async (req, res) => {
+      req.log.debug("Inviting user", {
+        username: req.body.username,
+        role: req.body.role,
+      });
+      if (req.list.id === DEFAULT_LIST_ID) {
+        return res
+          .status(400)
+          .json({ error: "The default list cannot be shared" });
+      }
+      try {
+        const result = await store.transaction((tx) =>
+          inviteMember(tx, req.list, req.body, req.user)
+        );
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        const [invitation] = await listInvitations(store, {
+          listId: req.list.id,
+          userId: result.invitation.userId,
+        });
+        res.status(result.status).json(invitation);
+      } catch (error) {
+        req.log.error("Error inviting member", { error });
+        sendStorageError(res, error, "Failed to invite member");
+      }
+    }
+  );
 
-      await writeTodos(todos);
-      if (process.env.NODE_ENV !== "test") {
-        console.log(
-          `[${req.requestId}] Successfully updated todo with ID: ${id}`
+  // DELETE /api/lists/:listId/invitations/:id - Withdraw an invitation
+  app.delete(
+    "/api/lists/:listId/invitations/:id",
+    loadList,
+    requireRole("owner"),
+    async (req, res) => {
+      try {
+        const invitation = await store.transaction((tx) =>
+          removeInvitation(tx, req.params.id, { listId: req.list.id })
         );
+        if (!invitation) {
+          return res.status(404).json({ error: "Invitation not found" });
+        }
+        res.json({ message: "Invitation withdrawn successfully", invitation });
+      } catch (error) {
+        req.log.error("Error withdrawing invitation", { error });
+        sendStorageError(res, error, "Failed to withdraw invitation");
       }
-      res.json(todos[todoIndex]);
+    }
+  );
+
+  // GET /api/invitations - Fetch the invitations the user has received
+  app.get("/api/invitations", async (req, res) => {
+    try {
+      res.json(await listInvitations(store, { userId: req.user.id }));
     } catch (error) {
-      if (process.env.NODE_ENV !== "test") {
-        console.error(`[${req.requestId}] Error updating todo:`, error);
-      }
-      res.status(500).json({ error: "Failed to update todo" });
+      req.log.error("Error fetching invitations", { error });
+      sendStorageError(res, error, "Failed to fetch invitations");
     }
   });
 
-  // DELETE /api/todos/:id - Delete todo
-  app.delete("/api/todos/:id", async (req, res) => {
-    if (process.env.NODE_ENV !== "test") {
-      console.log(
-        `[${req.requestId}] Processing DELETE /api/todos/${req.params.id} - Deleting todo`
+  // POST /api/invitations/:id/accept - Join the list an invitation is for
+  app.post("/api/invitations/:id/accept", async (req, res) => {
+    req.log.debug("Accepting invitation", { invitationId: req.params.id });
+    try {
+      const membership = await store.transaction((tx) =>
+        acceptInvitation(tx, req.params.id, req.user)
       );
+      if (!membership) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+      res.json(await getList(store, membership.listId, req.user));
+    } catch (error) {
+      req.log.error("Error accepting invitation", { error });
+      sendStorageError(res, error, "Failed to accept invitation");
     }
+  });
 
+  // DELETE /api/invitations/:id - Decline an invitation
+  app.delete("/api/invitations/:id", async (req, res) => {
     try {
-      const { id } = req.params;
+      const invitation = await store.transaction((tx) =>
+        removeInvitation(tx, req.params.id, { userId: req.user.id })
+      );
+      if (!invitation) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+      res.json({ message: "Invitation declined successfully", invitation });
+    } catch (error) {
+      req.log.error("Error declining invitation", { error });
+      sendStorageError(res, error, "Failed to decline invitation");
+    }
+  });
 
-      const todos = await readTodos();
-      const todoIndex = todos.findIndex((todo) => todo.id === id);
+  // GET /api/tags - Fetch every tag in use with its usage count
+  app.get("/api/tags", async (req, res) => {
+    req.log.debug("Fetching tags");
+    try {
+      res.json(listTags(await ownTodos(store, req.user)));
+    } catch (error) {
+      req.log.error("Error fetching tags", { error });
+      sendStorageError(res, error, "Failed to fetch tags");
+    }
+  });
 
-      if (todoIndex === -1) {
-        if (process.env.NODE_ENV !== "test") {
-          console.log(`[${req.requestId}] Todo not found with ID: ${id}`);
+  // PUT /api/tags/:name - Rename a tag on every todo carrying it
+  app.put(
+    "/api/tags/:name",
+    validateBody(tagRenameSchema),
+    async (req, res) => {
+      const name = req.params.name.toLowerCase();
+      const newName = req.body.name;
+      req.log.debug("Renaming tag", { name, newName });
+      try {
+        // Read the merged usage count inside the same transaction
+        const tag = await auditedTransaction(req, async (tx) => {
+          const count = await renameTag(tx, req.user.id, name, newName);
+          return count === 0
+            ? null
+            : listTags(await ownTodos(tx, req.user)).find(
+                (tag) => tag.name === newName
+              );
+        });
+        if (!tag) {
+          return res.status(404).json({ error: "Tag not found" });
         }
-        return res.status(404).json({ error: "Todo not found" });
+        res.json(tag);
+      } catch (error) {
+        req.log.error("Error renaming tag", { error });
+        sendStorageError(res, error, "Failed to rename tag");
       }
+    }
+  );
 
-      const deletedTodo = todos.splice(todoIndex, 1)[0];
-      if (process.env.NODE_ENV !== "test") {
-        console.log(
-          `[${req.requestId}] Found todo to delete:`,
-          JSON.stringify(deletedTodo, null, 2)
-        );
+  // DELETE /api/tags/:name - Remove a tag from every todo carrying it
+  app.delete("/api/tags/:name", async (req, res) => {
+    const name = req.params.name.toLowerCase();
+    req.log.debug("Deleting tag", { name });
+    try {
+      const count = await auditedTransaction(req, (tx) =>
+        removeTag(tx, req.user.id, name)
+      );
+      if (count === 0) {
+        return res.status(404).json({ error: "Tag not found" });
       }
+      res.json({ message: "Tag deleted successfully", name, count });
+    } catch (error) {
+      req.log.error("Error deleting tag", { error });
+      sendStorageError(res, error, "Failed to delete tag");
+    }
+  });
 
-      await writeTodos(todos);
-
-      if (process.env.NODE_ENV !== "test") {
-        console.log(
-          `[${req.requestId}] Successfully deleted todo with ID: ${id}`
-        );
-      }
-      res.json({ message: "Todo deleted successfully", todo: deletedTodo });
+  // GET /api/audit - Fetch audit events across all lists, newest first,
+  // optionally filtered and paginated
+  app.get("/api/audit", validateQuery(auditQuerySchema), async (req, res) => {
+    req.log.debug("Fetching audit events");
+    try {
+      const { items, total } = await queryAudit(store, {
+        ...req.query,
+        ownerId: req.user.id,
+      });
+      res.set("X-Total-Count", String(total)).json(items);
     } catch (error) {
-      if (process.env.NODE_ENV !== "test") {
-        console.error(`[${req.requestId}] Error deleting todo:`, error);
+      req.log.error("Error fetching audit events", { error });
+      sendStorageError(res, error, "Failed to fetch audit events");
+    }
+  });
+
+  // GET /api/events - Stream changes to the todos the user can see as
+  // Server-Sent Events, starting after Last-Event-ID when reconnecting
+  app.get("/api/events", (req, res) => {
+    req.log.debug("Opening event stream");
+    let closed = false;
+    let queue = Promise.resolve();
+
+    // Changes are written one at a time, in the order they were published
+    function enqueue(task) {
+      queue = queue.then(task).catch((error) => {
+        req.log.error("Error streaming events", { error });
+      });
+    }
+
+    // Todos in the user's own lists, or in lists shared with them
+    async function canSee(event) {
+      return (
+        event.ownerId === req.user.id ||
+        (event.listId !== DEFAULT_LIST_ID &&
+          (await getList(store, event.listId, req.user)) !== null)
+      );
+    }
+
+    async function send(change) {
+      if (!closed && (await canSee(change.event))) {
+        res.write(formatEvent(change));
       }
-      res.status(500).json({ error: "Failed to delete todo" });
     }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    // Subscribe before looking up missed changes so none fall in between
+    const unsubscribe = events.subscribe((change) =>
+      enqueue(() => send(change))
+    );
+    const lastEventId = req.get("Last-Event-ID");
+    if (lastEventId) {
+      enqueue(async () => {
+        const missed = await missedChanges(store, lastEventId);
+        if (!missed) {
+          res.write("event: resync\ndata: {}\n\n");
+          return;
+        }
+        for (const change of missed) {
+          await send(change);
+        }
+      });
+    }
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      heartbeatMs
+    );
+
+    req.on("close", () => {
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+    });
   });
 
   // Health check endpoint
   app.get("/api/health", (req, res) => {
-    if (process.env.NODE_ENV !== "test") {
-      console.log(
-        `[${req.requestId}] Processing GET /api/health - Health check`
-      );
-      console.log(`[${req.requestId}] Server is healthy and running`);
-    }
+    req.log.debug("Health check");
     res.json({ status: "OK", message: "Todo API is running" });
   });
 
+  // GET /api/config - Settings the frontend needs, including the address it
+  // should reach the API at, which defaults to the one this request came to
+  app.get("/api/config", (req, res) => {
+    res.json({
+      apiBaseUrl:
+        options.publicApiUrl || `${req.protocol}://${req.get("host")}/api`,
+      features: { registration: features.registration },
+    });
+  });
+
+  // GET /api/health/live - Whether the process is running, for restarting
+  // it when it stops answering
+  app.get("/api/health/live", (req, res) => {
+    res.set("Cache-Control", "no-store").json(liveness());
+  });
+
+  // GET /api/health/ready - Whether storage can be used, for taking the app
+  // out of service while it cannot. Answers 503 when any check fails.
+  app.get("/api/health/ready", async (req, res) => {
+    const report = await readiness(store, { minFreeDiskBytes });
+    if (report.status !== "OK") {
+      req.log.warn("Not ready", { checks: report.checks });
+    }
+    res
+      .status(report.status === "OK" ? 200 : 503)
+      .set("Cache-Control", "no-store")
+      .json(report);
+  });
+
+  // Metrics in the Prometheus text format, for scrapers rather than users,
+  // so they are served without authentication when enabled
+  if (metrics) {
+    app.get("/metrics", async (req, res) => {
+      try {
+        res.type(CONTENT_TYPE).send(await metrics.render(store));
+      } catch (error) {
+        req.log.error("Error rendering metrics", { error });
+        sendStorageError(res, error, "Failed to render metrics");
+      }
+    });
+  }
+
+  // Malformed JSON bodies get the same error shape as validation failures
+  app.use((error, req, res, next) => {
+    if (error.type === "entity.parse.failed") {
+      return res.status(400).json({
+        error: "Invalid JSON in request body",
+        details: [{ field: "body", message: error.message }],
+      });
+    }
+    if (error.type === "entity.too.large") {
+      return res.status(413).json({
+        error: `Request body must be at most ${error.limit} bytes`,
+      });
+    }
+    next(error);
+  });
+
   return app;
 }
 
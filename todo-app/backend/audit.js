@@ -0,0 +1,169 @@
+// Audit log of changes to todos. Every insert, update and removal of a todo
+// made through an audited transaction is stored in the "audit" collection as
+// an event such as
+//
+//   { id, todoId, listId, ownerId, action: "update", version: 3,
+//     changes: { text: { from: "Buy milk", to: "Buy oat milk" } },
+//     requestId, actor, timestamp }
+//
+// where action is create, update, delete (moved to the trash), restore or
+// purge (removed for good). ownerId is the todo's owner, so each user only
+// sees the history of their own todos. Events are written in the same
+// transaction as the change they describe and are never changed. They are
+// kept for AUDIT_RETENTION_DAYS, after which the periodic prune removes them
+// so the log does not grow without bound.
+
+const { generateId, todoListId, todoVersion, isDeleted } = require("./todos");
+const { currentRequestId } = require("./context");
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days audit events are kept before the periodic prune removes them
+const AUDIT_RETENTION_DAYS = 365;
+
+// Bookkeeping fields that change on every write and are left out of diffs
+const UNTRACKED_FIELDS = ["id", "version", "updatedAt"];
+
+// { field: { from, to } } for every tracked field that differs, with
+// missing fields reported as null
+function fieldChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (UNTRACKED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+function auditAction(before, after) {
+  if (!before) {
+    return "create";
+  }
+  if (!after) {
+    return "purge";
+  }
+  if (isDeleted(after) !== isDeleted(before)) {
+    return isDeleted(after) ? "delete" : "restore";
+  }
+  return "update";
+}
+
+// Wrap a transaction so that its todo changes are recorded in the audit log
+// together with the request ID and actor that made them, the request ID
+// defaulting to that of the request being handled. Writes that leave
+// every tracked field as it was are not recorded. onRecord, if given, is
+// called with each recorded event and the todo after it (null once purged).
+function withAudit(tx, { requestId = currentRequestId(), actor, onRecord }) {
+  async function recordEvent(before, after) {
+    const changes = fieldChanges(before || {}, after || {});
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+    const todo = after || before;
+    const event = await tx.insert("audit", {
+      id: generateId(),
+      todoId: todo.id,
+      listId: todoListId(todo),
+      ownerId: todo.ownerId,
+      action: auditAction(before, after),
+      version: todoVersion(todo),
+      changes,
+      requestId,
+      actor,
+      timestamp: new Date().toISOString(),
+    });
+    if (onRecord) {
+      onRecord(event, after);
+    }
+  }
+
+  return {
+    ...tx,
+
+    async insert(collection, record) {
+      const inserted = await tx.insert(collection, record);
+      if (collection === "todos") {
+        await recordEvent(null, inserted);
+      }
+      return inserted;
+    },
+
+    async update(collection, id, changes) {
+      if (collection !== "todos") {
+        return tx.update(collection, id, changes);
+      }
+      const before = await tx.get(collection, id);
+      const updated = await tx.update(collection, id, changes);
+      if (updated) {
+        await recordEvent(before, updated);
+      }
+      return updated;
+    },
+
+    async remove(collection, id) {
+      const removed = await tx.remove(collection, id);
+      if (removed && collection === "todos") {
+        await recordEvent(removed, null);
+      }
+      return removed;
+    },
+  };
+}
+
+// One owner's events matching the filters, newest first, as { items, total }
+// with the requested page and the number of matching events. The filtering
+// and paging are left to the store. The query has already been validated
+// against auditQuerySchema.
+function queryAudit(
+  store,
+  { ownerId, todoId, listId, action, requestId, since, until, limit, offset }
+) {
+  const where = { ownerId };
+  for (const [field, value] of Object.entries({
+    todoId,
+    listId,
+    action,
+    requestId,
+  })) {
+    if (value !== undefined) {
+      where[field] = value;
+    }
+  }
+  return store.query("audit", {
+    where,
+    range: { field: "timestamp", from: since, to: until },
+    newestFirst: true,
+    limit,
+    offset,
+  });
+}
+
+// Remove the audit events recorded more than olderThanDays ago inside a
+// transaction. Returns how many were removed.
+async function pruneAudit(tx, { olderThanDays, now = new Date() }) {
+  const cutoff = new Date(now.getTime() - olderThanDays * DAY_MS).toISOString();
+  const { items } = await tx.query("audit", {
+    range: { field: "timestamp", to: cutoff },
+  });
+  for (const event of items) {
+    await tx.remove("audit", event.id);
+  }
+  return items.length;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_RETENTION_DAYS,
+  withAudit,
+  queryAudit,
+  pruneAudit,
+};
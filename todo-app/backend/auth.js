@@ -0,0 +1,202 @@
+// User accounts and sessions. Passwords are stored as salted scrypt hashes.
+// Logging in creates a session and returns a bearer token carrying the
+// session id, user id and expiry, signed with HMAC-SHA256 so it cannot be
+// forged or extended. Logging out deletes the session, which revokes the
+// token before it expires.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { DEFAULT_LIST_ID } = require("./todos");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>", both hex encoded
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt") {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "hex"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+function createToken(session, secret) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      sid: session.id,
+      sub: session.userId,
+      exp: Date.parse(session.expiresAt),
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// The { sid, sub, exp } claims of a token with a valid signature, or null.
+// Expiry is left to the caller so it can be reported separately.
+function readToken(token, secret) {
+  const [payload, signature, extra] = token.split(".");
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+// A user record without its password hash
+function publicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+function findUser(users, username) {
+  const name = username.toLowerCase();
+  return users.find((user) => user.username.toLowerCase() === name) || null;
+}
+
+// Give records stored before accounts existed to a user: todos, lists and
+// audit events without an owner become theirs, and a stored default list
+// becomes their default list. Returns how many records they were given.
+async function claimLegacyData(tx, user) {
+  let count = 0;
+  for (const collection of ["todos", "lists", "audit"]) {
+    for (const record of await tx.list(collection)) {
+      if (record.ownerId === undefined) {
+        const changes = { ownerId: user.id };
+        if (collection === "lists" && record.id === DEFAULT_LIST_ID) {
+          changes.isDefault = true;
+        }
+        await tx.update(collection, record.id, changes);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+// Give the records stored before accounts existed to the user named
+// legacyOwner inside a transaction. Returns how many records they were
+// given, or null when no such user has registered yet.
+async function assignLegacyData(tx, legacyOwner) {
+  const user = findUser(await tx.list("users"), legacyOwner);
+  return user ? claimLegacyData(tx, user) : null;
+}
+
+// Create a user inside a transaction from their username and a password
+// hashed with hashPassword beforehand, so the slow hash does not hold up
+// other writes. Usernames are unique regardless of case. A user registering
+// as legacyOwner is given the records stored before accounts existed.
+// Returns the new user, or null when the username is taken.
+async function registerUser(
+  tx,
+  { username, passwordHash },
+  { legacyOwner } = {}
+) {
+  const users = await tx.list("users");
+  if (findUser(users, username)) {
+    return null;
+  }
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    passwordHash,
+    createdAt: new Date().toISOString(),
+  };
+  await tx.insert("users", user);
+  if (legacyOwner && findUser([user], legacyOwner)) {
+    await claimLegacyData(tx, user);
+  }
+  return user;
+}
+
+// The user with these credentials, or null
+async function authenticateUser(store, { username, password }) {
+  const user = findUser(await store.list("users"), username);
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  return user;
+}
+
+// Start a session for a user inside a transaction, dropping their expired
+// ones. Returns { token, expiresAt }.
+async function createSession(tx, user, { secret, ttlMs = SESSION_TTL_MS }) {
+  const now = Date.now();
+  for (const session of await tx.list("sessions")) {
+    if (session.userId === user.id && Date.parse(session.expiresAt) <= now) {
+      await tx.remove("sessions", session.id);
+    }
+  }
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+  };
+  await tx.insert("sessions", session);
+  return { token: createToken(session, secret), expiresAt: session.expiresAt };
+}
+
+// Resolve a bearer token to its session and user. Returns { user, session }
+// or { error } describing why the token was refused.
+async function resolveToken(store, token, secret) {
+  const claims = readToken(token, secret);
+  if (!claims) {
+    return { error: "Invalid token" };
+  }
+  if (claims.exp <= Date.now()) {
+    return { error: "Session expired" };
+  }
+  const session = await store.get("sessions", claims.sid);
+  if (!session || session.userId !== claims.sub) {
+    return { error: "Session has ended" };
+  }
+  const user = await store.get("users", claims.sub);
+  if (!user) {
+    return { error: "Invalid token" };
+  }
+  return { user: publicUser(user), session };
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  registerUser,
+  assignLegacyData,
+  authenticateUser,
+  createSession,
+  resolveToken,
+};
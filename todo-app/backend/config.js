@@ -0,0 +1,308 @@
+// Server configuration, loaded once at startup from environment variables
+// and an optional JSON config file named by CONFIG_FILE. A setting in the
+// environment wins over the file, which wins over the default. The file
+// uses the keys and units of the config object itself:
+//
+//   { "port": 8080, "corsOrigins": ["https://todo.example.com"],
+//     "features": { "metrics": true } }
+//
+// Every value is checked, and all problems are reported together as a
+// ConfigError so the server refuses to start rather than run misconfigured.
+
+const fs = require("fs");
+const { LOG_LEVELS } = require("./logger");
+const { TRASH_RETENTION_DAYS } = require("./trash");
+const { AUDIT_RETENTION_DAYS } = require("./audit");
+const { IDEMPOTENCY_WINDOW_MS } = require("./idempotency");
+const { MIN_FREE_DISK_BYTES } = require("./health");
+
+const HOUR_MS = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const MIN_SECRET_LENGTH = 32;
+// Features that can be switched on or off
+const DEFAULT_FEATURES = { metrics: false, registration: true };
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems.map((p) => `- ${p}`).join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Setting types. Each parses the text of an environment variable and checks
+// a value, returning what is wrong with it or null.
+
+function integer(min, max) {
+  return {
+    parse: (text) => (/^-?\d+$/.test(text.trim()) ? Number(text) : text),
+    check: (value) =>
+      Number.isInteger(value) && value >= min && value <= max
+        ? null
+        : `must be a whole number from ${min} to ${max}`,
+  };
+}
+
+function number({ min = 0, positive = false } = {}) {
+  return {
+    parse: (text) => (text.trim() === "" ? text : Number(text)),
+    check: (value) =>
+      typeof value === "number" &&
+      Number.isFinite(value) &&
+      (positive ? value > min : value >= min)
+        ? null
+        : `must be a number ${positive ? "above" : "of at least"} ${min}`,
+  };
+}
+
+function boolean() {
+  const words = { true: true, 1: true, false: false, 0: false };
+  return {
+    parse: (text) => {
+      const word = text.trim().toLowerCase();
+      return word in words ? words[word] : text;
+    },
+    check: (value) =>
+      typeof value === "boolean" ? null : "must be true or false",
+  };
+}
+
+function oneOf(values) {
+  return {
+    parse: (text) => text.trim(),
+    check: (value) =>
+      values.includes(value) ? null : `must be one of ${values.join(", ")}`,
+  };
+}
+
+function text({ minLength = 1 } = {}) {
+  return {
+    parse: (value) => value,
+    check: (value) =>
+      typeof value === "string" && value.length >= minLength
+        ? null
+        : minLength > 1
+        ? `must be at least ${minLength} characters long`
+        : "must not be empty",
+  };
+}
+
+function isOrigin(value) {
+  try {
+    return typeof value === "string" && new URL(value).origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+// "*" for any origin, or a list of origins such as https://todo.example.com
+function origins() {
+  return {
+    parse: (value) =>
+      value.trim() === "*"
+        ? "*"
+        : value
+            .split(",")
+            .map((origin) => origin.trim().replace(/\/$/, ""))
+            .filter(Boolean),
+    check: (value) =>
+      value === "*" ||
+      (Array.isArray(value) && value.length > 0 && value.every(isOrigin))
+        ? null
+        : "must be * or a comma-separated list of origins such as https://todo.example.com",
+  };
+}
+
+// A request body size in bytes, or as text such as 100kb or 1mb
+function size() {
+  return {
+    parse: (value) =>
+      /^\d+$/.test(value.trim()) ? Number(value) : value.trim(),
+    check: (value) =>
+      (Number.isInteger(value) && value > 0) ||
+      (typeof value === "string" && /^\d+(b|kb|mb)$/i.test(value))
+        ? null
+        : "must be a size such as 100kb or 1mb",
+  };
+}
+
+function httpUrl() {
+  return {
+    parse: (value) => value.trim(),
+    check: (value) => {
+      try {
+        const { protocol } = new URL(value);
+        if (protocol === "http:" || protocol === "https:") {
+          return null;
+        }
+      } catch (error) {
+        // Reported below
+      }
+      return "must be an http or https URL";
+    },
+  };
+}
+
+// Every setting: its key in the config object, dotted for nested ones, the
+// environment variable it is read from, and, for variables given in other
+// units, the factor converting them
+const SETTINGS = [
+  { key: "port", env: "PORT", type: integer(0, 65535), default: 3000 },
+  {
+    key: "storageDriver",
+    env: "STORAGE_DRIVER",
+    type: oneOf(["json", "sqlite"]),
+    default: "json",
+  },
+  { key: "dataFile", env: "DATA_FILE", type: text() },
+  {
+    key: "authSecret",
+    env: "AUTH_SECRET",
+    type: text({ minLength: MIN_SECRET_LENGTH }),
+  },
+  { key: "legacyOwner", env: "LEGACY_OWNER", type: text() },
+  { key: "corsOrigins", env: "CORS_ORIGINS", type: origins(), default: "*" },
+  { key: "bodyLimit", env: "BODY_LIMIT", type: size(), default: "100kb" },
+  {
+    key: "logLevel",
+    env: "LOG_LEVEL",
+    type: oneOf(Object.keys(LOG_LEVELS)),
+  },
+  {
+    key: "trashRetentionDays",
+    env: "TRASH_RETENTION_DAYS",
+    type: number({ positive: true }),
+    default: TRASH_RETENTION_DAYS,
+  },
+  {
+    key: "auditRetentionDays",
+    env: "AUDIT_RETENTION_DAYS",
+    type: number({ positive: true }),
+    default: AUDIT_RETENTION_DAYS,
+  },
+  {
+    key: "idempotencyWindowMs",
+    env: "IDEMPOTENCY_WINDOW_HOURS",
+    scale: HOUR_MS,
+    type: number({ positive: true }),
+    default: IDEMPOTENCY_WINDOW_MS,
+  },
+  {
+    key: "minFreeDiskBytes",
+    env: "HEALTH_MIN_FREE_DISK_MB",
+    scale: MB,
+    type: number(),
+    default: MIN_FREE_DISK_BYTES,
+  },
+  { key: "publicApiUrl", env: "PUBLIC_API_URL", type: httpUrl() },
+  {
+    key: "features.metrics",
+    env: "METRICS_ENABLED",
+    type: boolean(),
+    default: DEFAULT_FEATURES.metrics,
+  },
+  {
+    key: "features.registration",
+    env: "REGISTRATION_ENABLED",
+    type: boolean(),
+    default: DEFAULT_FEATURES.registration,
+  },
+];
+
+function getPath(object, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      object
+    );
+}
+
+function setPath(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  parent[last] = value;
+}
+
+// The dotted keys of every value in a config file, to spot unknown settings
+function fileKeys(object, prefix = "") {
+  return Object.entries(object).flatMap(([name, value]) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? fileKeys(value, `${prefix}${name}.`)
+      : [`${prefix}${name}`]
+  );
+}
+
+function readConfigFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new ConfigError([
+      `Cannot read config file ${file}: ${error.message}`,
+    ]);
+  }
+  let values;
+  try {
+    values = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError([
+      `Config file ${file} is not valid JSON: ${error.message}`,
+    ]);
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new ConfigError([`Config file ${file} must hold a JSON object`]);
+  }
+  return values;
+}
+
+// Load and check the configuration, throwing a ConfigError listing every
+// problem found
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const fileValues = file ? readConfigFile(file) : {};
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  const problems = fileKeys(fileValues)
+    .filter((key) => !known.has(key))
+    .map((key) => `Unknown setting ${key} in ${file}`);
+
+  const config = { features: {} };
+  for (const setting of SETTINGS) {
+    const envValue = env[setting.env];
+    const fileValue = getPath(fileValues, setting.key);
+    let value;
+    let source;
+    if (envValue !== undefined && envValue !== "") {
+      value = setting.type.parse(envValue);
+      if (setting.scale && typeof value === "number") {
+        value *= setting.scale;
+      }
+      source = setting.env;
+    } else if (fileValue !== undefined) {
+      value = fileValue;
+      source = `${setting.key} in ${file}`;
+    } else {
+      setPath(config, setting.key, setting.default);
+      continue;
+    }
+    const problem = setting.type.check(value);
+    if (problem) {
+      problems.push(`${source} ${problem}`);
+    }
+    setPath(config, setting.key, value);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  Object.freeze(config.features);
+  return Object.freeze(config);
+}
+
+module.exports = { DEFAULT_FEATURES, ConfigError, loadConfig };
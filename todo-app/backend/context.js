@@ -0,0 +1,20 @@
+// Request context carried through async calls, so code that is not handed
+// the request, such as the logger and the audit log, can still tell which
+// request it is working for. Outside a request there is no context.
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// Run fn, and everything it starts, with context as the current context
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// The ID of the request being handled, or null outside a request
+function currentRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+}
+
+module.exports = { runWithContext, currentRequestId };
@@ -0,0 +1,100 @@
+// Live todo changes for GET /api/events. Audited transactions publish the
+// audit events they recorded once they commit, and each open stream sends
+// the ones its user can see as Server-Sent Events:
+//
+//   id: <audit event id>
+//   event: todo.updated
+//   data: { "id", "action", "todoId", "listId", "todo", "requestId",
+//           "actor", "timestamp" }
+//
+// The event type is todo.created (create or restore), todo.updated or
+// todo.deleted (moved to the trash or purged). todo is the todo after the
+// change, or null once it has been purged. Because audit events are kept,
+// a client reconnecting with Last-Event-ID is sent the ones it missed.
+
+const EVENT_TYPES = {
+  create: "todo.created",
+  restore: "todo.created",
+  update: "todo.updated",
+  delete: "todo.deleted",
+  purge: "todo.deleted",
+};
+
+// How often an idle stream sends a comment so proxies keep it open
+const HEARTBEAT_MS = 25 * 1000;
+
+// How many missed events a reconnecting client is sent before it is told to
+// reload instead
+const REPLAY_LIMIT = 500;
+
+// In-process publish/subscribe for committed { event, todo } changes
+function createEventHub() {
+  const subscribers = new Set();
+
+  return {
+    // Call listener with every published change until the returned
+    // function is called
+    subscribe(listener) {
+      subscribers.add(listener);
+      return () => subscribers.delete(listener);
+    },
+
+    publish(changes) {
+      for (const change of changes) {
+        for (const listener of subscribers) {
+          listener(change);
+        }
+      }
+    },
+
+    get subscriberCount() {
+      return subscribers.size;
+    },
+  };
+}
+
+// A change as one Server-Sent Event
+function formatEvent({ event, todo }) {
+  const data = {
+    id: event.id,
+    action: event.action,
+    todoId: event.todoId,
+    listId: event.listId,
+    todo,
+    requestId: event.requestId,
+    actor: event.actor,
+    timestamp: event.timestamp,
+  };
+  const type = EVENT_TYPES[event.action];
+  return `id: ${event.id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// The changes recorded after the audit event with id lastEventId, with each
+// todo as it is now, or null when that event is unknown, for instance
+// because it has been pruned, or too much was missed to replay
+async function missedChanges(store, lastEventId) {
+  if (!(await store.get("audit", lastEventId))) {
+    return null;
+  }
+  const { items, total } = await store.query("audit", {
+    after: lastEventId,
+    limit: REPLAY_LIMIT,
+  });
+  if (total > REPLAY_LIMIT) {
+    return null;
+  }
+  const changes = [];
+  for (const event of items) {
+    changes.push({ event, todo: await store.get("todos", event.todoId) });
+  }
+  return changes;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  HEARTBEAT_MS,
+  REPLAY_LIMIT,
+  createEventHub,
+  formatEvent,
+  missedChanges,
+};
@@ -0,0 +1,134 @@
+// Liveness and readiness. The process is live while it can answer at all;
+// it is ready when its storage can be used, which is checked each time:
+//
+//   read       the data file can be read, or does not exist yet
+//   write      a file can be written next to it, and it can be written to
+//   diskSpace  the disk holding it has enough free space left
+//   data       its contents can be loaded, so it is not corrupt
+//
+// Each check reports whether it passed and how long it took, and fails if
+// it does not finish within CHECK_TIMEOUT_MS.
+
+const fs = require("fs").promises;
+const { constants } = require("fs");
+const path = require("path");
+const { version } = require("./package.json");
+
+const CHECK_TIMEOUT_MS = 2000;
+// Below this much free space a write could leave the data file incomplete
+const MIN_FREE_DISK_BYTES = 100 * 1024 * 1024;
+
+function uptimeSeconds() {
+  return Math.round(process.uptime());
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeoutMs} ms`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run one check, which resolves to extra details or throws when it fails
+async function runCheck(check, timeoutMs) {
+  const start = process.hrtime.bigint();
+  const latencyMs = () =>
+    Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+  try {
+    const details = await withTimeout(check(), timeoutMs);
+    return { status: "pass", latencyMs: latencyMs(), ...details };
+  } catch (error) {
+    return { status: "fail", latencyMs: latencyMs(), error: error.message };
+  }
+}
+
+async function checkRead(file) {
+  try {
+    await fs.access(file, constants.R_OK);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+async function checkWrite(file) {
+  const suffix = `${process.pid}.${Math.random().toString(36).slice(2)}`;
+  const probe = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.health.${suffix}.tmp`
+  );
+  try {
+    await fs.writeFile(probe, "");
+  } finally {
+    await fs.rm(probe, { force: true });
+  }
+  try {
+    await fs.access(file, constants.W_OK);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+async function checkDiskSpace(file, minFreeBytes) {
+  const stats = await fs.statfs(path.dirname(file));
+  const freeBytes = stats.bavail * stats.bsize;
+  if (freeBytes < minFreeBytes) {
+    throw new Error(
+      `Only ${freeBytes} bytes free, at least ${minFreeBytes} needed`
+    );
+  }
+  return { freeBytes };
+}
+
+async function checkData(store) {
+  await store.list("todos");
+}
+
+// The liveness report
+function liveness() {
+  return { status: "OK", version, uptimeSeconds: uptimeSeconds() };
+}
+
+// Check that store is ready to use. Stores that do not name a data file
+// only have their data checked.
+async function readiness(
+  store,
+  { minFreeDiskBytes = MIN_FREE_DISK_BYTES, timeoutMs = CHECK_TIMEOUT_MS } = {}
+) {
+  const checks = {};
+  if (store.file) {
+    checks.read = () => checkRead(store.file);
+    checks.write = () => checkWrite(store.file);
+    checks.diskSpace = () => checkDiskSpace(store.file, minFreeDiskBytes);
+  }
+  checks.data = () => checkData(store);
+
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    results[name] = await runCheck(check, timeoutMs);
+  }
+  const ready = Object.values(results).every(
+    (result) => result.status === "pass"
+  );
+  return {
+    status: ready ? "OK" : "Degraded",
+    version,
+    uptimeSeconds: uptimeSeconds(),
+    storageDriver: store.driver,
+    checks: results,
+  };
+}
+
+module.exports = {
+  CHECK_TIMEOUT_MS,
+  MIN_FREE_DISK_BYTES,
+  liveness,
+  readiness,
+};
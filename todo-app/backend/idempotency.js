@@ -0,0 +1,94 @@
+// Idempotency keys make retried writes safe. A client that may repeat a
+// request, say after a timeout, sends it with an Idempotency-Key header and
+// sends the same key with every repeat. The first successful response is
+// stored for a while and replayed for repeats instead of applying the
+// request again. Keys belong to the user that sent them and are tied to the
+// request they were first used with; reusing one for a different request is
+// refused.
+//
+// A key is reserved when its request starts, so a repeat arriving while it
+// is still being handled is refused rather than applied twice. Responses
+// other than 2xx release the key, letting the client retry with it.
+
+const crypto = require("crypto");
+
+// How long a response is replayed for
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+// How long a key may stay reserved before its request is taken to have been
+// abandoned, for instance by a crash
+const RESERVATION_TIMEOUT_MS = 60 * 1000;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// What a key is tied to: the method, URL and body of the request
+function requestFingerprint(req) {
+  return hash(JSON.stringify([req.method, req.originalUrl, req.body]));
+}
+
+// Reserve a user's key for a request inside a transaction, dropping their
+// expired keys. Returns { reserved } with the new record, { replay } with the
+// record of a completed request, or { conflict } when the key is in use by a
+// request still in progress ("in-progress") or by another request
+// ("mismatch").
+async function reserveIdempotencyKey(
+  tx,
+  user,
+  key,
+  fingerprint,
+  { windowMs = IDEMPOTENCY_WINDOW_MS } = {}
+) {
+  const now = Date.now();
+  for (const record of await tx.list("idempotency")) {
+    if (record.userId === user.id && Date.parse(record.expiresAt) <= now) {
+      await tx.remove("idempotency", record.id);
+    }
+  }
+
+  const id = hash(`${user.id}\n${key}`);
+  const existing = await tx.get("idempotency", id);
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return { conflict: "mismatch" };
+    }
+    if (existing.response) {
+      return { replay: existing };
+    }
+    if (now - Date.parse(existing.createdAt) < RESERVATION_TIMEOUT_MS) {
+      return { conflict: "in-progress" };
+    }
+    await tx.remove("idempotency", id);
+  }
+
+  const record = {
+    id,
+    userId: user.id,
+    fingerprint,
+    response: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + windowMs).toISOString(),
+  };
+  await tx.insert("idempotency", record);
+  return { reserved: record };
+}
+
+// Store the response to a reserved key's request as { status, headers, body }
+function completeIdempotencyKey(store, id, response) {
+  return store.update("idempotency", id, { response });
+}
+
+function releaseIdempotencyKey(store, id) {
+  return store.remove("idempotency", id);
+}
+
+module.exports = {
+  IDEMPOTENCY_WINDOW_MS,
+  IDEMPOTENCY_KEY_MAX_LENGTH,
+  RESERVATION_TIMEOUT_MS,
+  requestFingerprint,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
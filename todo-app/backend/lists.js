@@ -0,0 +1,131 @@
+// Helpers for todo lists. Every list belongs to the user who created it and
+// can be shared with other users (see sharing.js); lists are returned with
+// the requesting user's role on them. Each user also has a default list that
+// always exists: it is only stored once it has been renamed or recoloured, as
+// a record marked isDefault, and it cannot be deleted or shared. Its id is
+// DEFAULT_LIST_ID for every user.
+
+const { DEFAULT_LIST_ID, generateId, belongsToList } = require("./todos");
+const { roleFor, removeSharing } = require("./sharing");
+
+const DEFAULT_LIST = { id: DEFAULT_LIST_ID, name: "Inbox", color: "#4facfe" };
+
+// The stored record behind a user's default list, or null
+function findDefaultList(lists, user) {
+  return (
+    lists.find((list) => list.isDefault && list.ownerId === user.id) || null
+  );
+}
+
+// A user's default list as returned by the API
+function defaultListFor(user, stored) {
+  if (!stored) {
+    return { ...DEFAULT_LIST, ownerId: user.id, role: "owner" };
+  }
+  const { isDefault, ...list } = stored;
+  return { ...list, id: DEFAULT_LIST_ID, role: "owner" };
+}
+
+// A user's lists, default list first, then the lists they own or were
+// shared with in creation order
+async function listLists(store, user) {
+  const lists = await store.list("lists");
+  const memberships = await store.list("memberships");
+  const accessible = [];
+  for (const list of lists) {
+    const role = list.isDefault ? null : roleFor(list, user, memberships);
+    if (role) {
+      accessible.push({ ...list, role });
+    }
+  }
+  return [defaultListFor(user, findDefaultList(lists, user)), ...accessible];
+}
+
+// A list the user owns or was shared with, including their role, or null
+// when it does not exist or they have no access to it
+async function getList(store, id, user) {
+  if (id === DEFAULT_LIST_ID) {
+    return defaultListFor(
+      user,
+      findDefaultList(await store.list("lists"), user)
+    );
+  }
+  const list = await store.get("lists", id);
+  if (!list || list.isDefault) {
+    return null;
+  }
+  const role = roleFor(list, user, await store.list("memberships"));
+  return role ? { ...list, role } : null;
+}
+
+// Build a new list for a user from validated fields
+function createListRecord({ name, color = DEFAULT_LIST.color }, user) {
+  return {
+    id: generateId(),
+    ownerId: user.id,
+    name,
+    color,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Apply validated changes to one of the user's lists inside a transaction,
+// storing their default list the first time it is changed. Returns null for
+// an unknown id.
+async function updateList(tx, id, changes, user) {
+  const updatedAt = new Date().toISOString();
+  if (id === DEFAULT_LIST_ID) {
+    const stored = findDefaultList(await tx.list("lists"), user);
+    if (stored) {
+      const updated = await tx.update("lists", stored.id, {
+        ...changes,
+        updatedAt,
+      });
+      return defaultListFor(user, updated);
+    }
+    const inserted = await tx.insert("lists", {
+      ...DEFAULT_LIST,
+      id: generateId(),
+      ownerId: user.id,
+      isDefault: true,
+      ...changes,
+      updatedAt,
+    });
+    return defaultListFor(user, inserted);
+  }
+
+  const existing = await tx.get("lists", id);
+  if (!existing || existing.isDefault || existing.ownerId !== user.id) {
+    return null;
+  }
+  const updated = await tx.update("lists", id, { ...changes, updatedAt });
+  return { ...updated, role: "owner" };
+}
+
+// Remove one of the user's lists and every todo in it, including its trash,
+// and stop sharing it, inside a transaction. Returns the removed list and
+// todos, or null for an unknown id.
+async function removeList(tx, id, user) {
+  const list = await tx.get("lists", id);
+  if (!list || list.isDefault || list.ownerId !== user.id) {
+    return null;
+  }
+  const todos = (await tx.list("todos")).filter((todo) =>
+    belongsToList(todo, list)
+  );
+  for (const todo of todos) {
+    await tx.remove("todos", todo.id);
+  }
+  await removeSharing(tx, id);
+  await tx.remove("lists", id);
+  return { list, todos };
+}
+
+module.exports = {
+  DEFAULT_LIST,
+  listLists,
+  getList,
+  createListRecord,
+  updateList,
+  removeList,
+};
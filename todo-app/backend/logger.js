@@ -0,0 +1,133 @@
+// Structured logging. Each entry is handed to the sink as an object that is
+// written out as one JSON line:
+//
+//   {"time":"...","level":"info","msg":"Request completed","requestId":"...",...}
+//
+// Entries below the logger's level are dropped. The level comes from
+// LOG_LEVEL (debug, info, warn, error or silent) and defaults to info, or to
+// silent under test. Entries written while a request is handled carry its
+// requestId. Fields are made safe to write: credentials are
+// redacted, errors are reduced to their name, message and stack, and long
+// strings and large objects such as request bodies are truncated.
+
+const { currentRequestId } = require("./context");
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const DEFAULT_LEVEL = "info";
+
+// Field and header names whose values are never written
+const SENSITIVE_KEYS = new Set([
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "password",
+  "token",
+  "tokenhash",
+  "secret",
+]);
+const REDACTED = "[redacted]";
+const MAX_STRING_LENGTH = 1000;
+// Objects serializing to more than this are replaced by a preview
+const MAX_OBJECT_LENGTH = 4096;
+const MAX_DEPTH = 6;
+
+function defaultLevel() {
+  if (process.env.LOG_LEVEL) {
+    return process.env.LOG_LEVEL;
+  }
+  return process.env.NODE_ENV === "test" ? "silent" : DEFAULT_LEVEL;
+}
+
+function writeLine(entry) {
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+function truncateString(value) {
+  if (value.length <= MAX_STRING_LENGTH) {
+    return value;
+  }
+  const omitted = value.length - MAX_STRING_LENGTH;
+  return `${value.slice(0, MAX_STRING_LENGTH)}... [${omitted} more characters]`;
+}
+
+function sanitizeFields(fields, depth = 0) {
+  const copy = {};
+  for (const [key, value] of Object.entries(fields)) {
+    copy[key] = SENSITIVE_KEYS.has(key.toLowerCase())
+      ? REDACTED
+      : sanitize(value, depth);
+  }
+  return copy;
+}
+
+// A copy of value that is safe and small enough to log
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (typeof value === "string") {
+    return truncateString(value);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[truncated]";
+  }
+  const copy = Array.isArray(value)
+    ? value.map((item) => sanitize(item, depth + 1))
+    : sanitizeFields(value, depth + 1);
+  const json = JSON.stringify(copy);
+  if (json && json.length > MAX_OBJECT_LENGTH) {
+    return {
+      truncated: true,
+      length: json.length,
+      preview: json.slice(0, MAX_STRING_LENGTH),
+    };
+  }
+  return copy;
+}
+
+// Create a logger writing entries at or above level to sink. fields are
+// added to every entry; child() returns a logger adding more.
+function createLogger({
+  level = defaultLevel(),
+  sink = writeLine,
+  fields = {},
+} = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  function isLevelEnabled(entryLevel) {
+    return LOG_LEVELS[entryLevel] >= LOG_LEVELS[level];
+  }
+
+  function log(entryLevel, msg, extra = {}) {
+    if (!isLevelEnabled(entryLevel)) {
+      return;
+    }
+    const requestId = currentRequestId();
+    sink({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...sanitizeFields({ ...fields, ...extra }),
+    });
+  }
+
+  return {
+    level,
+    isLevelEnabled,
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (more) =>
+      createLogger({ level, sink, fields: { ...fields, ...more } }),
+  };
+}
+
+module.exports = { LOG_LEVELS, createLogger, sanitize };
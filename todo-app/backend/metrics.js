@@ -0,0 +1,266 @@
+// Metrics in the Prometheus text exposition format, served at /metrics when
+// enabled:
+//
+//   # HELP http_requests_total HTTP requests handled, by route and status
+//   # TYPE http_requests_total counter
+//   http_requests_total{method="GET",route="/api/todos",status="200"} 3
+//
+// Requests and storage operations are counted and timed as they happen.
+// Todo counts and process stats are read when the metrics are scraped.
+
+const { isDeleted } = require("./todos");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Histogram bucket bounds, in seconds
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const STORAGE_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// Store methods that read, the rest write
+const READ_OPERATIONS = new Set(["list", "get", "query"]);
+const STORE_OPERATIONS = [
+  "list",
+  "get",
+  "query",
+  "insert",
+  "update",
+  "remove",
+  "transaction",
+];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return String(value);
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// The series of a metric, one per set of label values
+function createSeries(labelNames, create) {
+  const series = new Map();
+  return {
+    get(labels) {
+      const values = labelNames.map((name) => String(labels[name]));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        const named = {};
+        labelNames.forEach((name, i) => {
+          named[name] = values[i];
+        });
+        series.set(key, { labels: named, ...create() });
+      }
+      return series.get(key);
+    },
+    all: () => [...series.values()],
+  };
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = createSeries(labelNames, () => ({ value: 0 }));
+  return {
+    inc(labels = {}, amount = 1) {
+      series.get(labels).value += amount;
+    },
+    render() {
+      return [
+        ...header(name, help, "counter"),
+        ...series
+          .all()
+          .map(
+            ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+          ),
+      ];
+    },
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets }) {
+  const series = createSeries(labelNames, () => ({
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+  return {
+    observe(labels, seconds) {
+      const entry = series.get(labels);
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) {
+          entry.counts[i] += 1;
+        }
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    },
+    render() {
+      const lines = header(name, help, "histogram");
+      for (const { labels, counts, sum, count } of series.all()) {
+        buckets.forEach((bound, i) => {
+          const le = formatLabels({ ...labels, le: formatValue(bound) });
+          lines.push(`${name}_bucket${le} ${counts[i]}`);
+        });
+        const inf = formatLabels({ ...labels, le: "+Inf" });
+        lines.push(`${name}_bucket${inf} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// A metric whose values are read when it is rendered, given as
+// [labels, value] pairs
+function renderSamples(name, help, type, samples) {
+  return [
+    ...header(name, help, type),
+    ...samples.map(
+      ([labels, value]) => `${name}${formatLabels(labels)} ${value}`
+    ),
+  ];
+}
+
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+// How many todos there are across all users, leaving out the trash
+async function todoCounts(store) {
+  const todos = (await store.list("todos")).filter((todo) => !isDeleted(todo));
+  const completed = todos.filter((todo) => todo.completed).length;
+  return [
+    [{ state: "active" }, todos.length - completed],
+    [{ state: "completed" }, completed],
+  ];
+}
+
+function processStats() {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  const startTime = Math.round(Date.now() / 1000 - process.uptime());
+  return [
+    ...renderSamples(
+      "process_cpu_user_seconds_total",
+      "User CPU time spent, in seconds",
+      "counter",
+      [[{}, cpu.user / 1e6]]
+    ),
+    ...renderSamples(
+      "process_cpu_system_seconds_total",
+      "System CPU time spent, in seconds",
+      "counter",
+      [[{}, cpu.system / 1e6]]
+    ),
+    ...renderSamples(
+      "process_resident_memory_bytes",
+      "Resident memory size, in bytes",
+      "gauge",
+      [[{}, memory.rss]]
+    ),
+    ...renderSamples(
+      "nodejs_heap_size_total_bytes",
+      "Heap size allocated by V8, in bytes",
+      "gauge",
+      [[{}, memory.heapTotal]]
+    ),
+    ...renderSamples(
+      "nodejs_heap_size_used_bytes",
+      "Heap size used by V8, in bytes",
+      "gauge",
+      [[{}, memory.heapUsed]]
+    ),
+    ...renderSamples(
+      "process_start_time_seconds",
+      "When the process started, in seconds since the epoch",
+      "gauge",
+      [[{}, startTime]]
+    ),
+  ];
+}
+
+// Create a registry for one app's metrics
+function createMetrics() {
+  const requests = createCounter({
+    name: "http_requests_total",
+    help: "HTTP requests handled, by route and status",
+    labelNames: ["method", "route", "status"],
+  });
+  const requestDuration = createHistogram({
+    name: "http_request_duration_seconds",
+    help: "How long HTTP requests took to handle, in seconds",
+    labelNames: ["method", "route", "status"],
+    buckets: REQUEST_BUCKETS,
+  });
+  const storageDuration = createHistogram({
+    name: "storage_operation_duration_seconds",
+    help: "How long storage reads and writes took, in seconds",
+    labelNames: ["operation", "type"],
+    buckets: STORAGE_BUCKETS,
+  });
+
+  function observeRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status };
+    requests.inc(labels);
+    requestDuration.observe(labels, durationMs / 1000);
+  }
+
+  function observeStorage(operation, seconds) {
+    const type = READ_OPERATIONS.has(operation) ? "read" : "write";
+    storageDuration.observe({ operation, type }, seconds);
+  }
+
+  // The exposition text, reading the todo counts from store
+  async function render(store) {
+    const lines = [
+      ...requests.render(),
+      ...requestDuration.render(),
+      ...storageDuration.render(),
+      ...renderSamples(
+        "todos",
+        "Todos by completion state, leaving out the trash",
+        "gauge",
+        await todoCounts(store)
+      ),
+      ...processStats(),
+    ];
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { observeRequest, observeStorage, render };
+}
+
+// Wrap store so each operation's latency is recorded in metrics, whether it
+// succeeds or fails
+function instrumentStore(store, metrics) {
+  const instrumented = { ...store };
+  for (const operation of STORE_OPERATIONS) {
+    instrumented[operation] = async (...args) => {
+      const start = process.hrtime.bigint();
+      try {
+        return await store[operation](...args);
+      } finally {
+        metrics.observeStorage(operation, secondsSince(start));
+      }
+    };
+  }
+  return instrumented;
+}
+
+module.exports = { CONTENT_TYPE, createMetrics, instrumentStore };
@@ -0,0 +1,68 @@
+// Manual ordering of the todos in a list. Each todo carries a fractional
+// position and moving one takes the midpoint of its new neighbours, so a
+// move normally rewrites a single todo. Todos stored before positions were
+// introduced rank by their stored order until the list is first reordered.
+
+// Effective position of each todo, given a list's todos in stored order
+function positionsOf(todos) {
+  return todos.map((todo, index) =>
+    todo.position === undefined ? index : todo.position
+  );
+}
+
+function orderByPosition(todos) {
+  const positions = positionsOf(todos);
+  return todos
+    .map((todo, index) => ({ todo, position: positions[index] }))
+    .sort((a, b) => a.position - b.position)
+    .map((entry) => entry.todo);
+}
+
+// Position for a todo appended to the end of the list
+function nextPosition(todos) {
+  return positionsOf(todos).reduce(
+    (max, position) => Math.max(max, position + 1),
+    0
+  );
+}
+
+// Work out the positions to store so that todo id directly follows afterId,
+// or comes first when afterId is null. Returns [id, position] pairs: only
+// the moved todo, unless the list has to be renumbered because some todos
+// have no position yet or the neighbours are too close to split.
+function planMove(todos, id, afterId) {
+  const ordered = orderByPosition(todos).filter((todo) => todo.id !== id);
+  const index =
+    afterId === null ? 0 : ordered.findIndex((todo) => todo.id === afterId) + 1;
+
+  if (ordered.every((todo) => todo.position !== undefined)) {
+    const previous = ordered[index - 1];
+    const next = ordered[index];
+    let position = 0;
+    if (previous && next) {
+      position = (previous.position + next.position) / 2;
+    } else if (previous) {
+      position = previous.position + 1;
+    } else if (next) {
+      position = next.position - 1;
+    }
+    const splits =
+      (!previous || position !== previous.position) &&
+      (!next || position !== next.position);
+    if (splits) {
+      return [[id, position]];
+    }
+  }
+
+  ordered.splice(
+    index,
+    0,
+    todos.find((todo) => todo.id === id)
+  );
+  return ordered
+    .map((todo, position) => [todo.id, position, todo.position])
+    .filter(([, position, current]) => position !== current)
+    .map(([todoId, position]) => [todoId, position]);
+}
+
+module.exports = { orderByPosition, nextPosition, planMove };
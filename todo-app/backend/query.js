@@ -0,0 +1,80 @@
+// Filtering, search, sorting and pagination for GET /api/todos. The query
+// has already been validated against todoQuerySchema.
+
+const { isOverdue, localDateString } = require("./todos");
+const { orderByPosition } = require("./ordering");
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Every whitespace-separated term of q must appear in the text
+function matchesSearch(todo, q) {
+  const text = todo.text.toLowerCase();
+  return q
+    .toLowerCase()
+    .split(/\s+/)
+    .every((term) => text.includes(term));
+}
+
+// Todos must carry every requested tag
+function hasTags(todo, tags) {
+  const todoTags = todo.tags || [];
+  return tags.every((tag) => todoTags.includes(tag));
+}
+
+// Sort keys; todos whose key is null sort last in either direction
+const sortKeys = {
+  createdAt: (todo) => todo.createdAt || "",
+  updatedAt: (todo) => todo.updatedAt || todo.createdAt || "",
+  text: (todo) => todo.text.toLowerCase(),
+  dueDate: (todo) => todo.dueDate || null,
+  priority: (todo) => PRIORITY_RANK[todo.priority] || null,
+};
+
+function compareBy(sort, order) {
+  const key = sortKeys[sort];
+  const direction = order === "desc" ? -1 : 1;
+  return (a, b) => {
+    const left = key(a);
+    const right = key(b);
+    if (left === null || right === null) {
+      return (left === null) - (right === null);
+    }
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return 0;
+  };
+}
+
+// Returns the requested page and the number of todos matching the filters.
+// Without a sort parameter todos are in their manual order. Overdue means not
+// completed and due before today, in the server's time zone.
+function queryTodos(
+  todos,
+  { completed, overdue, tag, q, sort, order, limit, offset = 0 },
+  today = localDateString(new Date())
+) {
+  let matching = orderByPosition(todos);
+
+  if (completed !== undefined) {
+    matching = matching.filter((todo) => todo.completed === completed);
+  }
+  if (overdue !== undefined) {
+    matching = matching.filter((todo) => isOverdue(todo, today) === overdue);
+  }
+  if (tag) {
+    matching = matching.filter((todo) => hasTags(todo, tag));
+  }
+  if (q) {
+    matching = matching.filter((todo) => matchesSearch(todo, q));
+  }
+  if (sort) {
+    matching = matching.slice().sort(compareBy(sort, order));
+  } else if (order === "desc") {
+    matching = matching.reverse();
+  }
+
+  const end = limit === undefined ? undefined : offset + limit;
+  return { items: matching.slice(offset, end), total: matching.length };
+}
+
+module.exports = queryTodos;
@@ -0,0 +1,184 @@
+// Recurrence engine for repeating todos, modelled on a subset of iCalendar
+// RRULE. A recurrence looks like
+//
+//   { frequency: "daily", interval: 3 }                  every 3 days
+//   { frequency: "weekly", weekdays: ["mon", "thu"] }    Mondays and Thursdays
+//   { frequency: "monthly", monthDay: 31 }               31st, or month end
+//
+// with an optional interval (every N periods, default 1) and an optional
+// until date after which no occurrence is created. Dates are calendar dates
+// (YYYY-MM-DD) and are computed in UTC so time zones never shift them;
+// reminder times are moved by whole days of wall-clock time in the given
+// time zone so they stay at the same local time across DST changes.
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Days from Monday, the first day of the week as in RRULE's default WKST
+function weekdayOffset(date) {
+  return (date.getUTCDay() + 6) % 7;
+}
+
+// Fill in the weekday or day of month from the first occurrence, so later
+// occurrences do not drift (a monthly todo due on the 31st stays on the 31st
+// or the last day of shorter months)
+function resolveRecurrence(recurrence, date) {
+  const resolved = { interval: 1, ...recurrence };
+  const first = parseDate(date);
+  if (resolved.frequency === "weekly" && !resolved.weekdays) {
+    resolved.weekdays = [WEEKDAYS[first.getUTCDay()]];
+  }
+  if (resolved.frequency === "monthly" && !resolved.monthDay) {
+    resolved.monthDay = first.getUTCDate();
+  }
+  return resolved;
+}
+
+// The first occurrence strictly after date, or null past the until date
+function nextDate(recurrence, date) {
+  const {
+    frequency,
+    interval = 1,
+    weekdays,
+    monthDay,
+  } = resolveRecurrence(recurrence, date);
+  const current = parseDate(date);
+  let next;
+
+  if (frequency === "daily") {
+    next = addDays(current, interval);
+  } else if (frequency === "weekly") {
+    const days = new Set(weekdays.map((day) => WEEKDAYS.indexOf(day)));
+    const matches = (candidate) => days.has(candidate.getUTCDay());
+    // Later in the same week, otherwise the first match `interval` weeks on
+    const weekStart = addDays(current, -weekdayOffset(current));
+    for (let offset = weekdayOffset(current) + 1; offset < 7; offset++) {
+      if (matches(addDays(weekStart, offset))) {
+        next = addDays(weekStart, offset);
+        break;
+      }
+    }
+    if (!next) {
+      const nextWeek = addDays(weekStart, 7 * interval);
+      for (let offset = 0; !next; offset++) {
+        if (matches(addDays(nextWeek, offset))) {
+          next = addDays(nextWeek, offset);
+        }
+      }
+    }
+  } else if (frequency === "monthly") {
+    const months = current.getUTCMonth() + interval;
+    const year = current.getUTCFullYear() + Math.floor(months / 12);
+    const month = months % 12;
+    const day = Math.min(monthDay, daysInMonth(year, month));
+    next = new Date(Date.UTC(year, month, day));
+  } else {
+    throw new Error(`Unknown recurrence frequency: ${frequency}`);
+  }
+
+  const nextString = formatDate(next);
+  if (recurrence.until && nextString > recurrence.until) {
+    return null;
+  }
+  return nextString;
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const part = (type) =>
+    Number(parts.find((entry) => entry.type === type).value);
+  return {
+    year: part("year"),
+    month: part("month"),
+    day: part("day"),
+    hour: part("hour"),
+    minute: part("minute"),
+    second: part("second"),
+  };
+}
+
+// Offset of the time zone from UTC at an instant, in milliseconds
+function zoneOffset(time, timeZone) {
+  const date = new Date(time);
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - (time - date.getUTCMilliseconds());
+}
+
+// Move an ISO instant by whole days, keeping its local time of day
+function shiftInstant(instant, days, timeZone) {
+  const date = new Date(instant);
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day + days,
+    hour,
+    minute,
+    second,
+    date.getUTCMilliseconds()
+  );
+  // The second pass picks up an offset change between the two instants
+  let time = wallClock - zoneOffset(wallClock, timeZone);
+  time = wallClock - zoneOffset(time, timeZone);
+  return new Date(time).toISOString();
+}
+
+// Fields that change for the occurrence following a completed todo, or null
+// when the recurrence has ended. The schedule continues from the due date
+// (today for todos without one) and skips occurrences that are already in
+// the past, so completing a todo late does not create an overdue one.
+function nextOccurrence(todo, today, timeZone) {
+  const from = todo.dueDate || today;
+  const recurrence = resolveRecurrence(todo.recurrence, from);
+  let dueDate = nextDate(recurrence, from);
+  while (dueDate !== null && dueDate < today) {
+    dueDate = nextDate(recurrence, dueDate);
+  }
+  if (dueDate === null) {
+    return null;
+  }
+
+  const fields = { dueDate, recurrence };
+  if (todo.remindAt) {
+    const days = Math.round((parseDate(dueDate) - parseDate(from)) / DAY_MS);
+    fields.remindAt = shiftInstant(todo.remindAt, days, timeZone);
+  }
+  return fields;
+}
+
+module.exports = {
+  WEEKDAYS,
+  resolveRecurrence,
+  nextDate,
+  shiftInstant,
+  nextOccurrence,
+};
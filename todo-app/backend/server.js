@@ -1,12 +1,118 @@
 const createApp = require('./app');
+const { createStore } = require('./storage');
+const { purgeTrash } = require('./trash');
+const { withAudit, pruneAudit } = require('./audit');
+const { assignLegacyData } = require('./auth');
+const { createEventHub } = require('./events');
+const { createLogger } = require('./logger');
+const { ConfigError, loadConfig } = require('./config');
 
-const PORT = process.env.PORT || 3000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
-// Create the app
-const app = createApp();
+// Refuse to start with settings that do not make sense
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  // Not the configured level, which may be one of the problems
+  createLogger({ level: 'error' }).error('Invalid configuration', {
+    problems: error.problems
+  });
+  process.exit(1);
+}
+
+// Create the app with the configured storage driver (json or sqlite)
+const store = createStore({ driver: config.storageDriver, file: config.dataFile });
+const events = createEventHub();
+const logger = createLogger({ level: config.logLevel });
+if (!config.authSecret) {
+  logger.warn('AUTH_SECRET is not set: sessions will not survive a restart');
+}
+if (config.corsOrigins === '*') {
+  logger.warn('CORS_ORIGINS is not set: any website may call the API');
+}
+const app = createApp({ ...config, store, events, logger });
+
+// Give the data stored before accounts existed to LEGACY_OWNER if they have
+// already registered; otherwise they are given it when they do
+async function assignLegacyOwner() {
+  if (!config.legacyOwner) {
+    return;
+  }
+  try {
+    const count = await store.transaction(tx =>
+      assignLegacyData(tx, config.legacyOwner)
+    );
+    if (count === null) {
+      logger.info('Legacy data will be assigned once its owner registers', {
+        legacyOwner: config.legacyOwner
+      });
+    } else if (count > 0) {
+      logger.info('Assigned legacy data', { legacyOwner: config.legacyOwner, count });
+    }
+  } catch (error) {
+    logger.error('Error assigning legacy data', { error });
+  }
+}
+
+// Permanently remove todos that have been in the trash too long, recording
+// the purge in the audit log as done by the system and telling open event
+// streams about it
+async function purgeExpiredTrash() {
+  try {
+    const recorded = [];
+    const audited = tx =>
+      withAudit(tx, {
+        actor: { type: 'system' },
+        onRecord: (event, todo) => recorded.push({ event, todo })
+      });
+    const purged = await store.transaction(tx =>
+      purgeTrash(audited(tx), { olderThanDays: config.trashRetentionDays })
+    );
+    events.publish(recorded);
+    if (purged.length > 0) {
+      logger.info('Purged todos from the trash', { count: purged.length });
+    }
+  } catch (error) {
+    logger.error('Error purging trash', { error });
+  }
+}
+
+// Remove audit events older than the retention period, so the log does not
+// grow without bound
+async function pruneExpiredAudit() {
+  try {
+    const pruned = await store.transaction(tx =>
+      pruneAudit(tx, { olderThanDays: config.auditRetentionDays })
+    );
+    if (pruned > 0) {
+      logger.info('Pruned audit events', { count: pruned });
+    }
+  } catch (error) {
+    logger.error('Error pruning audit events', { error });
+  }
+}
+
+async function removeExpiredData() {
+  await purgeExpiredTrash();
+  await pruneExpiredAudit();
+}
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Todo API server is running on http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
+app.listen(config.port, () => {
+  logger.info('Todo API server is running', {
+    url: `http://localhost:${config.port}`,
+    healthCheck: `http://localhost:${config.port}/api/health`,
+    readinessCheck: `http://localhost:${config.port}/api/health/ready`,
+    storageDriver: store.driver,
+    trashRetentionDays: config.trashRetentionDays,
+    auditRetentionDays: config.auditRetentionDays,
+    features: config.features
+  });
+  assignLegacyOwner();
+  removeExpiredData();
+  setInterval(removeExpiredData, PURGE_INTERVAL_MS).unref();
 });
@@ -0,0 +1,199 @@
+// List sharing. The owner of a list can invite other users to it as editors
+// or viewers, and they become members once they accept. Each role can do
+// everything the roles before it can:
+//
+//   viewer  read the list, its todos, trash and history
+//   editor  create, update, complete and reorder todos
+//   owner   delete and restore todos, empty the trash, rename or delete the
+//           list and manage its members
+//
+// The owner is the list's ownerId and has no membership record. Default
+// lists cannot be shared.
+
+const { generateId } = require("./todos");
+
+const ROLES = ["viewer", "editor", "owner"];
+const MEMBER_ROLES = ["viewer", "editor"];
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function findMembership(memberships, listId, userId) {
+  return (
+    memberships.find(
+      (membership) =>
+        membership.listId === listId && membership.userId === userId
+    ) || null
+  );
+}
+
+// The user's role on a stored list, or null when they cannot see it
+function roleFor(list, user, memberships) {
+  if (list.ownerId === user.id) {
+    return "owner";
+  }
+  const membership = findMembership(memberships, list.id, user.id);
+  return membership ? membership.role : null;
+}
+
+function usernames(users) {
+  return new Map(users.map((user) => [user.id, user.username]));
+}
+
+// The list's owner followed by its members in the order they joined
+async function listMembers(store, list) {
+  const names = usernames(await store.list("users"));
+  const members = (await store.list("memberships")).filter(
+    (membership) => membership.listId === list.id
+  );
+  return [
+    { userId: list.ownerId, username: names.get(list.ownerId), role: "owner" },
+    ...members.map(({ userId, role, createdAt }) => ({
+      userId,
+      username: names.get(userId),
+      role,
+      joinedAt: createdAt,
+    })),
+  ];
+}
+
+// An invitation as returned by the API, with the names of the list, the
+// invited user and the inviter filled in
+async function describeInvitations(store, invitations) {
+  const names = usernames(await store.list("users"));
+  const lists = new Map(
+    (await store.list("lists")).map((list) => [list.id, list])
+  );
+  return invitations.map((invitation) => {
+    const list = lists.get(invitation.listId);
+    return {
+      ...invitation,
+      listName: list ? list.name : null,
+      username: names.get(invitation.userId),
+      invitedByUsername: names.get(invitation.invitedBy),
+    };
+  });
+}
+
+async function listInvitations(store, { listId, userId }) {
+  const invitations = (await store.list("invitations")).filter(
+    (invitation) =>
+      (listId === undefined || invitation.listId === listId) &&
+      (userId === undefined || invitation.userId === userId)
+  );
+  return describeInvitations(store, invitations);
+}
+
+// Invite a user by name to a list inside a transaction. Inviting someone who
+// already has an invitation changes its role. Returns { status, invitation }
+// or { status, error }.
+async function inviteMember(tx, list, { username, role }, inviter) {
+  const name = username.toLowerCase();
+  const user = (await tx.list("users")).find(
+    (user) => user.username.toLowerCase() === name
+  );
+  if (!user) {
+    return { status: 404, error: "User not found" };
+  }
+  if (roleFor(list, user, await tx.list("memberships"))) {
+    return { status: 409, error: "User is already a member of this list" };
+  }
+
+  const pending = (await tx.list("invitations")).find(
+    (invitation) =>
+      invitation.listId === list.id && invitation.userId === user.id
+  );
+  if (pending) {
+    const invitation = await tx.update("invitations", pending.id, { role });
+    return { status: 200, invitation };
+  }
+  const invitation = await tx.insert("invitations", {
+    id: generateId(),
+    listId: list.id,
+    userId: user.id,
+    role,
+    invitedBy: inviter.id,
+    createdAt: new Date().toISOString(),
+  });
+  return { status: 201, invitation };
+}
+
+// Accept one of the user's invitations inside a transaction, making them a
+// member of the list. Returns the membership, or null for an unknown id.
+async function acceptInvitation(tx, id, user) {
+  const invitation = await tx.get("invitations", id);
+  if (!invitation || invitation.userId !== user.id) {
+    return null;
+  }
+  await tx.remove("invitations", id);
+  return tx.insert("memberships", {
+    id: generateId(),
+    listId: invitation.listId,
+    userId: user.id,
+    role: invitation.role,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// Remove an invitation the user received or, with listId, one sent for that
+// list. Returns the invitation, or null for an unknown id.
+async function removeInvitation(tx, id, { userId, listId }) {
+  const invitation = await tx.get("invitations", id);
+  if (
+    !invitation ||
+    (userId !== undefined && invitation.userId !== userId) ||
+    (listId !== undefined && invitation.listId !== listId)
+  ) {
+    return null;
+  }
+  return tx.remove("invitations", id);
+}
+
+// Change a member's role inside a transaction. Returns the membership, or
+// null when the user is not a member.
+async function changeMemberRole(tx, list, userId, role) {
+  const membership = findMembership(
+    await tx.list("memberships"),
+    list.id,
+    userId
+  );
+  return membership ? tx.update("memberships", membership.id, { role }) : null;
+}
+
+// Remove a member from a list inside a transaction. Returns the membership,
+// or null when the user is not a member.
+async function removeMember(tx, list, userId) {
+  const membership = findMembership(
+    await tx.list("memberships"),
+    list.id,
+    userId
+  );
+  return membership ? tx.remove("memberships", membership.id) : null;
+}
+
+// Drop every membership and invitation of a list that is being deleted
+async function removeSharing(tx, listId) {
+  for (const collection of ["memberships", "invitations"]) {
+    for (const record of await tx.list(collection)) {
+      if (record.listId === listId) {
+        await tx.remove(collection, record.id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ROLES,
+  MEMBER_ROLES,
+  hasRole,
+  roleFor,
+  listMembers,
+  listInvitations,
+  inviteMember,
+  acceptInvitation,
+  removeInvitation,
+  changeMemberRole,
+  removeMember,
+  removeSharing,
+};
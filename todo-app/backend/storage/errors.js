@@ -0,0 +1,13 @@
+// Raised when the data file exists but cannot be parsed, so callers report
+// the problem instead of mistaking a damaged file for an empty one.
+class CorruptDataError extends Error {
+  constructor(file, cause) {
+    super(`Data file ${file} is corrupt: ${cause.message}`);
+    this.name = "CorruptDataError";
+    this.code = "EDATACORRUPT";
+    this.file = file;
+    this.cause = cause;
+  }
+}
+
+module.exports = { CorruptDataError };
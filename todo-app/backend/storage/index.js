@@ -0,0 +1,49 @@
+const path = require("path");
+const createJsonStore = require("./json-store");
+const { CorruptDataError } = require("./errors");
+
+const DEFAULT_FILES = {
+  json: path.join(__dirname, "..", "data.json"),
+  sqlite: path.join(__dirname, "..", "data.sqlite"),
+};
+
+// The SQLite adapter is only loaded when it is used, so a missing or broken
+// native better-sqlite3 build does not affect the JSON driver
+function createSqliteStore(file) {
+  return require("./sqlite-store")(file);
+}
+
+// Storage adapters share one interface, every method returning a promise:
+//   list(collection)               -> all records, in insertion order
+//   get(collection, id)            -> record or null
+//   query(collection, options)     -> { items, total } for the records
+//                                     matching options (see query.js)
+//   insert(collection, record)     -> inserted record
+//   update(collection, id, changes)-> merged record or null when missing
+//   remove(collection, id)         -> removed record or null when missing
+//   transaction(fn)                -> fn(tx) result, where tx offers the six
+//                                     methods above; its changes are applied
+//                                     atomically and discarded if fn throws
+//   close()
+// and name their driver and the file they keep their data in as driver and
+// file.
+// Writes are serialized, so a read-modify-write inside a transaction cannot
+// lose a concurrent update.
+function createStore({ driver = "json", file } = {}) {
+  switch (driver) {
+    case "json":
+      return createJsonStore(file || DEFAULT_FILES.json);
+    case "sqlite":
+      return createSqliteStore(file || DEFAULT_FILES.sqlite);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createJsonStore,
+  createSqliteStore,
+  CorruptDataError,
+  DEFAULT_FILES,
+};
@@ -0,0 +1,187 @@
+const fs = require("fs").promises;
+const path = require("path");
+const createMutex = require("./mutex");
+const { CorruptDataError } = require("./errors");
+const { queryRecords } = require("./query");
+
+// File-backed store that keeps every collection in a single JSON document.
+// A bare array is read as the "todos" collection, which is the format
+// data.json has always used, and is written back that way for as long as
+// todos is the only collection holding records.
+//
+// Writes are serialized through a mutex and each one replaces the file by
+// writing a temporary file and renaming it over the original, so readers
+// never observe a partially written document.
+function createJsonStore(file) {
+  const runExclusive = createMutex();
+
+  // Helper function to read all collections from the file
+  async function readData() {
+    let content;
+    try {
+      content = await fs.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new CorruptDataError(file, error);
+    }
+
+    if (Array.isArray(data)) {
+      return { todos: data };
+    }
+    if (
+      !data ||
+      typeof data !== "object" ||
+      !Object.values(data).every(Array.isArray)
+    ) {
+      throw new CorruptDataError(
+        file,
+        new Error("expected an array or an object of arrays")
+      );
+    }
+    return data;
+  }
+
+  // Helper function to atomically write all collections to the file
+  async function writeData(data) {
+    const collections = Object.keys(data).filter(
+      (name) => data[name].length > 0
+    );
+    const onlyTodos = collections.every((name) => name === "todos");
+    const content = onlyTodos ? data.todos || [] : data;
+
+    const suffix = `${process.pid}.${Math.random().toString(36).slice(2)}`;
+    const tempFile = path.join(
+      path.dirname(file),
+      `.${path.basename(file)}.${suffix}.tmp`
+    );
+    try {
+      const handle = await fs.open(tempFile, "w");
+      try {
+        await handle.writeFile(JSON.stringify(content, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      await fs.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  // Collection operations against an in-memory copy of the document
+  function createOperations(data, markDirty) {
+    function records(collection) {
+      data[collection] = data[collection] || [];
+      return data[collection];
+    }
+
+    return {
+      async list(collection) {
+        return records(collection).slice();
+      },
+
+      async get(collection, id) {
+        return records(collection).find((record) => record.id === id) || null;
+      },
+
+      async query(collection, options) {
+        return queryRecords(records(collection), options);
+      },
+
+      async insert(collection, record) {
+        records(collection).push(record);
+        markDirty();
+        return record;
+      },
+
+      async update(collection, id, changes) {
+        const rows = records(collection);
+        const index = rows.findIndex((record) => record.id === id);
+        if (index === -1) {
+          return null;
+        }
+        rows[index] = { ...rows[index], ...changes };
+        markDirty();
+        return rows[index];
+      },
+
+      async remove(collection, id) {
+        const rows = records(collection);
+        const index = rows.findIndex((record) => record.id === id);
+        if (index === -1) {
+          return null;
+        }
+        const [removed] = rows.splice(index, 1);
+        markDirty();
+        return removed;
+      },
+    };
+  }
+
+  // Run fn against a snapshot of the file while holding the write lock.
+  // Changes are written once when fn resolves and discarded if it throws.
+  function transaction(fn) {
+    return runExclusive(async () => {
+      const data = await readData();
+      let dirty = false;
+      const result = await fn(createOperations(data, () => (dirty = true)));
+      if (dirty) {
+        await writeData(data);
+      }
+      return result;
+    });
+  }
+
+  async function list(collection) {
+    const data = await readData();
+    return data[collection] || [];
+  }
+
+  async function get(collection, id) {
+    const records = await list(collection);
+    return records.find((record) => record.id === id) || null;
+  }
+
+  async function query(collection, options) {
+    return queryRecords(await list(collection), options);
+  }
+
+  function insert(collection, record) {
+    return transaction((tx) => tx.insert(collection, record));
+  }
+
+  function update(collection, id, changes) {
+    return transaction((tx) => tx.update(collection, id, changes));
+  }
+
+  function remove(collection, id) {
+    return transaction((tx) => tx.remove(collection, id));
+  }
+
+  async function close() {}
+
+  return {
+    driver: "json",
+    file,
+    list,
+    get,
+    query,
+    insert,
+    update,
+    remove,
+    transaction,
+    close,
+  };
+}
+
+module.exports = createJsonStore;
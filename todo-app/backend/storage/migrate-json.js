@@ -0,0 +1,53 @@
+const fs = require("fs").promises;
+const { createSqliteStore, DEFAULT_FILES } = require("./index");
+
+// Import the records of an existing data.json into a SQLite database.
+// The import runs in one transaction, and records whose id is already present
+// are skipped, so the migration can be re-run safely.
+async function migrateJsonToSqlite(jsonFile, sqliteFile) {
+  const data = JSON.parse(await fs.readFile(jsonFile, "utf8"));
+  const collections = Array.isArray(data) ? { todos: data } : data;
+  const store = createSqliteStore(sqliteFile);
+  const summary = {};
+
+  try {
+    await store.transaction(async (tx) => {
+      for (const [collection, records] of Object.entries(collections)) {
+        summary[collection] = { imported: 0, skipped: 0 };
+        for (const record of records) {
+          if (await tx.get(collection, record.id)) {
+            summary[collection].skipped++;
+          } else {
+            await tx.insert(collection, record);
+            summary[collection].imported++;
+          }
+        }
+      }
+    });
+  } finally {
+    await store.close();
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  const [jsonFile = DEFAULT_FILES.json, sqliteFile = DEFAULT_FILES.sqlite] =
+    process.argv.slice(2);
+
+  migrateJsonToSqlite(jsonFile, sqliteFile)
+    .then((summary) => {
+      console.log(`Migrated ${jsonFile} into ${sqliteFile}`);
+      for (const [collection, counts] of Object.entries(summary)) {
+        console.log(
+          `  ${collection}: ${counts.imported} imported, ${counts.skipped} skipped`
+        );
+      }
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateJsonToSqlite;
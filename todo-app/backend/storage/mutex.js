@@ -0,0 +1,13 @@
+// Serialize async tasks: each task starts only after every task queued
+// before it has settled, whether it resolved or rejected.
+function createMutex() {
+  let tail = Promise.resolve();
+
+  return function runExclusive(task) {
+    const result = tail.then(() => task());
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+module.exports = createMutex;
@@ -0,0 +1,51 @@
+// Options of store.query, shared by the adapters:
+//   where        { field: value } pairs a record must all match; a missing
+//                field matches null
+//   range        { field, from, to } bounds, either of which may be left
+//                out, that field must lie within (inclusive)
+//   after        only records inserted after the record with this id, none
+//                when there is no such record
+//   newestFirst  return the most recently inserted records first
+//   offset       matching records to skip
+//   limit        most records to return
+// The result is { items, total }, total counting every match.
+
+function fieldValue(record, field) {
+  return record[field] === undefined ? null : record[field];
+}
+
+function matches(record, { where = {}, range }) {
+  for (const [field, value] of Object.entries(where)) {
+    if (fieldValue(record, field) !== (value === undefined ? null : value)) {
+      return false;
+    }
+  }
+  if (range) {
+    const value = fieldValue(record, range.field);
+    if (range.from !== undefined && !(value >= range.from)) {
+      return false;
+    }
+    if (range.to !== undefined && !(value <= range.to)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Query records held in memory, in insertion order
+function queryRecords(records, options = {}) {
+  const { after, newestFirst = false, offset = 0, limit } = options;
+  let candidates = records;
+  if (after !== undefined) {
+    const index = records.findIndex((record) => record.id === after);
+    candidates = index === -1 ? [] : records.slice(index + 1);
+  }
+  const matching = candidates.filter((record) => matches(record, options));
+  if (newestFirst) {
+    matching.reverse();
+  }
+  const end = limit === undefined ? undefined : offset + limit;
+  return { items: matching.slice(offset, end), total: matching.length };
+}
+
+module.exports = { queryRecords };
@@ -0,0 +1,179 @@
+const Database = require("better-sqlite3");
+const createMutex = require("./mutex");
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// The JSON path of a record field, for json_extract
+function fieldPath(field) {
+  if (!IDENTIFIER.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+  return `$.${field}`;
+}
+
+// The WHERE clause and parameters selecting the records matching the
+// options of query (see query.js)
+function queryFilter(collection, { where = {}, range, after }) {
+  const conditions = [];
+  const params = [];
+  for (const [field, value] of Object.entries(where)) {
+    if (value === undefined || value === null) {
+      conditions.push("json_extract(data, ?) IS NULL");
+      params.push(fieldPath(field));
+    } else {
+      // JSON booleans are extracted as 1 and 0
+      conditions.push("json_extract(data, ?) = ?");
+      params.push(
+        fieldPath(field),
+        typeof value === "boolean" ? +value : value
+      );
+    }
+  }
+  if (range && range.from !== undefined) {
+    conditions.push("json_extract(data, ?) >= ?");
+    params.push(fieldPath(range.field), range.from);
+  }
+  if (range && range.to !== undefined) {
+    conditions.push("json_extract(data, ?) <= ?");
+    params.push(fieldPath(range.field), range.to);
+  }
+  if (after !== undefined) {
+    conditions.push(`seq > (SELECT seq FROM "${collection}" WHERE id = ?)`);
+    params.push(after);
+  }
+  const clause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  return { clause, params };
+}
+
+// Embedded SQLite store. Each collection is a table of JSON documents keyed
+// by id, so every insert, update and delete touches a single row instead of
+// rewriting the whole data set. Rows are returned in insertion order.
+//
+// The connection is shared, so every operation goes through a mutex to keep
+// statements from interleaving with an open transaction.
+function createSqliteStore(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+
+  const runExclusive = createMutex();
+  const statements = new Map();
+
+  // Create the collection table on first use and cache its statements
+  function table(collection) {
+    if (!IDENTIFIER.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    if (!statements.has(collection)) {
+      db.exec(
+        `CREATE TABLE IF NOT EXISTS "${collection}" (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          id TEXT NOT NULL UNIQUE,
+          data TEXT NOT NULL
+        )`
+      );
+      statements.set(collection, {
+        list: db.prepare(`SELECT data FROM "${collection}" ORDER BY seq`),
+        get: db.prepare(`SELECT data FROM "${collection}" WHERE id = ?`),
+        insert: db.prepare(
+          `INSERT INTO "${collection}" (id, data) VALUES (?, ?)`
+        ),
+        update: db.prepare(`UPDATE "${collection}" SET data = ? WHERE id = ?`),
+        remove: db.prepare(`DELETE FROM "${collection}" WHERE id = ?`),
+      });
+    }
+    return statements.get(collection);
+  }
+
+  // Collection operations issued directly on the connection
+  const operations = {
+    async list(collection) {
+      return table(collection)
+        .list.all()
+        .map((row) => JSON.parse(row.data));
+    },
+
+    async get(collection, id) {
+      const row = table(collection).get.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async query(collection, options = {}) {
+      const { newestFirst = false, offset = 0, limit = -1 } = options;
+      table(collection);
+      const { clause, params } = queryFilter(collection, options);
+      const rows = db
+        .prepare(
+          `SELECT data FROM "${collection}" ${clause}
+           ORDER BY seq ${newestFirst ? "DESC" : "ASC"} LIMIT ? OFFSET ?`
+        )
+        .all(...params, limit, offset);
+      const { total } = db
+        .prepare(`SELECT COUNT(*) AS total FROM "${collection}" ${clause}`)
+        .get(...params);
+      return { items: rows.map((row) => JSON.parse(row.data)), total };
+    },
+
+    async insert(collection, record) {
+      table(collection).insert.run(record.id, JSON.stringify(record));
+      return record;
+    },
+
+    async update(collection, id, changes) {
+      const existing = await operations.get(collection, id);
+      if (!existing) {
+        return null;
+      }
+      const updated = { ...existing, ...changes };
+      table(collection).update.run(JSON.stringify(updated), id);
+      return updated;
+    },
+
+    async remove(collection, id) {
+      const existing = await operations.get(collection, id);
+      if (!existing) {
+        return null;
+      }
+      table(collection).remove.run(id);
+      return existing;
+    },
+  };
+
+  // Run fn inside BEGIN IMMEDIATE ... COMMIT, rolling back if it throws
+  function transaction(fn) {
+    return runExclusive(async () => {
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await fn(operations);
+        db.exec("COMMIT");
+        return result;
+      } catch (error) {
+        db.exec("ROLLBACK");
+        throw error;
+      }
+    });
+  }
+
+  function exclusive(name) {
+    return (...args) => runExclusive(() => operations[name](...args));
+  }
+
+  function close() {
+    return runExclusive(() => db.close());
+  }
+
+  return {
+    driver: "sqlite",
+    file,
+    list: exclusive("list"),
+    get: exclusive("get"),
+    query: exclusive("query"),
+    insert: exclusive("insert"),
+    update: exclusive("update"),
+    remove: exclusive("remove"),
+    transaction,
+    close,
+  };
+}
+
+module.exports = createSqliteStore;
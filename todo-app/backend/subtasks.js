@@ -0,0 +1,95 @@
+// Checklist of subtasks stored inside a todo. Each helper takes the current
+// subtasks and returns { subtasks } with the new array, or { status, error }
+// (and details for validation problems) when the change cannot be made.
+
+const { generateId } = require("./todos");
+
+const TODO_MAX_SUBTASKS = 100;
+
+function notFound() {
+  return { status: 404, error: "Subtask not found" };
+}
+
+function invalid(field, message) {
+  return {
+    status: 400,
+    error: "Validation failed",
+    details: [{ field, message }],
+  };
+}
+
+function addSubtask(subtasks, { text, completed = false }) {
+  if (subtasks.length >= TODO_MAX_SUBTASKS) {
+    return invalid(
+      "text",
+      `A todo can have at most ${TODO_MAX_SUBTASKS} subtasks`
+    );
+  }
+  const subtask = {
+    id: generateId(),
+    text,
+    completed,
+    createdAt: new Date().toISOString(),
+  };
+  return { subtasks: [...subtasks, subtask] };
+}
+
+function updateSubtask(subtasks, subtaskId, changes) {
+  if (!subtasks.some((subtask) => subtask.id === subtaskId)) {
+    return notFound();
+  }
+  return {
+    subtasks: subtasks.map((subtask) =>
+      subtask.id === subtaskId ? { ...subtask, ...changes } : subtask
+    ),
+  };
+}
+
+function removeSubtask(subtasks, subtaskId) {
+  if (!subtasks.some((subtask) => subtask.id === subtaskId)) {
+    return notFound();
+  }
+  return { subtasks: subtasks.filter((subtask) => subtask.id !== subtaskId) };
+}
+
+// order must list every subtask id exactly once
+function reorderSubtasks(subtasks, order) {
+  const byId = new Map(subtasks.map((subtask) => [subtask.id, subtask]));
+  if (order.length !== subtasks.length || !order.every((id) => byId.has(id))) {
+    return invalid("order", "order must list every subtask exactly once");
+  }
+  return { subtasks: order.map((id) => byId.get(id)) };
+}
+
+// Roll-up of the checklist, or null when the todo has no subtasks
+function subtaskProgress(subtasks) {
+  if (subtasks.length === 0) {
+    return null;
+  }
+  const completed = subtasks.filter((subtask) => subtask.completed).length;
+  return {
+    completed,
+    total: subtasks.length,
+    percent: Math.round((completed / subtasks.length) * 100),
+  };
+}
+
+// Changes to store for a new checklist. With autoComplete set, the todo is
+// completed once every subtask is done and reopened when one is not.
+function subtaskChanges(todo, subtasks) {
+  const changes = { subtasks, progress: subtaskProgress(subtasks) };
+  if (todo.autoComplete && subtasks.length > 0) {
+    changes.completed = subtasks.every((subtask) => subtask.completed);
+  }
+  return changes;
+}
+
+module.exports = {
+  TODO_MAX_SUBTASKS,
+  addSubtask,
+  updateSubtask,
+  removeSubtask,
+  reorderSubtasks,
+  subtaskProgress,
+  subtaskChanges,
+};
@@ -0,0 +1,56 @@
+// Tags are not stored on their own: a tag exists for as long as some todo
+// carries it, so renaming or deleting one rewrites every todo that uses it.
+// Each user has their own tags, drawn from the todos they own.
+// Todos in the trash keep their tags as they were when deleted.
+
+const { todoChanges, isDeleted } = require("./todos");
+
+// Every tag in use with the number of todos carrying it, sorted by name
+function listTags(todos) {
+  const counts = new Map();
+  for (const todo of todos.filter((todo) => !isDeleted(todo))) {
+    for (const tag of todo.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.keys()]
+    .sort()
+    .map((name) => ({ name, count: counts.get(name) }));
+}
+
+// Replace a tag on every todo of one owner carrying it inside a transaction,
+// using replace(tags) to compute the new tags. Returns the number of todos
+// changed.
+async function rewriteTag(tx, ownerId, name, replace) {
+  const todos = (await tx.list("todos")).filter(
+    (todo) =>
+      todo.ownerId === ownerId &&
+      !isDeleted(todo) &&
+      (todo.tags || []).includes(name)
+  );
+  for (const todo of todos) {
+    await tx.update(
+      "todos",
+      todo.id,
+      todoChanges(todo, { tags: replace(todo.tags) })
+    );
+  }
+  return todos.length;
+}
+
+// Rename a tag, merging it into newName on todos that already carry both
+function renameTag(tx, ownerId, name, newName) {
+  return rewriteTag(tx, ownerId, name, (tags) =>
+    tags.includes(newName)
+      ? tags.filter((tag) => tag !== name)
+      : tags.map((tag) => (tag === name ? newName : tag))
+  );
+}
+
+function removeTag(tx, ownerId, name) {
+  return rewriteTag(tx, ownerId, name, (tags) =>
+    tags.filter((tag) => tag !== name)
+  );
+}
+
+module.exports = { listTags, renameTag, removeTag };
@@ -0,0 +1,210 @@
+// Helpers for building and changing todo records, shared by the single-todo
+// routes and the bulk endpoint.
+
+const { nextPosition } = require("./ordering");
+const { nextOccurrence } = require("./recurrence");
+
+// Todos created through /api/todos, and todos written before lists were
+// introduced, belong to their owner's default list
+const DEFAULT_LIST_ID = "default";
+
+function todoListId(todo) {
+  return todo.listId || DEFAULT_LIST_ID;
+}
+
+// The list a todo belongs to, as the { id, ownerId } pair that identifies a
+// list: every user has a default list with the same id
+function todoScope(todo) {
+  return { id: todoListId(todo), ownerId: todo.ownerId };
+}
+
+// Whether a stored todo belongs to a list, including its trash
+function belongsToList(todo, list) {
+  return (
+    Boolean(todo) &&
+    todoListId(todo) === list.id &&
+    todo.ownerId === list.ownerId
+  );
+}
+
+// Deleted todos stay in the trash until they are restored or purged
+function isDeleted(todo) {
+  return Boolean(todo.deletedAt);
+}
+
+// Whether a stored todo is visible in a list: todos in other lists and
+// todos in the trash are treated as missing
+function inList(todo, list) {
+  return belongsToList(todo, list) && !isDeleted(todo);
+}
+
+// The todos of one list, in stored order, leaving out the trash
+async function listTodos(tx, list) {
+  return (await tx.list("todos")).filter((todo) => inList(todo, list));
+}
+
+// Generate unique ID
+function generateId() {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+// Todos written before versioning was introduced count as version 1
+function todoVersion(todo) {
+  return todo.version || 1;
+}
+
+function todoETag(todo) {
+  return `"${todoVersion(todo)}"`;
+}
+
+// Check an If-Match header value against the todo's current ETag. A missing
+// header always passes; weak validators never match (RFC 9110 13.1.1).
+function etagMatches(header, todo) {
+  if (!header || header.trim() === "*") {
+    return true;
+  }
+  const current = todoETag(todo);
+  return header.split(",").some((tag) => tag.trim() === current);
+}
+
+// Build a new todo in the given list and position from validated fields.
+// The todo is owned by the list's owner. New todos start out not completed
+// unless completed is true; optional fields that were not given or were
+// null are left out.
+function createTodoRecord(
+  { text, completed, ...optional },
+  { list = { id: DEFAULT_LIST_ID }, position = 0 } = {}
+) {
+  const todo = {
+    id: generateId(),
+    listId: list.id,
+    ownerId: list.ownerId,
+    position,
+    text,
+    completed: completed === true,
+    version: 1,
+    createdAt: new Date().toISOString(),
+  };
+  for (const [field, value] of Object.entries(optional)) {
+    if (value !== null && value !== undefined) {
+      todo[field] = value;
+    }
+  }
+  return todo;
+}
+
+// Format a date as YYYY-MM-DD in the local time zone
+function localDateString(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+// A todo is overdue when it is not completed and its due date has passed
+function isOverdue(todo, today) {
+  return !todo.completed && Boolean(todo.dueDate) && todo.dueDate < today;
+}
+
+// Changes to store for a validated update, bumping the version
+function todoChanges(todo, updates) {
+  return {
+    ...updates,
+    version: todoVersion(todo) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Fields carried over from a completed recurring todo to its next
+// occurrence, with the checklist unticked
+function repeatedFields({ text, priority, tags, autoComplete, subtasks }) {
+  const fields = { text, priority, tags, autoComplete };
+  if (subtasks && subtasks.length > 0) {
+    fields.subtasks = subtasks.map((subtask) => ({
+      ...subtask,
+      completed: false,
+    }));
+    fields.progress = { completed: 0, total: subtasks.length, percent: 0 };
+  }
+  return fields;
+}
+
+// Apply validated updates to a todo inside a transaction. Completing a
+// recurring todo for the first time also creates its next occurrence at the
+// end of the list and links to it through nextOccurrenceId.
+async function updateTodoRecord(tx, todo, updates) {
+  const changes = todoChanges(todo, updates);
+  const completing = changes.completed === true && !todo.completed;
+
+  if (completing && todo.recurrence && !todo.nextOccurrenceId) {
+    const completed = { ...todo, ...changes };
+    const fields = nextOccurrence(
+      completed,
+      localDateString(new Date()),
+      Intl.DateTimeFormat().resolvedOptions().timeZone
+    );
+    if (fields) {
+      const list = todoScope(todo);
+      const next = createTodoRecord(
+        { ...repeatedFields(completed), ...fields },
+        { list, position: nextPosition(await listTodos(tx, list)) }
+      );
+      await tx.insert("todos", next);
+      changes.nextOccurrenceId = next.id;
+    }
+  }
+
+  return tx.update("todos", todo.id, changes);
+}
+
+// Apply one validated bulk operation to a list inside a transaction. Returns
+// { status, id, todo } on success or { status, id, error } on failure.
+async function applyBulkOperation(tx, { op, id, data, ifMatch }, list) {
+  if (op === "create") {
+    const position = nextPosition(await listTodos(tx, list));
+    const todo = createTodoRecord(data, { list, position });
+    await tx.insert("todos", todo);
+    return { status: 201, id: todo.id, todo };
+  }
+
+  const todo = await tx.get("todos", id);
+  if (!inList(todo, list)) {
+    return { status: 404, id, error: "Todo not found" };
+  }
+  if (!etagMatches(ifMatch, todo)) {
+    return {
+      status: 412,
+      id,
+      error: "Todo has been modified by another request",
+      todo,
+    };
+  }
+
+  if (op === "update") {
+    const updated = await updateTodoRecord(tx, todo, data);
+    return { status: 200, id, todo: updated };
+  }
+  // Deleting moves the todo to the trash
+  const changes = todoChanges(todo, { deletedAt: new Date().toISOString() });
+  return { status: 200, id, todo: await tx.update("todos", id, changes) };
+}
+
+module.exports = {
+  DEFAULT_LIST_ID,
+  todoListId,
+  todoScope,
+  belongsToList,
+  isDeleted,
+  inList,
+  listTodos,
+  generateId,
+  todoVersion,
+  todoETag,
+  etagMatches,
+  createTodoRecord,
+  todoChanges,
+  updateTodoRecord,
+  applyBulkOperation,
+  localDateString,
+  isOverdue,
+};
@@ -0,0 +1,121 @@
+// Personal API tokens let scripts act for a user without their password.
+// A token is "tdp_" followed by random bytes and is only shown when it is
+// created; the store keeps its SHA-256 hash, which is enough for random
+// tokens, and its first characters so users can tell tokens apart. Each
+// token carries scopes limiting what it can do:
+//
+//   todos:read   read lists, todos and tags
+//   todos:write  create, update and delete todos and tags
+//
+// Tokens never reach account, sharing or token management routes.
+
+const crypto = require("crypto");
+const { publicUser } = require("./auth");
+
+const TOKEN_PREFIX = "tdp_";
+const TOKEN_SCOPES = ["todos:read", "todos:write"];
+const TOKEN_BYTES = 32;
+// Length of the token start kept for display, prefix included
+const DISPLAY_LENGTH = 12;
+// How stale lastUsedAt may get, so busy scripts do not rewrite the store
+// on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function isApiToken(token) {
+  return token.startsWith(TOKEN_PREFIX);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// A token record without its hash
+function publicToken({ tokenHash, ...token }) {
+  return token;
+}
+
+// The user's tokens, oldest first
+async function listApiTokens(store, user) {
+  return (await store.list("tokens"))
+    .filter((token) => token.userId === user.id)
+    .map(publicToken);
+}
+
+// Create a token for a user inside a transaction from validated fields.
+// Returns the public record with the token itself, which cannot be
+// recovered later.
+async function createApiToken(tx, user, { name, scopes, expiresInDays }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString("hex");
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    name,
+    scopes,
+    start: token.slice(0, DISPLAY_LENGTH),
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt:
+      expiresInDays === undefined
+        ? null
+        : new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+    lastUsedAt: null,
+  };
+  await tx.insert("tokens", record);
+  return { ...publicToken(record), token };
+}
+
+// Revoke one of the user's tokens inside a transaction. Returns the public
+// record, or null for an unknown id.
+async function revokeApiToken(tx, id, user) {
+  const token = await tx.get("tokens", id);
+  if (!token || token.userId !== user.id) {
+    return null;
+  }
+  await tx.remove("tokens", id);
+  return publicToken(token);
+}
+
+// Resolve an API token to its record and user, noting when it was used.
+// Returns { user, token } or { error } describing why it was refused.
+async function resolveApiToken(store, token) {
+  const tokenHash = hashToken(token);
+  const record = (await store.list("tokens")).find(
+    (candidate) => candidate.tokenHash === tokenHash
+  );
+  if (!record) {
+    return { error: "Invalid token" };
+  }
+  const now = Date.now();
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+    return { error: "Token expired" };
+  }
+  const user = await store.get("users", record.userId);
+  if (!user) {
+    return { error: "Invalid token" };
+  }
+  let used = record;
+  if (
+    !record.lastUsedAt ||
+    now - Date.parse(record.lastUsedAt) >= LAST_USED_RESOLUTION_MS
+  ) {
+    used = await store.update("tokens", record.id, {
+      lastUsedAt: new Date(now).toISOString(),
+    });
+    // Revoked since it was looked up
+    if (!used) {
+      return { error: "Invalid token" };
+    }
+  }
+  return { user: publicUser(user), token: publicToken(used) };
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  LAST_USED_RESOLUTION_MS,
+  isApiToken,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+  resolveApiToken,
+};
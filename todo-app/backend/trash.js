@@ -0,0 +1,36 @@
+// Deleted todos are not removed straight away: they get a deletedAt
+// timestamp and stay in the list's trash, hidden from every other route,
+// until they are restored or purged. Purging removes them for good.
+
+const { belongsToList, isDeleted } = require("./todos");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a todo stays in the trash before the periodic purge removes it
+const TRASH_RETENTION_DAYS = 30;
+
+// The trashed todos of one list, most recently deleted first
+async function listTrash(tx, list) {
+  return (await tx.list("todos"))
+    .filter((todo) => isDeleted(todo) && belongsToList(todo, list))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Permanently remove trashed todos deleted more than olderThanDays ago
+// (all of them when it is 0) inside a transaction, from one list or, without
+// a list, from every list. Returns the removed todos.
+async function purgeTrash(tx, { olderThanDays = 0, list, now = new Date() }) {
+  const cutoff = new Date(now.getTime() - olderThanDays * DAY_MS).toISOString();
+  const expired = (await tx.list("todos")).filter(
+    (todo) =>
+      isDeleted(todo) &&
+      todo.deletedAt <= cutoff &&
+      (list === undefined || belongsToList(todo, list))
+  );
+  for (const todo of expired) {
+    await tx.remove("todos", todo.id);
+  }
+  return expired;
+}
+
+module.exports = { TRASH_RETENTION_DAYS, listTrash, purgeTrash };
@@ -0,0 +1,672 @@
+// Declarative request validation. A schema maps each accepted field to a
+// rule; anything not listed in the schema is rejected as an unknown field.
+//
+// Rule options:
+//   type       "string" | "boolean" | "integer" | "enum" | "object" |
+//              "array" | "date" (YYYY-MM-DD) | "datetime" (ISO 8601 with
+//              a time zone, normalized to UTC) | "color" (#rrggbb) |
+//              "tag" (lowercased letters, digits, ".", "_" and "-") |
+//              "username" (letters, digits, ".", "_" and "-")
+//   label      human-readable name used in messages
+//   required   must be present (ignored for partial updates, which must
+//              instead set at least one field)
+//   nullable   accept null, typically to clear an optional field
+//   coerce     accept the string form of booleans and integers, and a single
+//              value for arrays, as found in query parameters
+//   trim       trim strings before checking length
+//   minLength  minimum string length after trimming
+//   maxLength  maximum string length after trimming
+//   min, max   bounds for integers
+//   values     allowed values for enums
+//   items      rule applied to each element of an array
+//   minItems   minimum number of array elements
+//   maxItems   maximum number of array elements
+//   schema     nested schema for objects
+//   check      function returning a message for cross-field problems in a
+//              validated object, or null
+
+const { WEEKDAYS } = require("./recurrence");
+const { AUDIT_ACTIONS } = require("./audit");
+const { MEMBER_ROLES } = require("./sharing");
+const { TOKEN_SCOPES } = require("./tokens");
+
+const TODO_TEXT_MAX_LENGTH = 200;
+const TODO_PAGE_MAX_LIMIT = 100;
+const BULK_MAX_OPERATIONS = 1000;
+const LIST_NAME_MAX_LENGTH = 50;
+const TAG_MAX_LENGTH = 30;
+const TODO_MAX_TAGS = 20;
+const USERNAME_MAX_LENGTH = 30;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+const TOKEN_NAME_MAX_LENGTH = 50;
+const TOKEN_MAX_DAYS = 365;
+
+const tagRule = { type: "tag", label: "Tag", maxLength: TAG_MAX_LENGTH };
+
+const recurrenceSchema = {
+  frequency: {
+    type: "enum",
+    label: "Frequency",
+    required: true,
+    values: ["daily", "weekly", "monthly"],
+  },
+  interval: { type: "integer", label: "Interval", min: 1, max: 365 },
+  weekdays: {
+    type: "array",
+    label: "Weekdays",
+    maxItems: 7,
+    items: { type: "enum", label: "Weekday", values: WEEKDAYS },
+  },
+  monthDay: { type: "integer", label: "Day of month", min: 1, max: 31 },
+  until: { type: "date", label: "End date" },
+};
+
+function checkRecurrence({ frequency, weekdays, monthDay }) {
+  if (weekdays && frequency !== "weekly") {
+    return "Weekdays can only be set for weekly recurrence";
+  }
+  if (weekdays && weekdays.length === 0) {
+    return "Weekdays cannot be empty";
+  }
+  if (monthDay && frequency !== "monthly") {
+    return "Day of month can only be set for monthly recurrence";
+  }
+  return null;
+}
+
+const todoSchema = {
+  text: {
+    type: "string",
+    label: "Todo text",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: TODO_TEXT_MAX_LENGTH,
+  },
+  completed: { type: "boolean", label: "Completed" },
+  dueDate: { type: "date", label: "Due date", nullable: true },
+  priority: {
+    type: "enum",
+    label: "Priority",
+    nullable: true,
+    values: ["low", "medium", "high"],
+  },
+  remindAt: { type: "datetime", label: "Reminder time", nullable: true },
+  tags: {
+    type: "array",
+    label: "Tags",
+    items: tagRule,
+    maxItems: TODO_MAX_TAGS,
+  },
+  autoComplete: { type: "boolean", label: "Auto-complete" },
+  recurrence: {
+    type: "object",
+    label: "Recurrence",
+    nullable: true,
+    schema: recurrenceSchema,
+    check: checkRecurrence,
+  },
+};
+
+const subtaskSchema = {
+  text: { ...todoSchema.text, label: "Subtask text" },
+  completed: { type: "boolean", label: "Completed" },
+};
+
+// Body of PUT /api/todos/:id/subtasks, listing the subtask ids in their new
+// order
+const subtaskOrderSchema = {
+  order: {
+    type: "array",
+    label: "order",
+    required: true,
+    items: { type: "string", label: "Subtask id", minLength: 1 },
+  },
+};
+
+const listSchema = {
+  name: {
+    type: "string",
+    label: "List name",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: LIST_NAME_MAX_LENGTH,
+  },
+  color: { type: "color", label: "List color" },
+};
+
+// Body of POST /api/todos/:id/move; afterId null moves the todo to the top
+const moveSchema = {
+  afterId: {
+    type: "string",
+    label: "afterId",
+    required: true,
+    nullable: true,
+    minLength: 1,
+  },
+};
+
+const tagRenameSchema = {
+  name: { ...tagRule, label: "Tag name", required: true },
+};
+
+// Body of POST /api/auth/login. Passwords are not trimmed.
+const credentialsSchema = {
+  username: {
+    type: "string",
+    label: "Username",
+    required: true,
+    trim: true,
+    minLength: 3,
+    maxLength: USERNAME_MAX_LENGTH,
+  },
+  password: {
+    type: "string",
+    label: "Password",
+    required: true,
+    minLength: PASSWORD_MIN_LENGTH,
+    maxLength: PASSWORD_MAX_LENGTH,
+  },
+};
+
+// Body of POST /api/auth/register. New usernames are limited to characters
+// that are safe to show anywhere.
+const registrationSchema = {
+  ...credentialsSchema,
+  username: { ...credentialsSchema.username, type: "username" },
+};
+
+// Body of POST /api/lists/:listId/invitations
+const invitationSchema = {
+  username: {
+    type: "string",
+    label: "Username",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: USERNAME_MAX_LENGTH,
+  },
+  role: { type: "enum", label: "Role", required: true, values: MEMBER_ROLES },
+};
+
+// Body of PUT /api/lists/:listId/members/:userId
+const memberRoleSchema = {
+  role: { type: "enum", label: "Role", required: true, values: MEMBER_ROLES },
+};
+
+// Body of POST /api/tokens; tokens without expiresInDays never expire
+const apiTokenSchema = {
+  name: {
+    type: "string",
+    label: "Token name",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: TOKEN_NAME_MAX_LENGTH,
+  },
+  scopes: {
+    type: "array",
+    label: "Scopes",
+    required: true,
+    minItems: 1,
+    items: { type: "enum", label: "Scope", values: TOKEN_SCOPES },
+  },
+  expiresInDays: {
+    type: "integer",
+    label: "Expiry in days",
+    min: 1,
+    max: TOKEN_MAX_DAYS,
+  },
+};
+
+// Query parameters accepted by GET /api/todos
+const todoQuerySchema = {
+  completed: { type: "boolean", label: "completed", coerce: true },
+  overdue: { type: "boolean", label: "overdue", coerce: true },
+  tag: { type: "array", label: "tag", coerce: true, items: tagRule },
+  q: {
+    type: "string",
+    label: "q",
+    trim: true,
+    maxLength: TODO_TEXT_MAX_LENGTH,
+  },
+  sort: {
+    type: "enum",
+    label: "sort",
+    values: ["createdAt", "updatedAt", "text", "dueDate", "priority"],
+  },
+  order: { type: "enum", label: "order", values: ["asc", "desc"] },
+  limit: {
+    type: "integer",
+    label: "limit",
+    coerce: true,
+    min: 0,
+    max: TODO_PAGE_MAX_LIMIT,
+  },
+  offset: { type: "integer", label: "offset", coerce: true, min: 0 },
+};
+
+// Query parameters accepted by DELETE /api/todos/trash
+const trashPurgeQuerySchema = {
+  olderThanDays: {
+    type: "integer",
+    label: "olderThanDays",
+    coerce: true,
+    min: 0,
+  },
+};
+
+// Query parameters accepted by GET /api/audit
+const auditQuerySchema = {
+  todoId: { type: "string", label: "todoId", minLength: 1 },
+  listId: { type: "string", label: "listId", minLength: 1 },
+  action: { type: "enum", label: "action", values: AUDIT_ACTIONS },
+  requestId: { type: "string", label: "requestId", minLength: 1 },
+  since: { type: "datetime", label: "since" },
+  until: { type: "datetime", label: "until" },
+  limit: {
+    type: "integer",
+    label: "limit",
+    coerce: true,
+    min: 0,
+    max: TODO_PAGE_MAX_LIMIT,
+  },
+  offset: { type: "integer", label: "offset", coerce: true, min: 0 },
+};
+
+// One entry of a POST /api/todos/bulk request. data is validated separately
+// against todoSchema.
+const bulkOperationSchema = {
+  op: {
+    type: "enum",
+    label: "op",
+    required: true,
+    values: ["create", "update", "delete"],
+  },
+  id: { type: "string", label: "id", minLength: 1 },
+  data: { type: "object", label: "data" },
+  ifMatch: { type: "string", label: "ifMatch", minLength: 1 },
+};
+
+// Per-type checks, each returning { value } or { message }. Array checks
+// also return the path of the failing element, such as "[2]".
+const typeValidators = {
+  string(rule, value) {
+    if (typeof value !== "string") {
+      return { message: `${rule.label} must be a string` };
+    }
+    const text = rule.trim ? value.trim() : value;
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return {
+        message:
+          rule.minLength === 1
+            ? `${rule.label} cannot be empty`
+            : `${rule.label} must be at least ${rule.minLength} characters`,
+      };
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return {
+        message: `${rule.label} must be at most ${rule.maxLength} characters`,
+      };
+    }
+    return { value: text };
+  },
+
+  boolean(rule, value) {
+    if (rule.coerce && (value === "true" || value === "false")) {
+      return { value: value === "true" };
+    }
+    if (typeof value !== "boolean") {
+      return { message: `${rule.label} must be a boolean` };
+    }
+    return { value };
+  },
+
+  integer(rule, value) {
+    const number =
+      rule.coerce && typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value;
+    if (!Number.isInteger(number)) {
+      return { message: `${rule.label} must be an integer` };
+    }
+    if (rule.min !== undefined && number < rule.min) {
+      return { message: `${rule.label} must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return { message: `${rule.label} must be at most ${rule.max}` };
+    }
+    return { value: number };
+  },
+
+  object(rule, value) {
+    if (!isPlainObject(value)) {
+      return { message: `${rule.label} must be an object` };
+    }
+    if (!rule.schema) {
+      return { value };
+    }
+    const result = validate(rule.schema, value);
+    if (result.details.length > 0) {
+      const [{ field, message }] = result.details;
+      return { path: `.${field}`, message };
+    }
+    const message = rule.check && rule.check(result.value);
+    if (message) {
+      return { message };
+    }
+    return { value: result.value };
+  },
+
+  array(rule, value) {
+    const items = rule.coerce && typeof value === "string" ? [value] : value;
+    if (!Array.isArray(items)) {
+      return { message: `${rule.label} must be an array` };
+    }
+    if (rule.minItems !== undefined && items.length < rule.minItems) {
+      return {
+        message:
+          rule.minItems === 1
+            ? `${rule.label} cannot be empty`
+            : `${rule.label} must contain at least ${rule.minItems} items`,
+      };
+    }
+    if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+      return {
+        message: `${rule.label} must contain at most ${rule.maxItems} items`,
+      };
+    }
+    if (!rule.items) {
+      return { value: items };
+    }
+    const validated = [];
+    for (const [index, item] of items.entries()) {
+      const result = typeValidators[rule.items.type](rule.items, item);
+      if (result.message) {
+        return { path: `[${index}]`, message: result.message };
+      }
+      // Drop duplicates left after normalization
+      if (!validated.includes(result.value)) {
+        validated.push(result.value);
+      }
+    }
+    return { value: validated };
+  },
+
+  date(rule, value) {
+    const match =
+      typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    // Round-trip through Date to reject days such as 2023-02-30
+    const valid =
+      match &&
+      new Date(Date.UTC(match[1], match[2] - 1, match[3]))
+        .toISOString()
+        .startsWith(value);
+    if (!valid) {
+      return { message: `${rule.label} must be a date in YYYY-MM-DD format` };
+    }
+    return { value };
+  },
+
+  datetime(rule, value) {
+    const valid =
+      typeof value === "string" &&
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(
+        value
+      ) &&
+      !Number.isNaN(Date.parse(value));
+    if (!valid) {
+      return {
+        message: `${rule.label} must be an ISO 8601 date-time with a time zone`,
+      };
+    }
+    return { value: new Date(value).toISOString() };
+  },
+
+  color(rule, value) {
+    if (typeof value !== "string" || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+      return { message: `${rule.label} must be a hex color such as #4facfe` };
+    }
+    return { value: value.toLowerCase() };
+  },
+
+  tag(rule, value) {
+    if (typeof value !== "string") {
+      return { message: `${rule.label} must be a string` };
+    }
+    const tag = value.trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9._-]*$/.test(tag)) {
+      return {
+        message: `${rule.label} must start with a letter or digit and contain only letters, digits, ".", "_" and "-"`,
+      };
+    }
+    if (tag.length > rule.maxLength) {
+      return {
+        message: `${rule.label} must be at most ${rule.maxLength} characters`,
+      };
+    }
+    return { value: tag };
+  },
+
+  username(rule, value) {
+    const result = typeValidators.string(rule, value);
+    if (result.message) {
+      return result;
+    }
+    if (!/^[A-Za-z0-9._-]+$/.test(result.value)) {
+      return {
+        message: `${rule.label} can only contain letters, digits, ".", "_" and "-"`,
+      };
+    }
+    return result;
+  },
+
+  enum(rule, value) {
+    if (!rule.values.includes(value)) {
+      return {
+        message: `${rule.label} must be one of: ${rule.values.join(", ")}`,
+      };
+    }
+    return { value };
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Validate input against a schema. Returns { value, details } where details
+// lists { field, message } for every problem found; value holds only the
+// validated fields and is meaningful when details is empty.
+function validate(schema, input, { partial = false } = {}) {
+  if (!isPlainObject(input)) {
+    return {
+      value: {},
+      details: [{ field: "body", message: "Request body must be an object" }],
+    };
+  }
+
+  const value = {};
+  const details = [];
+
+  if (partial && Object.keys(input).length === 0) {
+    details.push({ field: "body", message: "No fields to update" });
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      details.push({ field, message: `Unknown field "${field}"` });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (input[field] === undefined) {
+      if (rule.required && !partial) {
+        details.push({ field, message: `${rule.label} is required` });
+      }
+      continue;
+    }
+
+    if (input[field] === null && rule.nullable) {
+      value[field] = null;
+      continue;
+    }
+
+    const result = typeValidators[rule.type](rule, input[field]);
+    if (result.message) {
+      details.push({
+        field: field + (result.path || ""),
+        message: result.message,
+      });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, details };
+}
+
+// Validate a bulk request body { operations: [...] }. Returns the list of
+// operations with validated data, and details whose fields are paths such
+// as "operations[2].data.text".
+function validateBulk(input) {
+  const { value, details } = validate(
+    {
+      operations: {
+        type: "array",
+        label: "operations",
+        required: true,
+      },
+    },
+    input
+  );
+  if (details.length > 0) {
+    return { value, details };
+  }
+
+  const { operations } = value;
+  if (operations.length === 0 || operations.length > BULK_MAX_OPERATIONS) {
+    return {
+      value,
+      details: [
+        {
+          field: "operations",
+          message: `operations must contain between 1 and ${BULK_MAX_OPERATIONS} items`,
+        },
+      ],
+    };
+  }
+
+  const validated = operations.map((operation, index) => {
+    const prefix = `operations[${index}]`;
+    const result = validate(bulkOperationSchema, operation);
+    const problems = result.details.map(({ field, message }) => ({
+      field: field === "body" ? prefix : `${prefix}.${field}`,
+      message: field === "body" ? `${prefix} must be an object` : message,
+    }));
+    const { op, id, data } = result.value;
+
+    if (op && op !== "create" && id === undefined) {
+      problems.push({ field: `${prefix}.id`, message: "id is required" });
+    }
+    if (op === "create" && id !== undefined) {
+      problems.push({
+        field: `${prefix}.id`,
+        message: "id is not allowed when creating",
+      });
+    }
+    if (op && op !== "delete" && data === undefined) {
+      problems.push({ field: `${prefix}.data`, message: "data is required" });
+    }
+    if (op === "delete" && data !== undefined) {
+      problems.push({
+        field: `${prefix}.data`,
+        message: "data is not allowed when deleting",
+      });
+    }
+    if (data !== undefined && op && op !== "delete") {
+      const dataResult = validate(todoSchema, data, {
+        partial: op === "update",
+      });
+      dataResult.details.forEach(({ field, message }) =>
+        problems.push({
+          field:
+            field === "body" ? `${prefix}.data` : `${prefix}.data.${field}`,
+          message,
+        })
+      );
+      result.value.data = dataResult.value;
+    }
+
+    details.push(...problems);
+    return result.value;
+  });
+
+  return { value: { operations: validated }, details };
+}
+
+// Express middleware that replaces req.body with the validated value or
+// answers 400 with { error, details }. schema may also be a function taking
+// the body and returning { value, details }.
+function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, details } =
+      typeof schema === "function"
+        ? schema(req.body)
+        : validate(schema, req.body, options);
+    if (details.length > 0) {
+      req.log.info("Validation failed", { details });
+      return res.status(400).json({ error: "Validation failed", details });
+    }
+    req.body = value;
+    next();
+  };
+}
+
+// Express middleware that replaces req.query with the validated value or
+// answers 400 with { error, details }
+function validateQuery(schema) {
+  return (req, res, next) => {
+    const { value, details } = validate(schema, req.query);
+    if (details.length > 0) {
+      req.log.info("Invalid query parameters", { details });
+      return res
+        .status(400)
+        .json({ error: "Invalid query parameters", details });
+    }
+    req.query = value;
+    next();
+  };
+}
+
+module.exports = {
+  TODO_TEXT_MAX_LENGTH,
+  TODO_PAGE_MAX_LIMIT,
+  BULK_MAX_OPERATIONS,
+  LIST_NAME_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  TODO_MAX_TAGS,
+  USERNAME_MAX_LENGTH,
+  PASSWORD_MIN_LENGTH,
+  TOKEN_NAME_MAX_LENGTH,
+  todoSchema,
+  subtaskSchema,
+  subtaskOrderSchema,
+  moveSchema,
+  listSchema,
+  tagRenameSchema,
+  credentialsSchema,
+  registrationSchema,
+  invitationSchema,
+  memberRoleSchema,
+  apiTokenSchema,
+  todoQuerySchema,
+  trashPurgeQuerySchema,
+  auditQuerySchema,
+  validate,
+  validateBulk,
+  validateBody,
+  validateQuery,
+};
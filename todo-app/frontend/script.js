@@ -1,24 +1,142 @@
-// API Configuration
-const API_BASE_URL = 'http://localhost:3000/api';
+// API Configuration. The page names the server's config endpoint, which
+// says where the API is and which features are on.
+const CONFIG_URL = document.querySelector('meta[name="config-url"]').content;
+// Until the server says otherwise, the API is next to its config endpoint
+let API_BASE_URL = CONFIG_URL.replace(/\/config$/, '');
+let registrationEnabled = true;
 
 // DOM Elements
+const addTodoSection = document.querySelector('.add-todo-section');
 const todoForm = document.getElementById('add-todo-form');
 const todoInput = document.getElementById('todo-input');
+const dueDateInput = document.getElementById('todo-due-date');
+const priorityInput = document.getElementById('todo-priority');
+const remindAtInput = document.getElementById('todo-remind-at');
+const tagsInput = document.getElementById('todo-tags');
+const addRecurrencePicker = document.getElementById('add-recurrence');
 const todoList = document.getElementById('todo-list');
 const emptyState = document.getElementById('empty-state');
+const emptyTitle = document.getElementById('empty-title');
+const emptyMessage = document.getElementById('empty-message');
+const loadMoreButton = document.getElementById('load-more');
+const filterTabs = document.querySelectorAll('.filter-tab');
+const searchInput = document.getElementById('search-input');
+const activeTagFilter = document.getElementById('active-tag-filter');
+const activeTagName = document.getElementById('active-tag-name');
+const clearTagFilterButton = document.getElementById('clear-tag-filter');
 const loading = document.getElementById('loading');
 const errorMessage = document.getElementById('error-message');
 const errorText = document.getElementById('error-text');
 const closeError = document.getElementById('close-error');
+const liveRegion = document.getElementById('live-region');
+const toast = document.getElementById('toast');
+const toastText = document.getElementById('toast-text');
+const toastUndo = document.getElementById('toast-undo');
+
+// List sidebar elements
+const listNav = document.getElementById('list-nav');
+const addListForm = document.getElementById('add-list-form');
+const listNameInput = document.getElementById('list-name-input');
+const listColorInput = document.getElementById('list-color-input');
+const currentListName = document.getElementById('current-list-name');
+const invitationsSection = document.getElementById('invitations');
+const invitationList = document.getElementById('invitation-list');
+
+// Sharing dialog elements
+const shareDialog = document.getElementById('share-dialog');
+const shareTitle = document.getElementById('share-title');
+const memberList = document.getElementById('member-list');
+const inviteForm = document.getElementById('invite-form');
+const shareClose = document.getElementById('share-close');
+
+// Conflict dialog elements
+const conflictDialog = document.getElementById('conflict-dialog');
+const conflictTheirs = document.getElementById('conflict-theirs');
+const conflictMine = document.getElementById('conflict-mine');
+const conflictKeepMine = document.getElementById('conflict-keep-mine');
+const conflictKeepTheirs = document.getElementById('conflict-keep-theirs');
+
+// Authentication elements
+const layout = document.querySelector('.layout');
+const authScreen = document.getElementById('auth-screen');
+const authForm = document.getElementById('auth-form');
+const authTitle = document.getElementById('auth-title');
+const authMessage = document.getElementById('auth-message');
+const authPassword = document.getElementById('auth-password');
+const authSubmit = document.getElementById('auth-submit');
+const authToggle = document.getElementById('auth-toggle');
+const userBar = document.getElementById('user-bar');
+const currentUsername = document.getElementById('current-username');
+const logoutButton = document.getElementById('logout-btn');
+
+// Settings elements
+const settingsButton = document.getElementById('settings-btn');
+const settingsScreen = document.getElementById('settings-screen');
+const settingsClose = document.getElementById('settings-close');
+const tokenForm = document.getElementById('token-form');
+const newToken = document.getElementById('new-token');
+const newTokenValue = document.getElementById('new-token-value');
+const copyTokenButton = document.getElementById('copy-token');
+const tokenList = document.getElementById('token-list');
 
 // Stats elements
 const totalCount = document.getElementById('total-count');
 const completedCount = document.getElementById('completed-count');
 const remainingCount = document.getElementById('remaining-count');
+const overdueCount = document.getElementById('overdue-count');
+const completeAllButton = document.getElementById('complete-all');
+const clearCompletedButton = document.getElementById('clear-completed');
+const emptyTrashButton = document.getElementById('empty-trash');
+
+// Number of todos fetched per page
+const PAGE_SIZE = 50;
+
+// Largest page and bulk batch the API accepts
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_OPERATIONS = 1000;
+// How long the undo toast stays up after a delete
+const UNDO_TIMEOUT_MS = 5000;
+// List roles, each allowed everything the ones before it are
+const ROLES = ['viewer', 'editor', 'owner'];
+// Delays before reconnecting the event stream, doubling after each failure
+const EVENT_RETRY_MIN_MS = 1000;
+const EVENT_RETRY_MAX_MS = 30000;
+// How often todos are polled while the event stream is down
+const POLL_INTERVAL_MS = 30000;
+// IndexedDB database holding the offline cache and the queue of changes
+const OFFLINE_DB_NAME = 'todo-app';
+const OFFLINE_DB_VERSION = 1;
+// Ids of todos created offline, until the server gives them real ones
+const LOCAL_ID_PREFIX = 'local-';
 
 // Application state
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
+let authMode = 'login';
+let lists = [];
+let invitations = [];
+let apiTokens = [];
+let sharingListId = null;
+let currentListId = localStorage.getItem('currentListId') || 'default';
 let todos = [];
 let isLoading = false;
+let currentFilter = 'all';
+let searchQuery = '';
+let currentTag = null;
+let expandedChecklists = new Set();
+let expandedHistories = new Set();
+let draggedTodoId = null;
+let totalMatching = 0;
+let toastTimeout;
+let eventStream = null;
+let eventsConnected = false;
+let lastEventId = null;
+let eventRetryMs = EVENT_RETRY_MIN_MS;
+let eventRetryTimeout;
+let statsTimeout;
+let pendingTodos = new Map();
+let offlineDatabase = null;
+let syncingOutbox = false;
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
@@ -28,21 +146,92 @@ document.addEventListener('DOMContentLoaded', () => {
 // Initialize application
 async function initializeApp() {
     setupEventListeners();
-    await loadTodos();
+    await loadServerConfig();
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+    addRecurrencePicker.innerHTML = recurrencePickerHtml(null);
+    if (authToken) {
+        await startSession();
+    } else {
+        showAuthScreen();
+    }
+}
+
+// Load the server's settings, or the last ones seen while it cannot be
+// reached
+async function loadServerConfig() {
+    let config;
+    try {
+        const response = await fetch(CONFIG_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        config = await response.json();
+        localStorage.setItem('serverConfig', JSON.stringify(config));
+    } catch (error) {
+        console.error('Error loading server config:', error);
+        config = JSON.parse(localStorage.getItem('serverConfig'));
+    }
+    if (config) {
+        API_BASE_URL = config.apiBaseUrl;
+        registrationEnabled = config.features.registration;
+    }
+    // Accounts can only be created where the server allows it
+    authToggle.classList.toggle('hidden', !registrationEnabled);
 }
 
 // Setup event listeners
 function setupEventListeners() {
     // Form submission
     todoForm.addEventListener('submit', handleAddTodo);
+    addListForm.addEventListener('submit', handleAddList);
+    authForm.addEventListener('submit', handleAuthSubmit);
+    inviteForm.addEventListener('submit', handleInvite);
+    shareClose.addEventListener('click', closeShareDialog);
+    authToggle.addEventListener('click', () => setAuthMode(authMode === 'login' ? 'register' : 'login'));
+    logoutButton.addEventListener('click', handleLogout);
+    settingsButton.addEventListener('click', showSettings);
+    settingsClose.addEventListener('click', hideSettings);
+    tokenForm.addEventListener('submit', handleCreateToken);
+    copyTokenButton.addEventListener('click', handleCopyToken);
+    todoInput.addEventListener('input', () => clearFieldErrors(addTodoSection));
+    
+    // Filter tabs and search
+    filterTabs.forEach(tab => {
+        tab.addEventListener('click', () => handleFilterChange(tab.dataset.filter));
+    });
+    let searchTimeout;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => handleSearch(searchInput.value), 300);
+    });
+    loadMoreButton.addEventListener('click', loadMoreTodos);
+    clearTagFilterButton.addEventListener('click', () => handleTagFilter(null));
+    
+    // Drag-and-drop reordering
+    todoList.addEventListener('dragstart', handleDragStart);
+    todoList.addEventListener('dragover', handleDragOver);
+    todoList.addEventListener('drop', event => event.preventDefault());
+    todoList.addEventListener('dragend', handleDragEnd);
+    
+    // Bulk actions
+    completeAllButton.addEventListener('click', handleCompleteAll);
+    clearCompletedButton.addEventListener('click', handleClearCompleted);
+    emptyTrashButton.addEventListener('click', handleEmptyTrash);
     
     // Close error message
     closeError.addEventListener('click', hideError);
     
     // Auto-hide error after 5 seconds
     let errorTimeout;
-    const showErrorWithTimeout = (message) => {
-        showError(message);
+    // Errors from the API add the request ID, for users to report
+    const showErrorWithTimeout = (message, error) => {
+        // Failures caused by an ended session are explained on the login screen
+        if (!authToken) return;
+        showError(error && error.requestId ? `${message} (Request ID: ${error.requestId})` : message);
         clearTimeout(errorTimeout);
         errorTimeout = setTimeout(hideError, 5000);
     };
@@ -53,30 +242,83 @@ function setupEventListeners() {
 
 // API Functions
 async function apiRequest(endpoint, options = {}) {
+    const { data } = await apiRequestWithResponse(endpoint, options);
+    return data;
+}
+
+// Like apiRequest, but also returns the response so headers can be read
+async function apiRequestWithResponse(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
+    // Sent so the server's logs for this request can be found from an error
+    const requestId = crypto.randomUUID();
     const config = {
+        ...options,
         headers: {
             'Content-Type': 'application/json',
+            'X-Request-Id': requestId,
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+            ...options.headers,
         },
-        ...options,
     };
 
     try {
-        const response = await fetch(url, config);
-        const data = await response.json();
+        let response;
+        try {
+            response = await fetch(url, config);
+        } catch (error) {
+            // The request never reached the server
+            error.offline = true;
+            throw error;
+        }
+        // A proxy or a server in trouble may answer with a page that is not JSON
+        const data = await response.json().catch(() => null);
         
-        if (!response.ok) {
-            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        // A refused token means the session is over: go back to the login screen
+        if (response.status === 401 && authToken) {
+            endSession('Your session has expired. Please log in again.');
+        }
+        // Our role on a shared list may have changed: refresh the lists so
+        // the controls match it
+        if (response.status === 403) {
+            loadLists();
+        }
+        
+        if (!response.ok || !data) {
+            const message = response.ok ? 'Invalid response from the server' : `HTTP error! status: ${response.status}`;
+            const error = new Error((data && data.error) || message);
+            error.status = response.status;
+            error.data = data || {};
+            error.details = (data && data.details) || [];
+            error.requestId = (data && data.requestId) || response.headers.get('X-Request-Id') || requestId;
+            throw error;
         }
         
-        return data;
+        return { data, response };
     } catch (error) {
         console.error('API request failed:', error);
         throw error;
     }
 }
 
-// Load todos from API
+// API path for the current list's todos
+function todosPath(suffix = '') {
+    return `/lists/${encodeURIComponent(currentListId)}/todos${suffix}`;
+}
+
+// Query string for the current filter, search and page
+function buildTodoQuery(offset = 0) {
+    const params = new URLSearchParams();
+    if (currentFilter === 'active') params.set('completed', 'false');
+    if (currentFilter === 'completed') params.set('completed', 'true');
+    if (searchQuery) params.set('q', searchQuery);
+    if (currentTag) params.set('tag', currentTag);
+    params.set('limit', PAGE_SIZE);
+    params.set('offset', offset);
+    return `?${params}`;
+}
+
+// Load the first page of todos matching the current filter and search, or
+// the whole trash in the Trash view
 async function loadTodos() {
     if (isLoading) return;
     
@@ -84,12 +326,27 @@ async function loadTodos() {
         showLoading();
         isLoading = true;
         
-        todos = await apiRequest('/todos');
+        const path = currentFilter === 'trash' ? todosPath('/trash') : todosPath(buildTodoQuery());
+        const { data, response } = await apiRequestWithResponse(path);
+        todos = data;
+        totalMatching = Number(response.headers.get('X-Total-Count')) || data.length;
         renderTodos();
         updateStats();
+        checkReminders();
+        // The unfiltered view is what the app falls back to offline
+        if (currentFilter === 'all' && !searchQuery && !currentTag) {
+            writeCache(`todos:${currentListId}`, todos);
+        }
         
     } catch (error) {
-        showErrorWithTimeout('Failed to load todos. Please check if the server is running.');
+        const cached = error.offline && await readCache(`todos:${currentListId}`);
+        if (cached) {
+            todos = cached.filter(matchesCurrentView);
+            totalMatching = todos.length;
+            renderTodos();
+            return;
+        }
+        showErrorWithTimeout('Failed to load todos. Please check if the server is running.', error);
         console.error('Error loading todos:', error);
     } finally {
         hideLoading();
@@ -97,23 +354,92 @@ async function loadTodos() {
     }
 }
 
+// Append the next page of todos
+async function loadMoreTodos() {
+    if (isLoading) return;
+    
+    try {
+        showLoading();
+        isLoading = true;
+        
+        const { data, response } = await apiRequestWithResponse(todosPath(buildTodoQuery(todos.length)));
+        const loadedIds = new Set(todos.map(todo => todo.id));
+        todos = todos.concat(data.filter(todo => !loadedIds.has(todo.id)));
+        totalMatching = Number(response.headers.get('X-Total-Count')) || todos.length;
+        renderTodos();
+        
+    } catch (error) {
+        showErrorWithTimeout('Failed to load more todos. Please try again.', error);
+        console.error('Error loading more todos:', error);
+    } finally {
+        hideLoading();
+        isLoading = false;
+    }
+}
+
+// Fetch every todo matching a query string, page by page
+async function fetchAllTodos(query) {
+    const all = [];
+    let total = Infinity;
+    
+    while (all.length < total) {
+        const { data, response } = await apiRequestWithResponse(
+            todosPath(`?${query}&limit=${MAX_PAGE_SIZE}&offset=${all.length}`)
+        );
+        total = Number(response.headers.get('X-Total-Count'));
+        all.push(...data);
+        if (data.length === 0) break;
+    }
+    return all;
+}
+
+// Send bulk operations, in batches of the largest size the API accepts.
+// Each batch is applied atomically.
+async function applyBulkOperations(operations) {
+    const results = [];
+    for (let start = 0; start < operations.length; start += MAX_BULK_OPERATIONS) {
+        const batch = operations.slice(start, start + MAX_BULK_OPERATIONS);
+        const response = await apiRequest(todosPath('/bulk'), {
+            method: 'POST',
+            body: JSON.stringify({ operations: batch }),
+        });
+        results.push(...response.results);
+    }
+    return results;
+}
+
 // Add new todo
-async function addTodo(text) {
+async function addTodo(fields) {
+    // Sent again if the request is queued, so a create that reached the
+    // server before the connection dropped is not made twice
+    const idempotencyKey = crypto.randomUUID();
+    
     try {
         showLoading();
         
-        const newTodo = await apiRequest('/todos', {
+        const newTodo = await apiRequest(todosPath(), {
             method: 'POST',
-            body: JSON.stringify({ text }),
+            headers: { 'Idempotency-Key': idempotencyKey },
+            body: JSON.stringify(fields),
         });
         
-        todos.push(newTodo);
+        if (matchesCurrentView(newTodo)) {
+            todos.push(newTodo);
+            totalMatching++;
+        }
         renderTodos();
         updateStats();
         
         return newTodo;
     } catch (error) {
-        showErrorWithTimeout('Failed to add todo. Please try again.');
+        if (error.offline) {
+            return addTodoOffline(fields, idempotencyKey);
+        }
+        if (error.details && error.details.length > 0) {
+            showFieldErrors(addTodoSection, error.details);
+            throw error;
+        }
+        showErrorWithTimeout('Failed to add todo. Please try again.', error);
         console.error('Error adding todo:', error);
         throw error;
     } finally {
@@ -121,26 +447,42 @@ async function addTodo(text) {
     }
 }
 
-// Update todo
+// ETag for the version of a todo this client last saw
+function todoETag(todo) {
+    return `"${todo.version || 1}"`;
+}
+
+// Update todo, refusing to overwrite changes made elsewhere
 async function updateTodo(id, updates) {
+    const todo = todos.find(todo => todo.id === id);
+    // Todos created offline only exist on this device until they are synced
+    if (isLocalTodo(id)) return updateTodoOffline(id, updates);
+    
     try {
         showLoading();
         
-        const updatedTodo = await apiRequest(`/todos/${id}`, {
+        const updatedTodo = await apiRequest(todosPath(`/${id}`), {
             method: 'PUT',
+            headers: todo ? { 'If-Match': todoETag(todo) } : {},
             body: JSON.stringify(updates),
         });
         
-        const index = todos.findIndex(todo => todo.id === id);
-        if (index !== -1) {
-            todos[index] = updatedTodo;
-            renderTodos();
-            updateStats();
-        }
-        
+        replaceTodo(updatedTodo);
+        showNextOccurrence(todo, updatedTodo);
         return updatedTodo;
     } catch (error) {
-        showErrorWithTimeout('Failed to update todo. Please try again.');
+        if (error.offline) {
+            return updateTodoOffline(id, updates);
+        }
+        if (error.status === 412) {
+            hideLoading();
+            return resolveUpdateConflict(error.data.todo, updates);
+        }
+        if (error.details && error.details.length > 0) {
+            showFieldErrors(document.querySelector(`[data-todo-id="${id}"]`), error.details);
+            throw error;
+        }
+        showErrorWithTimeout('Failed to update todo. Please try again.', error);
         console.error('Error updating todo:', error);
         throw error;
     } finally {
@@ -148,21 +490,56 @@ async function updateTodo(id, updates) {
     }
 }
 
-// Delete todo
+// Let the user choose between the server's version and their own change
+async function resolveUpdateConflict(serverTodo, updates) {
+    replaceTodo(serverTodo);
+    
+    const choice = await showConflictDialog({
+        theirs: describeTodo(serverTodo),
+        mine: describeTodo({ ...serverTodo, ...updates }),
+    });
+    
+    if (choice === 'mine') {
+        return updateTodo(serverTodo.id, updates);
+    }
+    return serverTodo;
+}
+
+// Move todo to the trash, confirming first if it changed since it was
+// loaded. Resolves with the deleted todo, or nothing if the user kept the
+// changed version.
 async function deleteTodo(id) {
+    const todo = todos.find(todo => todo.id === id);
+    if (isLocalTodo(id)) return deleteTodoOffline(id);
+    
     try {
         showLoading();
         
-        await apiRequest(`/todos/${id}`, {
+        const { todo: deleted } = await apiRequest(todosPath(`/${id}`), {
             method: 'DELETE',
+            headers: todo ? { 'If-Match': todoETag(todo) } : {},
         });
         
-        todos = todos.filter(todo => todo.id !== id);
-        renderTodos();
-        updateStats();
+        removeTodo(id);
+        return deleted;
         
     } catch (error) {
-        showErrorWithTimeout('Failed to delete todo. Please try again.');
+        if (error.offline) {
+            return deleteTodoOffline(id);
+        }
+        if (error.status === 412) {
+            hideLoading();
+            replaceTodo(error.data.todo);
+            const choice = await showConflictDialog({
+                theirs: describeTodo(error.data.todo),
+                mine: 'Delete this todo',
+            });
+            if (choice === 'mine') {
+                return deleteTodo(id);
+            }
+            return;
+        }
+        showErrorWithTimeout('Failed to delete todo. Please try again.', error);
         console.error('Error deleting todo:', error);
         throw error;
     } finally {
@@ -170,194 +547,1892 @@ async function deleteTodo(id) {
     }
 }
 
-// Event Handlers
-async function handleAddTodo(event) {
-    event.preventDefault();
-    
-    const text = todoInput.value.trim();
-    if (!text) {
-        showErrorWithTimeout('Please enter a todo text.');
-        return;
+// Bring todos back from the trash, then reload so they reappear in place.
+// Todos changed or already restored elsewhere are left as they are.
+async function restoreTodos(deletedTodos) {
+    try {
+        showLoading();
+        
+        const results = await Promise.allSettled(deletedTodos.map(todo =>
+            apiRequest(todosPath(`/${todo.id}/restore`), {
+                method: 'POST',
+                headers: { 'If-Match': todoETag(todo) },
+            })
+        ));
+        const failed = results.filter(result => result.status === 'rejected' && result.reason.status !== 409);
+        if (failed.length > 0) {
+            showErrorWithTimeout(failed.some(result => result.reason.status === 412)
+                ? 'Some todos changed in the trash and were not restored.'
+                : 'Failed to restore todos. Please try again.');
+        }
+        
+    } finally {
+        hideLoading();
+        await loadTodos();
     }
+}
+
+// Move a todo directly after another one (null for the top), reordering
+// the local list first so it does not jump back while the move is saved
+async function moveTodo(id, afterId) {
+    const todo = todos.find(todo => todo.id === id);
+    todos = todos.filter(other => other.id !== id);
+    todos.splice(afterId === null ? 0 : todos.findIndex(other => other.id === afterId) + 1, 0, todo);
+    renderTodos();
     
     try {
-        await addTodo(text);
-        todoInput.value = '';
-        todoInput.focus();
+        const movedTodo = await apiRequest(todosPath(`/${id}/move`), {
+            method: 'POST',
+            headers: { 'If-Match': todoETag(todo) },
+            body: JSON.stringify({ afterId }),
+        });
+        todos = todos.map(other => other.id === id ? movedTodo : other);
     } catch (error) {
-        // Error already handled in addTodo
+        showErrorWithTimeout(error.status === 412
+            ? 'This todo was changed elsewhere. The list has been refreshed.'
+            : 'Failed to move todo. Please try again.', error);
+        console.error('Error moving todo:', error);
+        await loadTodos();
     }
 }
 
-async function handleToggleComplete(id, completed) {
+// Completing a recurring todo creates its next occurrence on the server;
+// reload so it shows up in the list
+function showNextOccurrence(before, after) {
+    if (after.nextOccurrenceId && !(before && before.nextOccurrenceId)) {
+        loadTodos();
+    }
+}
+
+// Send a subtask change for a todo and replace the local copy with the
+// updated todo the API returns
+async function subtaskRequest(todoId, path, options) {
+    const todo = todos.find(todo => todo.id === todoId);
+    
     try {
-        await updateTodo(id, { completed });
+        const updatedTodo = await apiRequest(todosPath(`/${todoId}/subtasks${path}`), {
+            ...options,
+            headers: todo ? { 'If-Match': todoETag(todo) } : {},
+        });
+        replaceTodo(updatedTodo);
+        showNextOccurrence(todo, updatedTodo);
+        return updatedTodo;
     } catch (error) {
-        // Error already handled in updateTodo
-        // Revert the checkbox state
-        const checkbox = document.querySelector(`[data-todo-id="${id}"] .todo-checkbox`);
-        if (checkbox) {
-            checkbox.checked = !completed;
+        if (error.status === 412) {
+            replaceTodo(error.data.todo);
+            showErrorWithTimeout('This todo was changed elsewhere. Showing the latest version.');
+            return;
         }
+        showErrorWithTimeout(error.details && error.details.length > 0
+            ? error.details[0].message
+            : 'Failed to update subtasks. Please try again.', error);
+        console.error('Error updating subtasks:', error);
     }
 }
 
-async function handleDeleteTodo(id) {
-    if (confirm('Are you sure you want to delete this todo?')) {
-        try {
-            await deleteTodo(id);
-        } catch (error) {
-            // Error already handled in deleteTodo
-        }
+// Replace the local copy of a todo and re-render, dropping it from the
+// list if it no longer matches the current filter or search
+function replaceTodo(updatedTodo) {
+    const index = todos.findIndex(todo => todo.id === updatedTodo.id);
+    if (index === -1) return;
+    
+    if (!matchesCurrentView(updatedTodo)) {
+        removeTodo(updatedTodo.id);
+        return;
     }
+    todos[index] = updatedTodo;
+    renderTodos();
+    updateStats();
 }
 
-function handleEditTodo(id) {
-    const todoItem = document.querySelector(`[data-todo-id="${id}"]`);
-    const todoText = todoItem.querySelector('.todo-text');
-    const editInput = todoItem.querySelector('.todo-edit-input');
-    const normalActions = todoItem.querySelector('.normal-actions');
-    const editActions = todoItem.querySelector('.edit-actions');
-    
-    // Switch to edit mode
-    todoText.classList.add('editing');
-    editInput.classList.add('active');
-    editInput.value = todoText.textContent;
-    normalActions.classList.add('hidden');
-    editActions.classList.add('active');
-    
-    editInput.focus();
-    editInput.select();
+function removeTodo(id) {
+    const remaining = todos.filter(todo => todo.id !== id);
+    totalMatching -= todos.length - remaining.length;
+    todos = remaining;
+    renderTodos();
+    updateStats();
 }
 
-async function handleSaveEdit(id) {
-    const todoItem = document.querySelector(`[data-todo-id="${id}"]`);
-    const editInput = todoItem.querySelector('.todo-edit-input');
-    const newText = editInput.value.trim();
-    
-    if (!newText) {
-        showErrorWithTimeout('Todo text cannot be empty.');
-        return;
+// Mirror the server-side filter and search for locally changed todos
+function matchesCurrentView(todo) {
+    if (currentFilter === 'trash') return Boolean(todo.deletedAt);
+    if (currentFilter === 'active' && todo.completed) return false;
+    if (currentFilter === 'completed' && !todo.completed) return false;
+    if (currentTag && !(todo.tags || []).includes(currentTag)) return false;
+    if (searchQuery) {
+        const text = todo.text.toLowerCase();
+        return searchQuery.toLowerCase().split(/\s+/).every(term => text.includes(term));
     }
+    return true;
+}
+
+// Live updates from GET /api/events. The stream is read with fetch rather
+// than EventSource so that it can send the session token. While it is down
+// todos are polled instead, and it reconnects with growing delays, resuming
+// after the last event received.
+async function connectEvents(reconnecting = false) {
+    const controller = new AbortController();
+    eventStream = controller;
     
     try {
-        await updateTodo(id, { text: newText });
-        exitEditMode(todoItem);
+        const response = await fetch(`${API_BASE_URL}/events`, {
+            headers: {
+                Authorization: `Bearer ${authToken}`,
+                ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+            },
+            signal: controller.signal,
+        });
+        if (response.status === 401) {
+            endSession('Your session has expired. Please log in again.');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        eventsConnected = true;
+        eventRetryMs = EVENT_RETRY_MIN_MS;
+        // The API is reachable again: send what was queued offline and,
+        // with nothing to resume from, reload whatever was missed
+        if (reconnecting) {
+            syncOutbox().then(synced => {
+                if (synced > 0 || !lastEventId) loadTodos();
+            });
+        }
+        await readEventStream(response.body, handleServerEvent);
     } catch (error) {
-        // Error already handled in updateTodo
+        if (!controller.signal.aborted) {
+            console.error('Event stream failed:', error);
+        }
     }
+    
+    // Stopped on purpose, or replaced by a newer connection
+    if (eventStream !== controller || controller.signal.aborted) return;
+    eventsConnected = false;
+    eventRetryTimeout = setTimeout(() => connectEvents(true), eventRetryMs);
+    eventRetryMs = Math.min(eventRetryMs * 2, EVENT_RETRY_MAX_MS);
 }
 
-function handleCancelEdit(id) {
-    const todoItem = document.querySelector(`[data-todo-id="${id}"]`);
-    exitEditMode(todoItem);
+function disconnectEvents() {
+    clearTimeout(eventRetryTimeout);
+    if (eventStream) eventStream.abort();
+    eventStream = null;
+    eventsConnected = false;
+    lastEventId = null;
 }
 
-function exitEditMode(todoItem) {
-    const todoText = todoItem.querySelector('.todo-text');
-    const editInput = todoItem.querySelector('.todo-edit-input');
-    const normalActions = todoItem.querySelector('.normal-actions');
-    const editActions = todoItem.querySelector('.edit-actions');
-    
-    // Switch back to normal mode
-    todoText.classList.remove('editing');
-    editInput.classList.remove('active');
-    normalActions.classList.remove('hidden');
-    editActions.classList.remove('active');
+// Reconnect straight away, for example when the browser comes back online
+function reconnectEvents() {
+    if (!authToken || eventsConnected) return;
+    clearTimeout(eventRetryTimeout);
+    if (eventStream) eventStream.abort();
+    eventRetryMs = EVENT_RETRY_MIN_MS;
+    connectEvents(true);
 }
 
-// Render Functions
-function renderTodos() {
-    todoList.innerHTML = '';
+// Read a text/event-stream body, calling onEvent with the type, id and
+// parsed data of each event. Comments only keep the connection open.
+async function readEventStream(body, onEvent) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
     
-    if (todos.length === 0) {
-        emptyState.classList.remove('hidden');
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+        
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const event = { type: 'message', id: null, data: '' };
+            block.split('\n').forEach(line => {
+                if (line.startsWith(':')) return;
+                const separator = line.indexOf(':');
+                const field = separator === -1 ? line : line.slice(0, separator);
+                const fieldValue = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+                if (field === 'event') event.type = fieldValue;
+                if (field === 'id') event.id = fieldValue;
+                if (field === 'data') event.data += fieldValue;
+            });
+            if (event.data) onEvent(event.type, event.id, JSON.parse(event.data));
+        }
+    }
+}
+
+function handleServerEvent(type, id, data) {
+    // The server could not replay what we missed: start over
+    if (type === 'resync') {
+        lastEventId = null;
+        loadTodos();
         return;
     }
-    
-    emptyState.classList.add('hidden');
-    
-    todos.forEach(todo => {
-        const todoElement = createTodoElement(todo);
-        todoList.appendChild(todoElement);
-    });
+    lastEventId = id;
+    if (data.listId !== currentListId) return;
+    applyTodoChange(data.todoId, data.todo);
+    scheduleStatsUpdate();
 }
 
-function createTodoElement(todo) {
-    const todoItem = document.createElement('div');
-    todoItem.className = `todo-item ${todo.completed ? 'completed' : ''}`;
-    todoItem.setAttribute('data-todo-id', todo.id);
+// Apply a todo's latest state, null once purged, without reloading: add,
+// replace or drop it depending on whether it matches the current view.
+// A todo being edited keeps its form and gets the change when the edit ends.
+function applyTodoChange(id, todo) {
+    const todoItem = todoList.querySelector(`[data-todo-id="${id}"]`);
+    if (todoItem && todoItem.querySelector('.todo-content.editing')) {
+        pendingTodos.set(id, todo);
+        return;
+    }
     
-    todoItem.innerHTML = `
-        <input 
-            type="checkbox" 
-            class="todo-checkbox" 
-            ${todo.completed ? 'checked' : ''}
-            onchange="handleToggleComplete('${todo.id}', this.checked)"
-        >
-        <span class="todo-text">${escapeHtml(todo.text)}</span>
-        <input 
-            type="text" 
-            class="todo-edit-input" 
-            onkeydown="if(event.key==='Enter') handleSaveEdit('${todo.id}'); if(event.key==='Escape') handleCancelEdit('${todo.id}')"
-        >
-        <div class="todo-actions">
-            <div class="normal-actions">
-                <button class="edit-btn" onclick="handleEditTodo('${todo.id}')">Edit</button>
-                <button class="delete-btn" onclick="handleDeleteTodo('${todo.id}')">Delete</button>
-            </div>
-            <div class="edit-actions">
-                <button class="save-btn" onclick="handleSaveEdit('${todo.id}')">Save</button>
-                <button class="cancel-btn" onclick="handleCancelEdit('${todo.id}')">Cancel</button>
-            </div>
-        </div>
-    `;
+    const index = todos.findIndex(other => other.id === id);
+    const previous = index === -1 ? null : todos[index];
+    const visible = Boolean(todo) && matchesCurrentView(todo);
+    if (!previous && !visible) return;
+    // Our own request may already have brought a newer version
+    if (previous && todo && (previous.version || 1) > (todo.version || 1)) return;
     
-    return todoItem;
+    if (previous) {
+        todos.splice(index, 1);
+        totalMatching--;
+    }
+    if (visible) {
+        // Todos stay where they were unless they moved. New ones go first in
+        // the trash, which lists the most recently deleted first, and by
+        // position elsewhere.
+        let next = index;
+        if (currentFilter === 'trash') {
+            if (!previous) next = 0;
+        } else if (!previous || previous.position !== todo.position) {
+            next = todos.findIndex(other => other.position > todo.position);
+        }
+        todos.splice(next === -1 ? todos.length : next, 0, todo);
+        totalMatching++;
+    }
+    renderChangedTodo(id);
 }
 
-function updateStats() {
-    const total = todos.length;
-    const completed = todos.filter(todo => todo.completed).length;
-    const remaining = total - completed;
-    
-    totalCount.textContent = total;
-    completedCount.textContent = completed;
-    remainingCount.textContent = remaining;
+// Re-render after a live change. While another todo is being edited, only
+// the changed todo is redrawn so the edit is not lost.
+function renderChangedTodo(id) {
+    if (!todoList.querySelector('.todo-content.editing') || todos.length === 0) {
+        renderTodos();
+        return;
+    }
+    const todoItem = todoList.querySelector(`[data-todo-id="${id}"]`);
+    const index = todos.findIndex(todo => todo.id === id);
+    if (index === -1) {
+        if (todoItem) todoItem.remove();
+        return;
+    }
+    const createElement = currentFilter === 'trash' ? createTrashElement : createTodoElement;
+    const element = createElement(todos[index]);
+    if (todoItem) todoItem.remove();
+    const following = todos[index + 1] && todoList.querySelector(`[data-todo-id="${todos[index + 1].id}"]`);
+    todoList.insertBefore(element, following || null);
 }
 
-// Utility Functions
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+// Live changes come in bursts, so refresh the stats once they settle
+function scheduleStatsUpdate() {
+    clearTimeout(statsTimeout);
+    statsTimeout = setTimeout(updateStats, 300);
 }
 
-function showLoading() {
-    loading.classList.remove('hidden');
+// Offline support. The lists and the unfiltered todos of each list are
+// cached in IndexedDB so the app still shows them without a connection.
+// Todos created, updated or deleted offline are changed locally and queued
+// in the outbox, then replayed in order once the API can be reached, each
+// with an Idempotency-Key so a request that did arrive is not applied twice.
+function openOfflineDatabase() {
+    if (!offlineDatabase) {
+        offlineDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('cache', { keyPath: 'key' });
+                request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDatabase;
 }
 
-function hideLoading() {
-    loading.classList.add('hidden');
+// Run one request against an object store and resolve with its result
+async function offlineRequest(storeName, mode, makeRequest) {
+    const db = await openOfflineDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-function showError(message) {
-    errorText.textContent = message;
-    errorMessage.classList.remove('hidden');
+// The cache is best effort: without IndexedDB the app only works online
+async function readCache(key) {
+    try {
+        const record = await offlineRequest('cache', 'readonly', store => store.get(key));
+        return record ? record.value : null;
+    } catch (error) {
+        console.error('Error reading offline cache:', error);
+        return null;
+    }
 }
 
-function hideError() {
-    errorMessage.classList.add('hidden');
+async function writeCache(key, value) {
+    try {
+        await offlineRequest('cache', 'readwrite', store => store.put({ key, value }));
+    } catch (error) {
+        console.error('Error writing offline cache:', error);
+    }
 }
 
-// Keyboard shortcuts
-document.addEventListener('keydown', (event) => {
-    // Focus input when pressing 'n' (new todo)
-    if (event.key === 'n' && !event.ctrlKey && !event.metaKey && event.target.tagName !== 'INPUT') {
-        event.preventDefault();
-        todoInput.focus();
+async function updateCachedTodos(listId, change) {
+    const cached = await readCache(`todos:${listId}`);
+    await writeCache(`todos:${listId}`, change(cached || []));
+}
+
+async function clearOfflineData() {
+    try {
+        await offlineRequest('cache', 'readwrite', store => store.clear());
+        await offlineRequest('outbox', 'readwrite', store => store.clear());
+    } catch (error) {
+        console.error('Error clearing offline data:', error);
     }
-    
+}
+
+function isLocalTodo(id) {
+    return id.startsWith(LOCAL_ID_PREFIX);
+}
+
+function queuedChanges() {
+    return offlineRequest('outbox', 'readonly', store => store.getAll());
+}
+
+// Add a change to the current list to the outbox
+function queueChange({ method, todoId, body = null, ifMatch = null, key = crypto.randomUUID() }) {
+    return offlineRequest('outbox', 'readwrite', store => store.add({
+        key,
+        listId: currentListId,
+        method,
+        todoId,
+        body,
+        ifMatch,
+        createdAt: new Date().toISOString(),
+    }));
+}
+
+// Save a change locally, or report that even that failed
+async function saveOffline(save) {
+    try {
+        return await save();
+    } catch (error) {
+        showErrorWithTimeout('You are offline and the change could not be kept on this device.');
+        console.error('Error saving offline change:', error);
+        throw error;
+    }
+}
+
+function addTodoOffline(fields, idempotencyKey) {
+    return saveOffline(async () => {
+        const todo = {
+            completed: false,
+            ...fields,
+            id: `${LOCAL_ID_PREFIX}${crypto.randomUUID()}`,
+            listId: currentListId,
+            position: todos.reduce((max, other) => Math.max(max, (other.position || 0) + 1), 0),
+            createdAt: new Date().toISOString(),
+            pending: true,
+        };
+        await queueChange({ method: 'POST', todoId: todo.id, body: fields, key: idempotencyKey });
+        await updateCachedTodos(currentListId, cached => [...cached, todo]);
+        if (matchesCurrentView(todo)) {
+            todos.push(todo);
+            totalMatching++;
+        }
+        renderTodos();
+        updateStats();
+        return todo;
+    });
+}
+
+function updateTodoOffline(id, updates) {
+    return saveOffline(async () => {
+        const todo = todos.find(todo => todo.id === id);
+        const updated = { ...todo, ...updates, pending: true };
+        // Todos created offline are matched to their server version once
+        // the create goes through
+        await queueChange({ method: 'PUT', todoId: id, body: updates, ifMatch: todo && !isLocalTodo(id) ? todoETag(todo) : null });
+        await updateCachedTodos(currentListId, cached => cached.map(other => other.id === id ? updated : other));
+        replaceTodo(updated);
+        return updated;
+    });
+}
+
+// Resolves with nothing, as offline deletes cannot be undone from the toast
+function deleteTodoOffline(id) {
+    return saveOffline(async () => {
+        const todo = todos.find(todo => todo.id === id);
+        if (isLocalTodo(id)) {
+            // Never reached the server, so there is nothing to delete there
+            for (const entry of await queuedChanges()) {
+                if (entry.todoId === id) {
+                    await offlineRequest('outbox', 'readwrite', store => store.delete(entry.id));
+                }
+            }
+        } else {
+            await queueChange({ method: 'DELETE', todoId: id, ifMatch: todo ? todoETag(todo) : null });
+        }
+        await updateCachedTodos(currentListId, cached => cached.filter(other => other.id !== id));
+        removeTodo(id);
+    });
+}
+
+// Send a queued change and resolve with the todo as saved
+async function sendQueuedChange(entry) {
+    const path = `/lists/${encodeURIComponent(entry.listId)}/todos${entry.method === 'POST' ? '' : `/${encodeURIComponent(entry.todoId)}`}`;
+    const result = await apiRequest(path, {
+        method: entry.method,
+        headers: {
+            'Idempotency-Key': entry.key,
+            ...(entry.ifMatch ? { 'If-Match': entry.ifMatch } : {}),
+        },
+        ...(entry.body ? { body: JSON.stringify(entry.body) } : {}),
+    });
+    return entry.method === 'DELETE' ? result.todo : result;
+}
+
+// Point the remaining queued changes to a todo at the version just saved,
+// and at its server id once a todo created offline has one
+async function rebaseQueuedChanges(todoId, saved) {
+    for (const entry of await queuedChanges()) {
+        if (entry.todoId === todoId && entry.method !== 'POST') {
+            const rebased = { ...entry, todoId: saved.id, ifMatch: todoETag(saved) };
+            await offlineRequest('outbox', 'readwrite', store => store.put(rebased));
+        }
+    }
+}
+
+// Handle a queued change the API refused. When it conflicts with a change
+// made elsewhere the user picks the version to keep; anything else is
+// dropped. Resolves with the todo if the change was saved after all.
+async function resolveSyncFailure(entry, error) {
+    if (error.status !== 412) {
+        showErrorWithTimeout(`A change made offline could not be saved: ${error.message}`, error);
+        return null;
+    }
+    const theirs = error.data.todo;
+    const choice = await showConflictDialog({
+        theirs: describeTodo(theirs),
+        mine: entry.method === 'DELETE' ? 'Delete this todo' : describeTodo({ ...theirs, ...entry.body }),
+    });
+    if (choice !== 'mine') return null;
+    // Applying it over their version is a new request with a key of its own
+    return sendQueuedChange({ ...entry, key: crypto.randomUUID(), ifMatch: todoETag(theirs) });
+}
+
+// Replay the outbox in order, stopping while the API cannot be reached.
+// Resolves with the number of changes that went through.
+async function syncOutbox() {
+    if (syncingOutbox || !authToken) return 0;
+    syncingOutbox = true;
+    let synced = 0;
+    
+    try {
+        for (const entry of await queuedChanges()) {
+            let saved;
+            try {
+                saved = await sendQueuedChange(entry);
+                synced++;
+            } catch (error) {
+                // Still offline, or the server is having trouble: try again later
+                if (error.offline || error.status >= 500) break;
+                saved = await resolveSyncFailure(entry, error);
+            }
+            if (saved) await rebaseQueuedChanges(entry.todoId, saved);
+            await offlineRequest('outbox', 'readwrite', store => store.delete(entry.id));
+        }
+    } catch (error) {
+        console.error('Error syncing offline changes:', error);
+    } finally {
+        syncingOutbox = false;
+    }
+    return synced;
+}
+
+// Event Handlers
+async function handleCompleteAll() {
+    try {
+        showLoading();
+        
+        const active = await fetchAllTodos('completed=false');
+        await applyBulkOperations(active.map(todo => ({
+            op: 'update',
+            id: todo.id,
+            ifMatch: todoETag(todo),
+            data: { completed: true },
+        })));
+        
+    } catch (error) {
+        showErrorWithTimeout(error.status === 409
+            ? 'Some todos changed while completing them, so nothing was changed. Please try again.'
+            : 'Failed to complete all todos. Please try again.', error);
+        console.error('Error completing all todos:', error);
+    } finally {
+        hideLoading();
+        await loadTodos();
+    }
+}
+
+async function handleClearCompleted() {
+    try {
+        showLoading();
+        
+        const completed = await fetchAllTodos('completed=true');
+        hideLoading();
+        if (completed.length === 0) return;
+        
+        showLoading();
+        const results = await applyBulkOperations(completed.map(todo => ({
+            op: 'delete',
+            id: todo.id,
+            ifMatch: todoETag(todo),
+        })));
+        await loadTodos();
+        
+        const noun = completed.length === 1 ? 'todo' : 'todos';
+        showUndoToast(`${completed.length} completed ${noun} moved to the trash`,
+            () => restoreTodos(results.map(result => result.todo)));
+        
+    } catch (error) {
+        showErrorWithTimeout(error.status === 409
+            ? 'Some todos changed while clearing them, so nothing was deleted. Please try again.'
+            : 'Failed to clear completed todos. Please try again.', error);
+        console.error('Error clearing completed todos:', error);
+        await loadTodos();
+    } finally {
+        hideLoading();
+    }
+}
+
+// Permanently remove everything in the list's trash
+async function handleEmptyTrash() {
+    if (todos.length === 0) return;
+    if (!confirm('Permanently delete every todo in the trash? This cannot be undone.')) return;
+    
+    try {
+        showLoading();
+        await apiRequest(todosPath('/trash'), { method: 'DELETE' });
+    } catch (error) {
+        showErrorWithTimeout('Failed to empty the trash. Please try again.', error);
+        console.error('Error emptying trash:', error);
+    } finally {
+        hideLoading();
+        await loadTodos();
+    }
+}
+
+function handleRestoreTodo(id) {
+    const todo = todos.find(todo => todo.id === id);
+    if (todo) restoreTodos([todo]);
+}
+
+// The Trash view swaps the bulk actions for "Empty trash" and ignores search
+function handleFilterChange(filter) {
+    currentFilter = filter;
+    filterTabs.forEach(tab => {
+        const selected = tab.dataset.filter === filter;
+        tab.classList.toggle('active', selected);
+        tab.setAttribute('aria-selected', selected);
+    });
+    const inTrash = filter === 'trash';
+    completeAllButton.classList.toggle('hidden', inTrash);
+    clearCompletedButton.classList.toggle('hidden', inTrash);
+    emptyTrashButton.classList.toggle('hidden', !inTrash);
+    searchInput.disabled = inTrash;
+    loadTodos();
+}
+
+// Reordering handlers. Todos are dragged by their handle, which also
+// moves them with the arrow keys.
+function handleDragStart(event) {
+    const item = event.target.closest && event.target.closest('.todo-item');
+    if (!item || !item.draggable) return;
+    
+    draggedTodoId = item.dataset.todoId;
+    item.classList.add('dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', draggedTodoId);
+}
+
+// Move the dragged item in the DOM to where the pointer is
+function handleDragOver(event) {
+    if (!draggedTodoId) return;
+    event.preventDefault();
+    
+    const dragging = todoList.querySelector('.dragging');
+    const next = [...todoList.querySelectorAll('.todo-item:not(.dragging)')].find(item => {
+        const box = item.getBoundingClientRect();
+        return event.clientY < box.top + box.height / 2;
+    });
+    if (next) {
+        todoList.insertBefore(dragging, next);
+    } else {
+        todoList.appendChild(dragging);
+    }
+}
+
+function handleDragEnd(event) {
+    const item = todoList.querySelector('.dragging');
+    const id = draggedTodoId;
+    draggedTodoId = null;
+    if (!item) return;
+    
+    item.classList.remove('dragging');
+    item.draggable = false;
+    
+    // Dropped outside the list: put it back
+    if (event.dataTransfer.dropEffect === 'none') {
+        renderTodos();
+        return;
+    }
+    
+    const previous = item.previousElementSibling;
+    const afterId = previous ? previous.dataset.todoId : null;
+    const index = todos.findIndex(todo => todo.id === id);
+    const currentAfterId = index > 0 ? todos[index - 1].id : null;
+    if (afterId !== currentAfterId) {
+        moveTodo(id, afterId);
+    }
+}
+
+async function handleReorderKey(event, id) {
+    const index = todos.findIndex(todo => todo.id === id);
+    let afterId;
+    if (event.key === 'ArrowUp' && index > 0) {
+        afterId = index > 1 ? todos[index - 2].id : null;
+    } else if (event.key === 'ArrowDown' && index < todos.length - 1) {
+        afterId = todos[index + 1].id;
+    } else {
+        return;
+    }
+    event.preventDefault();
+    
+    await moveTodo(id, afterId);
+    
+    const handle = document.querySelector(`[data-todo-id="${id}"] .drag-handle`);
+    if (handle) handle.focus();
+    const position = todos.findIndex(todo => todo.id === id) + 1;
+    liveRegion.textContent = `Moved to position ${position} of ${todos.length}`;
+}
+
+// Subtask handlers
+async function handleAddSubtask(event, todoId) {
+    event.preventDefault();
+    
+    const text = event.target.elements.text.value.trim();
+    if (!text) return;
+    
+    await subtaskRequest(todoId, '', {
+        method: 'POST',
+        body: JSON.stringify({ text }),
+    });
+    
+    const input = document.querySelector(`[data-todo-id="${todoId}"] .subtask-form input`);
+    if (input) input.focus();
+}
+
+function handleToggleSubtask(todoId, subtaskId, completed) {
+    return subtaskRequest(todoId, `/${subtaskId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ completed }),
+    });
+}
+
+function handleDeleteSubtask(todoId, subtaskId) {
+    return subtaskRequest(todoId, `/${subtaskId}`, { method: 'DELETE' });
+}
+
+// Move a subtask one place up (-1) or down (+1)
+function handleMoveSubtask(todoId, subtaskId, offset) {
+    const order = todos.find(todo => todo.id === todoId).subtasks.map(subtask => subtask.id);
+    const index = order.indexOf(subtaskId);
+    order.splice(index, 1);
+    order.splice(index + offset, 0, subtaskId);
+    
+    return subtaskRequest(todoId, '', {
+        method: 'PUT',
+        body: JSON.stringify({ order }),
+    });
+}
+
+function handleToggleAutoComplete(todoId, autoComplete) {
+    return updateTodo(todoId, { autoComplete }).catch(() => {
+        // Error already handled in updateTodo
+    });
+}
+
+// Remember which checklists are open across re-renders
+function handleChecklistToggle(todoId, open) {
+    if (open) {
+        expandedChecklists.add(todoId);
+    } else {
+        expandedChecklists.delete(todoId);
+    }
+}
+
+// History is fetched each time the panel is opened, including when a todo
+// is re-rendered with its panel open
+function handleHistoryToggle(todoId, details) {
+    if (details.open) {
+        expandedHistories.add(todoId);
+        loadHistory(todoId, details.querySelector('.history-list'));
+    } else {
+        expandedHistories.delete(todoId);
+    }
+}
+
+async function loadHistory(todoId, historyList) {
+    try {
+        const events = await apiRequest(todosPath(`/${todoId}/history`));
+        historyList.innerHTML = events.length > 0
+            ? events.map(event => `
+                <li class="history-event">
+                    <time datetime="${event.timestamp}">${new Date(event.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</time>
+                    ${escapeHtml(describeAuditEvent(event))}
+                </li>
+            `).join('')
+            : '<li class="history-empty">No changes recorded yet</li>';
+    } catch (error) {
+        historyList.innerHTML = '<li class="history-empty">Could not load history</li>';
+        console.error('Error loading history:', error);
+    }
+}
+
+function handleTagFilter(tag) {
+    if (tag === currentTag) return;
+    currentTag = tag;
+    activeTagName.textContent = tag ? `#${tag}` : '';
+    activeTagFilter.classList.toggle('hidden', !tag);
+    loadTodos();
+}
+
+function handleSearch(query) {
+    const trimmed = query.trim();
+    if (trimmed === searchQuery) return;
+    searchQuery = trimmed;
+    loadTodos();
+}
+
+async function handleAddTodo(event) {
+    event.preventDefault();
+    
+    const text = todoInput.value.trim();
+    if (!text) {
+        showErrorWithTimeout('Please enter a todo text.');
+        return;
+    }
+    
+    const fields = { text };
+    if (dueDateInput.value) fields.dueDate = dueDateInput.value;
+    if (priorityInput.value) fields.priority = priorityInput.value;
+    const tags = parseTags(tagsInput.value);
+    if (tags.length > 0) fields.tags = tags;
+    const recurrence = readRecurrence(addRecurrencePicker);
+    if (recurrence) fields.recurrence = recurrence;
+    if (remindAtInput.value) {
+        fields.remindAt = new Date(remindAtInput.value).toISOString();
+        requestReminderPermission();
+    }
+    
+    try {
+        clearFieldErrors(addTodoSection);
+        await addTodo(fields);
+        todoForm.reset();
+        addRecurrencePicker.innerHTML = recurrencePickerHtml(null);
+        todoInput.focus();
+    } catch (error) {
+        // Error already handled in addTodo
+    }
+}
+
+async function handleToggleComplete(id, completed) {
+    try {
+        await updateTodo(id, { completed });
+    } catch (error) {
+        // Error already handled in updateTodo
+        // Revert the checkbox state
+        const checkbox = document.querySelector(`[data-todo-id="${id}"] .todo-checkbox`);
+        if (checkbox) {
+            checkbox.checked = !completed;
+        }
+    }
+}
+
+// Deleting moves the todo to the trash, so instead of confirming first the
+// user gets a chance to undo
+async function handleDeleteTodo(id) {
+    try {
+        const deleted = await deleteTodo(id);
+        if (deleted) {
+            showUndoToast('Todo moved to the trash', () => restoreTodos([deleted]));
+        }
+    } catch (error) {
+        // Error already handled in deleteTodo
+    }
+}
+
+function handleEditTodo(id) {
+    const todo = todos.find(todo => todo.id === id);
+    const todoItem = document.querySelector(`[data-todo-id="${id}"]`);
+    const todoContent = todoItem.querySelector('.todo-content');
+    const editFields = todoItem.querySelector('.todo-edit-fields');
+    const editInput = todoItem.querySelector('.todo-edit-input');
+    const normalActions = todoItem.querySelector('.normal-actions');
+    const editActions = todoItem.querySelector('.edit-actions');
+    
+    // Switch to edit mode
+    todoContent.classList.add('editing');
+    editFields.classList.add('active');
+    editInput.value = todo.text;
+    editFields.querySelector('[name="dueDate"]').value = todo.dueDate || '';
+    editFields.querySelector('[name="priority"]').value = todo.priority || '';
+    editFields.querySelector('[name="tags"]').value = (todo.tags || []).join(', ');
+    editFields.querySelector('.recurrence-picker').outerHTML = recurrencePickerHtml(todo.recurrence);
+    normalActions.classList.add('hidden');
+    editActions.classList.add('active');
+    
+    editInput.focus();
+    editInput.select();
+}
+
+async function handleSaveEdit(id) {
+    const todo = todos.find(todo => todo.id === id);
+    const todoItem = document.querySelector(`[data-todo-id="${id}"]`);
+    const editInput = todoItem.querySelector('.todo-edit-input');
+    const newText = editInput.value.trim();
+    const newDueDate = todoItem.querySelector('.todo-edit-fields [name="dueDate"]').value || null;
+    const newPriority = todoItem.querySelector('.todo-edit-fields [name="priority"]').value || null;
+    const newTags = parseTags(todoItem.querySelector('.todo-edit-fields [name="tags"]').value);
+    const newRecurrence = readRecurrence(todoItem.querySelector('.todo-edit-fields .recurrence-picker'));
+    
+    if (!newText) {
+        showErrorWithTimeout('Todo text cannot be empty.');
+        return;
+    }
+    
+    // Only send the fields that changed
+    const updates = {};
+    if (newText !== todo.text) updates.text = newText;
+    if (newDueDate !== (todo.dueDate || null)) updates.dueDate = newDueDate;
+    if (newPriority !== (todo.priority || null)) updates.priority = newPriority;
+    if (newTags.join(',') !== (todo.tags || []).join(',')) updates.tags = newTags;
+    if (JSON.stringify(newRecurrence) !== JSON.stringify(readRecurrenceFields(todo.recurrence))) {
+        updates.recurrence = newRecurrence;
+    }
+    
+    if (Object.keys(updates).length === 0) {
+        exitEditMode(todoItem);
+        return;
+    }
+    
+    try {
+        await updateTodo(id, updates);
+        exitEditMode(todoItem);
+    } catch (error) {
+        // Error already handled in updateTodo
+    }
+}
+
+function handleCancelEdit(id) {
+    const todoItem = document.querySelector(`[data-todo-id="${id}"]`);
+    exitEditMode(todoItem);
+}
+
+function exitEditMode(todoItem) {
+    const todoContent = todoItem.querySelector('.todo-content');
+    const editFields = todoItem.querySelector('.todo-edit-fields');
+    const normalActions = todoItem.querySelector('.normal-actions');
+    const editActions = todoItem.querySelector('.edit-actions');
+    
+    // Switch back to normal mode
+    todoContent.classList.remove('editing');
+    editFields.classList.remove('active');
+    normalActions.classList.remove('hidden');
+    editActions.classList.remove('active');
+    
+    // Catch up on live changes that arrived during the edit
+    const id = todoItem.getAttribute('data-todo-id');
+    if (pendingTodos.has(id)) {
+        const todo = pendingTodos.get(id);
+        pendingTodos.delete(id);
+        applyTodoChange(id, todo);
+    }
+}
+
+// Render Functions
+function renderTodos() {
+    todoList.innerHTML = '';
+    loadMoreButton.classList.toggle('hidden', todos.length >= totalMatching);
+    
+    if (todos.length === 0 && currentFilter === 'trash') {
+        emptyTitle.textContent = 'Trash is empty';
+        emptyMessage.textContent = 'Deleted todos stay here for a while so you can restore them.';
+        emptyState.classList.remove('hidden');
+        return;
+    }
+    
+    if (todos.length === 0) {
+        const filtered = currentFilter !== 'all' || searchQuery || currentTag;
+        emptyTitle.textContent = filtered ? 'No matching todos' : 'No todos yet';
+        emptyMessage.textContent = filtered
+            ? 'Try a different filter or search.'
+            : 'Add your first todo above to get started!';
+        emptyState.classList.remove('hidden');
+        return;
+    }
+    
+    emptyState.classList.add('hidden');
+    
+    todos.forEach(todo => {
+        const todoElement = currentFilter === 'trash' ? createTrashElement(todo) : createTodoElement(todo);
+        todoList.appendChild(todoElement);
+    });
+}
+
+// Trashed todos are read-only apart from restoring them
+function createTrashElement(todo) {
+    const todoItem = document.createElement('div');
+    todoItem.className = `todo-item trashed ${todo.completed ? 'completed' : ''}`;
+    todoItem.setAttribute('data-todo-id', todo.id);
+    
+    const deletedAt = new Date(todo.deletedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    todoItem.innerHTML = `
+        <div class="todo-content">
+            <span class="todo-text">${escapeHtml(todo.text)}</span>
+            <div class="todo-meta"><span class="badge badge-deleted">Deleted ${deletedAt}</span></div>
+        </div>
+        <div class="todo-actions">
+            <div class="normal-actions">
+                <button class="restore-btn requires-owner" onclick="handleRestoreTodo('${todo.id}')">Restore</button>
+            </div>
+        </div>
+    `;
+    
+    return todoItem;
+}
+
+function createTodoElement(todo) {
+    const todoItem = document.createElement('div');
+    const overdue = isOverdue(todo);
+    todoItem.className = `todo-item ${todo.completed ? 'completed' : ''} ${overdue ? 'overdue' : ''} ${todo.pending ? 'pending' : ''}`;
+    todoItem.setAttribute('data-todo-id', todo.id);
+    
+    const pendingBadge = todo.pending
+        ? '<span class="badge badge-pending" title="Saved on this device and sent when you are back online">Not synced</span>'
+        : '';
+    const priorityIndicator = todo.priority
+        ? `<span class="priority-indicator priority-${todo.priority}" title="${capitalize(todo.priority)} priority" aria-label="${capitalize(todo.priority)} priority"></span>`
+        : '';
+    const dueBadge = todo.dueDate
+        ? `<span class="badge ${overdue ? 'badge-overdue' : 'badge-due'}">${overdue ? 'Overdue' : 'Due'} ${formatDueDate(todo.dueDate)}</span>`
+        : '';
+    const tagChips = (todo.tags || [])
+        .map(tag => `<button type="button" class="tag-chip ${tag === currentTag ? 'active' : ''}" onclick="handleTagFilter('${tag}')" title="Show todos tagged ${tag}">#${escapeHtml(tag)}</button>`)
+        .join('');
+    const subtasks = todo.subtasks || [];
+    const readOnly = !canOnCurrentList('editor');
+    const progressBar = todo.progress
+        ? `<div class="progress" title="${todo.progress.completed} of ${todo.progress.total} subtasks done"><div class="progress-bar" style="width: ${todo.progress.percent}%"></div></div>`
+        : '';
+    const subtaskItems = subtasks.map((subtask, index) => `
+        <li class="subtask ${subtask.completed ? 'completed' : ''}">
+            <input type="checkbox" ${subtask.completed ? 'checked' : ''} ${readOnly ? 'disabled' : ''} onchange="handleToggleSubtask('${todo.id}', '${subtask.id}', this.checked)" aria-label="Subtask done">
+            <span class="subtask-text">${escapeHtml(subtask.text)}</span>
+            <button type="button" class="subtask-action requires-editor" onclick="handleMoveSubtask('${todo.id}', '${subtask.id}', -1)" ${index === 0 ? 'disabled' : ''} aria-label="Move subtask up">▲</button>
+            <button type="button" class="subtask-action requires-editor" onclick="handleMoveSubtask('${todo.id}', '${subtask.id}', 1)" ${index === subtasks.length - 1 ? 'disabled' : ''} aria-label="Move subtask down">▼</button>
+            <button type="button" class="subtask-action requires-editor" onclick="handleDeleteSubtask('${todo.id}', '${subtask.id}')" aria-label="Delete subtask">&times;</button>
+        </li>
+    `).join('');
+    const checklist = `
+        <details class="checklist" ${expandedChecklists.has(todo.id) ? 'open' : ''} ontoggle="handleChecklistToggle('${todo.id}', this.open)">
+            <summary>${todo.progress ? `${todo.progress.completed}/${todo.progress.total} subtasks` : 'Subtasks'}</summary>
+            <ul class="subtask-list">${subtaskItems}</ul>
+            <form class="subtask-form requires-editor" onsubmit="handleAddSubtask(event, '${todo.id}')">
+                <input type="text" name="text" placeholder="Add a subtask..." maxlength="200" required aria-label="New subtask">
+                <button type="submit" class="subtask-add-btn">Add</button>
+            </form>
+            <label class="auto-complete-toggle requires-editor">
+                <input type="checkbox" ${todo.autoComplete ? 'checked' : ''} onchange="handleToggleAutoComplete('${todo.id}', this.checked)">
+                Complete this todo when all subtasks are done
+            </label>
+        </details>
+    `;
+    const history = `
+        <details class="history" ${expandedHistories.has(todo.id) ? 'open' : ''} ontoggle="handleHistoryToggle('${todo.id}', this)">
+            <summary>History</summary>
+            <ol class="history-list"><li class="history-empty">Loading...</li></ol>
+        </details>
+    `;
+    const recurrenceBadge = todo.recurrence
+        ? `<span class="badge badge-recurrence" title="Repeats">🔁 ${describeRecurrence(todo.recurrence)}</span>`
+        : '';
+    const reminderBadge = todo.remindAt && !todo.completed
+        ? `<span class="badge badge-reminder" title="Reminder">🔔 ${new Date(todo.remindAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</span>`
+        : '';
+    
+    todoItem.innerHTML = `
+        <button 
+            type="button" 
+            class="drag-handle requires-editor" 
+            title="Drag to reorder, or use the arrow keys"
+            aria-label="Reorder todo. Use the up and down arrow keys to move it."
+            onmousedown="this.closest('.todo-item').draggable = true"
+            onmouseup="this.closest('.todo-item').draggable = false"
+            onkeydown="handleReorderKey(event, '${todo.id}')"
+        >⠿</button>
+        <input 
+            type="checkbox" 
+            class="todo-checkbox" 
+            ${todo.completed ? 'checked' : ''}
+            ${readOnly ? 'disabled' : ''}
+            onchange="handleToggleComplete('${todo.id}', this.checked)"
+        >
+        ${priorityIndicator}
+        <div class="todo-content">
+            <span class="todo-text">${escapeHtml(todo.text)}</span>
+            <div class="todo-meta">${pendingBadge}${dueBadge}${recurrenceBadge}${reminderBadge}${tagChips}</div>
+            ${progressBar}
+            ${checklist}
+            ${history}
+        </div>
+        <div class="todo-edit-fields">
+            <input 
+                type="text" 
+                class="todo-edit-input" 
+                name="text"
+                maxlength="200"
+                onkeydown="if(event.key==='Enter') handleSaveEdit('${todo.id}'); if(event.key==='Escape') handleCancelEdit('${todo.id}')"
+            >
+            <input type="date" name="dueDate" aria-label="Due date">
+            <select name="priority" aria-label="Priority">
+                <option value="">No priority</option>
+                <option value="low">Low</option>
+                <option value="medium">Medium</option>
+                <option value="high">High</option>
+            </select>
+            <input type="text" name="tags" placeholder="Tags, comma separated" aria-label="Tags">
+            <div class="recurrence-picker"></div>
+        </div>
+        <div class="todo-actions">
+            <div class="normal-actions">
+                <button class="edit-btn requires-editor" onclick="handleEditTodo('${todo.id}')">Edit</button>
+                <button class="delete-btn requires-owner" onclick="handleDeleteTodo('${todo.id}')">Delete</button>
+            </div>
+            <div class="edit-actions">
+                <button class="save-btn" onclick="handleSaveEdit('${todo.id}')">Save</button>
+                <button class="cancel-btn" onclick="handleCancelEdit('${todo.id}')">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    return todoItem;
+}
+
+// Stats cover every todo, not just the filtered page, so they are counted
+// on the server
+async function updateStats() {
+    try {
+        const [all, completed, overdue] = await Promise.all([
+            apiRequestWithResponse(todosPath('?limit=0')),
+            apiRequestWithResponse(todosPath('?completed=true&limit=0')),
+            apiRequestWithResponse(todosPath('?overdue=true&limit=0')),
+        ]);
+        const total = Number(all.response.headers.get('X-Total-Count'));
+        const completedTotal = Number(completed.response.headers.get('X-Total-Count'));
+        
+        totalCount.textContent = total;
+        completedCount.textContent = completedTotal;
+        remainingCount.textContent = total - completedTotal;
+        overdueCount.textContent = overdue.response.headers.get('X-Total-Count');
+        
+        completeAllButton.disabled = total === completedTotal;
+        clearCompletedButton.disabled = completedTotal === 0;
+    } catch (error) {
+        console.error('Error loading stats:', error);
+    }
+}
+
+// Authentication
+async function startSession() {
+    try {
+        currentUser = await apiRequest('/auth/me');
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    } catch (error) {
+        if (!authToken) return;
+        // Offline, carry on with what was cached last time
+        currentUser = error.offline && JSON.parse(localStorage.getItem('currentUser'));
+        if (!currentUser) {
+            showAuthScreen('Could not reach the server. Please try again.');
+            return;
+        }
+    }
+    authScreen.classList.add('hidden');
+    layout.classList.remove('hidden');
+    userBar.classList.remove('hidden');
+    currentUsername.textContent = currentUser.username;
+    await loadLists();
+    await syncOutbox();
+    await loadTodos();
+    connectEvents();
+}
+
+function showAuthScreen(message = '') {
+    layout.classList.add('hidden');
+    userBar.classList.add('hidden');
+    authScreen.classList.remove('hidden');
+    authMessage.textContent = message;
+    authMessage.classList.toggle('hidden', !message);
+    authPassword.value = '';
+    authForm.querySelector('[name="username"]').focus();
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const registering = mode === 'register';
+    authTitle.textContent = registering ? 'Create an account' : 'Log in';
+    authSubmit.textContent = registering ? 'Sign up' : 'Log in';
+    authToggle.textContent = registering ? 'Already have an account? Log in' : 'Need an account? Sign up';
+    authPassword.setAttribute('autocomplete', registering ? 'new-password' : 'current-password');
+    authMessage.classList.add('hidden');
+    clearFieldErrors(authForm);
+}
+
+async function handleAuthSubmit(event) {
+    event.preventDefault();
+    clearFieldErrors(authForm);
+    authMessage.classList.add('hidden');
+    
+    const formData = new FormData(authForm);
+    const credentials = { username: formData.get('username'), password: formData.get('password') };
+    
+    try {
+        authSubmit.disabled = true;
+        const { token } = await apiRequest(`/auth/${authMode === 'register' ? 'register' : 'login'}`, {
+            method: 'POST',
+            body: JSON.stringify(credentials),
+        });
+        authToken = token;
+        localStorage.setItem('authToken', token);
+        authForm.reset();
+        await startSession();
+    } catch (error) {
+        if (error.status === 400 && error.details.length > 0) {
+            showFieldErrors(authForm, error.details);
+        } else {
+            authMessage.textContent = error.offline ? 'Could not reach the server. Please try again.' : error.message;
+            authMessage.classList.remove('hidden');
+        }
+    } finally {
+        authSubmit.disabled = false;
+    }
+}
+
+async function handleLogout() {
+    try {
+        await apiRequest('/auth/logout', { method: 'POST' });
+    } catch (error) {
+        // The token is forgotten either way
+    }
+    endSession();
+}
+
+// Forget the token and everything loaded with it, then show the login screen
+function endSession(message) {
+    authToken = null;
+    currentUser = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('currentUser');
+    // Cached todos and unsynced changes belong to the session
+    clearOfflineData();
+    localStorage.removeItem('currentListId');
+    lists = [];
+    invitations = [];
+    todos = [];
+    currentListId = 'default';
+    expandedChecklists.clear();
+    expandedHistories.clear();
+    todoList.innerHTML = '';
+    hideToast();
+    hideError();
+    disconnectEvents();
+    pendingTodos.clear();
+    closeShareDialog();
+    hideSettings();
+    tokenList.innerHTML = '';
+    showAuthScreen(message);
+}
+
+// Settings and personal API tokens
+async function showSettings() {
+    layout.classList.add('hidden');
+    settingsScreen.classList.remove('hidden');
+    newToken.classList.add('hidden');
+    clearFieldErrors(tokenForm);
+    await loadApiTokens();
+}
+
+function hideSettings() {
+    settingsScreen.classList.add('hidden');
+    newTokenValue.textContent = '';
+    if (authToken) {
+        layout.classList.remove('hidden');
+    }
+}
+
+async function loadApiTokens() {
+    try {
+        renderApiTokens(await apiRequest('/tokens'));
+    } catch (error) {
+        showErrorWithTimeout('Failed to load API tokens. Please try again.', error);
+    }
+}
+
+function renderApiTokens(tokens) {
+    apiTokens = tokens;
+    const formatDate = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    if (tokens.length === 0) {
+        tokenList.innerHTML = '<li class="token-empty">You have no API tokens yet.</li>';
+        return;
+    }
+    tokenList.innerHTML = tokens.map(token => `
+        <li class="token">
+            <div class="token-details">
+                <strong>${escapeHtml(token.name)}</strong>
+                <code>${escapeHtml(token.start)}&hellip;</code>
+                <span class="token-meta">${token.scopes.map(escapeHtml).join(', ')}</span>
+                <span class="token-meta">
+                    Created ${formatDate(token.createdAt)} &middot;
+                    ${token.lastUsedAt ? `Last used ${formatDate(token.lastUsedAt)}` : 'Never used'} &middot;
+                    ${token.expiresAt ? `Expires ${formatDate(token.expiresAt)}` : 'Never expires'}
+                </span>
+            </div>
+            <button type="button" class="cancel-btn" onclick="handleRevokeToken('${token.id}')" aria-label="Revoke ${escapeHtml(token.name)}">Revoke</button>
+        </li>
+    `).join('');
+}
+
+async function handleCreateToken(event) {
+    event.preventDefault();
+    clearFieldErrors(tokenForm);
+    const formData = new FormData(tokenForm);
+    const body = { name: formData.get('name'), scopes: formData.getAll('scopes') };
+    if (formData.get('expiresInDays')) {
+        body.expiresInDays = Number(formData.get('expiresInDays'));
+    }
+    
+    try {
+        const created = await apiRequest('/tokens', { method: 'POST', body: JSON.stringify(body) });
+        tokenForm.reset();
+        newTokenValue.textContent = created.token;
+        newToken.classList.remove('hidden');
+        await loadApiTokens();
+    } catch (error) {
+        if (error.status === 400 && error.details.length > 0) {
+            // Problems with a single scope belong next to the scope checkboxes
+            showFieldErrors(tokenForm, error.details.map(({ field, message }) => ({
+                field: field.startsWith('scopes') ? 'scopes' : field,
+                message,
+            })));
+        } else {
+            showErrorWithTimeout('Failed to create API token. Please try again.', error);
+        }
+    }
+}
+
+async function handleCopyToken() {
+    try {
+        await navigator.clipboard.writeText(newTokenValue.textContent);
+        liveRegion.textContent = 'Token copied to the clipboard';
+    } catch (error) {
+        showErrorWithTimeout('Could not copy the token. Please select and copy it instead.');
+    }
+}
+
+async function handleRevokeToken(id) {
+    const token = apiTokens.find(token => token.id === id);
+    if (!token || !confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) return;
+    try {
+        await apiRequest(`/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    } catch (error) {
+        showErrorWithTimeout('Failed to revoke API token. Please try again.', error);
+    }
+    await loadApiTokens();
+}
+
+// Lists
+async function loadLists() {
+    try {
+        const [loadedLists, received] = await Promise.all([apiRequest('/lists'), apiRequest('/invitations')]);
+        lists = loadedLists;
+        invitations = received;
+        writeCache('lists', lists);
+        if (!lists.some(list => list.id === currentListId)) {
+            currentListId = 'default';
+            localStorage.setItem('currentListId', currentListId);
+            await loadTodos();
+        }
+        renderLists();
+        renderInvitations();
+    } catch (error) {
+        const cached = error.offline && await readCache('lists');
+        if (cached) {
+            lists = cached;
+            renderLists();
+            return;
+        }
+        showErrorWithTimeout('Failed to load lists. Please try again.', error);
+    }
+}
+
+function renderLists() {
+    listNav.innerHTML = lists.map(list => {
+        const owned = list.role === 'owner';
+        const actions = owned
+            ? `
+                <button type="button" class="list-action" onclick="handleRenameList('${list.id}')" title="Rename list" aria-label="Rename list">✎</button>
+                ${list.id === 'default' ? '' : `
+                    <button type="button" class="list-action" onclick="handleShareList('${list.id}')" title="Share list" aria-label="Share list">👥</button>
+                    <button type="button" class="list-action" onclick="handleDeleteList('${list.id}')" title="Delete list" aria-label="Delete list">&times;</button>
+                `}
+            `
+            : `
+                <span class="list-role" title="Shared with you">${capitalize(list.role)}</span>
+                <button type="button" class="list-action" onclick="handleLeaveList('${list.id}')" title="Leave list" aria-label="Leave list">&times;</button>
+            `;
+        return `
+            <li class="list-nav-item ${list.id === currentListId ? 'active' : ''}">
+                <button type="button" class="list-select" onclick="handleSelectList('${list.id}')" ${list.id === currentListId ? 'aria-current="true"' : ''}>
+                    <span class="list-color" style="background: ${list.color}"></span>
+                    <span class="list-name">${escapeHtml(list.name)}</span>
+                </button>
+                ${actions}
+            </li>
+        `;
+    }).join('');
+    
+    const current = currentList();
+    currentListName.textContent = current ? current.name : '';
+    // Hides the .requires-editor and .requires-owner controls the user's
+    // role on this list does not allow
+    layout.dataset.role = current ? current.role : 'owner';
+}
+
+function currentList() {
+    return lists.find(list => list.id === currentListId);
+}
+
+// Whether the user has at least the given role on the current list
+function canOnCurrentList(required) {
+    const current = currentList();
+    return ROLES.indexOf(current ? current.role : 'owner') >= ROLES.indexOf(required);
+}
+
+async function handleSelectList(id) {
+    if (id === currentListId) return;
+    currentListId = id;
+    localStorage.setItem('currentListId', id);
+    renderLists();
+    await loadTodos();
+}
+
+async function handleAddList(event) {
+    event.preventDefault();
+    
+    const name = listNameInput.value.trim();
+    if (!name) return;
+    
+    try {
+        const list = await apiRequest('/lists', {
+            method: 'POST',
+            body: JSON.stringify({ name, color: listColorInput.value }),
+        });
+        lists.push(list);
+        addListForm.reset();
+        await handleSelectList(list.id);
+    } catch (error) {
+        showErrorWithTimeout(error.details.length > 0 ? error.details[0].message : 'Failed to create list. Please try again.', error);
+    }
+}
+
+async function handleRenameList(id) {
+    const list = lists.find(list => list.id === id);
+    const name = prompt('Rename list', list.name);
+    if (name === null || !name.trim() || name.trim() === list.name) return;
+    
+    try {
+        const updated = await apiRequest(`/lists/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ name: name.trim() }),
+        });
+        lists = lists.map(list => list.id === id ? updated : list);
+        renderLists();
+    } catch (error) {
+        showErrorWithTimeout(error.details.length > 0 ? error.details[0].message : 'Failed to rename list. Please try again.', error);
+    }
+}
+
+async function handleDeleteList(id) {
+    const list = lists.find(list => list.id === id);
+    if (!confirm(`Delete the list "${list.name}" and all of its todos?`)) return;
+    
+    try {
+        await apiRequest(`/lists/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        await forgetList(id);
+    } catch (error) {
+        showErrorWithTimeout('Failed to delete list. Please try again.', error);
+    }
+}
+
+// Drop a deleted or left list from the sidebar, switching to the default
+// list if it was selected
+async function forgetList(id) {
+    lists = lists.filter(list => list.id !== id);
+    if (currentListId === id) {
+        currentListId = 'default';
+        localStorage.setItem('currentListId', currentListId);
+        renderLists();
+        await loadTodos();
+    } else {
+        renderLists();
+    }
+}
+
+// Sharing
+async function handleLeaveList(id) {
+    const list = lists.find(list => list.id === id);
+    if (!confirm(`Leave the list "${list.name}"? You will need a new invitation to rejoin it.`)) return;
+    
+    try {
+        await apiRequest(`/lists/${encodeURIComponent(id)}/members/${encodeURIComponent(currentUser.id)}`, { method: 'DELETE' });
+        await forgetList(id);
+    } catch (error) {
+        showErrorWithTimeout('Failed to leave list. Please try again.', error);
+    }
+}
+
+function renderInvitations() {
+    invitationsSection.classList.toggle('hidden', invitations.length === 0);
+    invitationList.innerHTML = invitations.map(invitation => `
+        <li class="invitation">
+            <span><strong>${escapeHtml(invitation.invitedByUsername)}</strong> invited you to <strong>${escapeHtml(invitation.listName)}</strong> as ${invitation.role === 'editor' ? 'an editor' : 'a viewer'}</span>
+            <div class="invitation-actions">
+                <button type="button" class="save-btn" onclick="handleAcceptInvitation('${invitation.id}')">Join</button>
+                <button type="button" class="cancel-btn" onclick="handleDeclineInvitation('${invitation.id}')">Decline</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+async function handleAcceptInvitation(id) {
+    try {
+        const list = await apiRequest(`/invitations/${encodeURIComponent(id)}/accept`, { method: 'POST' });
+        invitations = invitations.filter(invitation => invitation.id !== id);
+        lists.push(list);
+        renderInvitations();
+        await handleSelectList(list.id);
+    } catch (error) {
+        showErrorWithTimeout('Failed to join list. Please try again.', error);
+        await loadLists();
+    }
+}
+
+async function handleDeclineInvitation(id) {
+    try {
+        await apiRequest(`/invitations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    } catch (error) {
+        // Already gone; the refresh below catches up
+    }
+    invitations = invitations.filter(invitation => invitation.id !== id);
+    renderInvitations();
+}
+
+async function handleShareList(id) {
+    sharingListId = id;
+    shareTitle.textContent = `Share "${lists.find(list => list.id === id).name}"`;
+    clearFieldErrors(shareDialog);
+    inviteForm.reset();
+    shareDialog.classList.remove('hidden');
+    await renderShareDialog();
+    inviteForm.querySelector('[name="username"]').focus();
+}
+
+function closeShareDialog() {
+    sharingListId = null;
+    shareDialog.classList.add('hidden');
+}
+
+function sharingPath(suffix) {
+    return `/lists/${encodeURIComponent(sharingListId)}${suffix}`;
+}
+
+// List the members, whose roles can be changed, and pending invitations
+async function renderShareDialog() {
+    try {
+        const [members, pending] = await Promise.all([
+            apiRequest(sharingPath('/members')),
+            apiRequest(sharingPath('/invitations')),
+        ]);
+        const roleOptions = (role) => ['viewer', 'editor']
+            .map(option => `<option value="${option}" ${option === role ? 'selected' : ''}>${capitalize(option)}</option>`)
+            .join('');
+        memberList.innerHTML = [
+            ...members.map(member => member.role === 'owner'
+                ? `<li class="member"><span>${escapeHtml(member.username)}</span><span class="member-role">Owner</span></li>`
+                : `
+                    <li class="member">
+                        <span>${escapeHtml(member.username)}</span>
+                        <select onchange="handleChangeMemberRole('${member.userId}', this.value)" aria-label="Role of ${escapeHtml(member.username)}">${roleOptions(member.role)}</select>
+                        <button type="button" class="list-action" onclick="handleRemoveMember('${member.userId}')" title="Remove member" aria-label="Remove ${escapeHtml(member.username)}">&times;</button>
+                    </li>
+                `),
+            ...pending.map(invitation => `
+                <li class="member pending">
+                    <span>${escapeHtml(invitation.username)}</span>
+                    <span class="member-role">Invited as ${invitation.role}</span>
+                    <button type="button" class="list-action" onclick="handleWithdrawInvitation('${invitation.id}')" title="Withdraw invitation" aria-label="Withdraw invitation to ${escapeHtml(invitation.username)}">&times;</button>
+                </li>
+            `),
+        ].join('');
+    } catch (error) {
+        showErrorWithTimeout('Failed to load members. Please try again.', error);
+    }
+}
+
+async function handleInvite(event) {
+    event.preventDefault();
+    clearFieldErrors(shareDialog);
+    const formData = new FormData(inviteForm);
+    
+    try {
+        await apiRequest(sharingPath('/invitations'), {
+            method: 'POST',
+            body: JSON.stringify({ username: formData.get('username'), role: formData.get('role') }),
+        });
+        inviteForm.reset();
+        await renderShareDialog();
+    } catch (error) {
+        const details = error.details.length > 0 ? error.details : [{ field: 'username', message: error.message }];
+        showFieldErrors(shareDialog, details);
+    }
+}
+
+async function handleChangeMemberRole(userId, role) {
+    try {
+        await apiRequest(sharingPath(`/members/${encodeURIComponent(userId)}`), {
+            method: 'PUT',
+            body: JSON.stringify({ role }),
+        });
+    } catch (error) {
+        showErrorWithTimeout('Failed to change role. Please try again.', error);
+    }
+    await renderShareDialog();
+}
+
+async function handleRemoveMember(userId) {
+    try {
+        await apiRequest(sharingPath(`/members/${encodeURIComponent(userId)}`), { method: 'DELETE' });
+    } catch (error) {
+        showErrorWithTimeout('Failed to remove member. Please try again.', error);
+    }
+    await renderShareDialog();
+}
+
+async function handleWithdrawInvitation(id) {
+    try {
+        await apiRequest(sharingPath(`/invitations/${encodeURIComponent(id)}`), { method: 'DELETE' });
+    } catch (error) {
+        showErrorWithTimeout('Failed to withdraw invitation. Please try again.', error);
+    }
+    await renderShareDialog();
+}
+
+// Due dates and reminders
+function localDateString(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isOverdue(todo) {
+    return !todo.completed && Boolean(todo.dueDate) && todo.dueDate < localDateString(new Date());
+}
+
+function formatDueDate(dueDate) {
+    const [year, month, day] = dueDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function requestReminderPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+// Notify once for each loaded todo whose reminder time has passed
+function checkReminders() {
+    const notified = new Set(JSON.parse(localStorage.getItem('notifiedReminders') || '[]'));
+    const now = Date.now();
+    
+    todos.forEach(todo => {
+        const key = `${todo.id}@${todo.remindAt}`;
+        if (!todo.remindAt || todo.completed || todo.deletedAt || notified.has(key) || Date.parse(todo.remindAt) > now) {
+            return;
+        }
+        notified.add(key);
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('Todo reminder', { body: todo.text });
+        } else {
+            showErrorWithTimeout(`Reminder: ${todo.text}`);
+        }
+    });
+    
+    localStorage.setItem('notifiedReminders', JSON.stringify([...notified]));
+}
+
+// Show a message with an Undo button until it is clicked or times out
+function showUndoToast(message, onUndo) {
+    toastText.textContent = message;
+    toastUndo.onclick = () => {
+        hideToast();
+        onUndo();
+    };
+    toast.classList.remove('hidden');
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(hideToast, UNDO_TIMEOUT_MS);
+}
+
+function hideToast() {
+    clearTimeout(toastTimeout);
+    toast.classList.add('hidden');
+    toastUndo.onclick = null;
+}
+
+// Conflict dialog: resolves with 'mine' or 'theirs'
+function showConflictDialog({ theirs, mine }) {
+    conflictTheirs.textContent = theirs;
+    conflictMine.textContent = mine;
+    conflictDialog.classList.remove('hidden');
+    conflictKeepMine.focus();
+    
+    return new Promise(resolve => {
+        const choose = (choice) => {
+            conflictDialog.classList.add('hidden');
+            conflictKeepMine.removeEventListener('click', keepMine);
+            conflictKeepTheirs.removeEventListener('click', keepTheirs);
+            resolve(choice);
+        };
+        const keepMine = () => choose('mine');
+        const keepTheirs = () => choose('theirs');
+        
+        conflictKeepMine.addEventListener('click', keepMine);
+        conflictKeepTheirs.addEventListener('click', keepTheirs);
+    });
+}
+
+function describeTodo(todo) {
+    return `"${todo.text}" (${todo.completed ? 'completed' : 'not completed'})`;
+}
+
+// Show { field, message } validation details next to the matching inputs.
+// Messages for fields without an error element fall back to the toast.
+function showFieldErrors(container, details) {
+    clearFieldErrors(container);
+    const unplaced = [];
+    
+    details.forEach(({ field, message }) => {
+        const input = container && container.querySelector(`[name="${field}"]`);
+        const errorElement = container && container.querySelector(`[data-error-for="${field}"]`);
+        
+        if (input) {
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+        }
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        } else {
+            unplaced.push(message);
+        }
+    });
+    
+    if (unplaced.length > 0) {
+        showErrorWithTimeout(unplaced.join(' '));
+    }
+}
+
+function clearFieldErrors(container) {
+    if (!container) return;
+    container.querySelectorAll('.invalid').forEach(input => {
+        input.classList.remove('invalid');
+        input.removeAttribute('aria-invalid');
+    });
+    container.querySelectorAll('.field-error').forEach(errorElement => {
+        errorElement.textContent = '';
+        errorElement.classList.add('hidden');
+    });
+}
+
+// Utility Functions
+// Recurrence
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const FREQUENCY_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+function recurrencePickerHtml(recurrence) {
+    const { frequency = '', interval = 1, weekdays = [] } = recurrence || {};
+    return `
+        <div class="recurrence-picker">
+            <select name="frequency" aria-label="Repeat" onchange="handleFrequencyChange(this.closest('.recurrence-picker'))">
+                <option value="" ${frequency === '' ? 'selected' : ''}>Does not repeat</option>
+                <option value="daily" ${frequency === 'daily' ? 'selected' : ''}>Daily</option>
+                <option value="weekly" ${frequency === 'weekly' ? 'selected' : ''}>Weekly</option>
+                <option value="monthly" ${frequency === 'monthly' ? 'selected' : ''}>Monthly</option>
+            </select>
+            <label class="recurrence-interval ${frequency ? '' : 'hidden'}">
+                every <input type="number" name="interval" min="1" max="365" value="${interval}" aria-label="Repeat interval">
+                <span class="recurrence-unit">${FREQUENCY_UNITS[frequency] || 'day'}(s)</span>
+            </label>
+            <div class="weekday-picker ${frequency === 'weekly' ? '' : 'hidden'}" role="group" aria-label="Repeat on">
+                ${WEEKDAYS.map(day => `
+                    <label><input type="checkbox" name="weekdays" value="${day}" ${weekdays.includes(day) ? 'checked' : ''}>${capitalize(day)}</label>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Show the interval and weekday inputs that apply to the chosen frequency
+function handleFrequencyChange(picker) {
+    const frequency = picker.querySelector('[name="frequency"]').value;
+    picker.querySelector('.recurrence-interval').classList.toggle('hidden', !frequency);
+    picker.querySelector('.weekday-picker').classList.toggle('hidden', frequency !== 'weekly');
+    picker.querySelector('.recurrence-unit').textContent = `${FREQUENCY_UNITS[frequency] || 'day'}(s)`;
+}
+
+// Recurrence chosen in a picker, or null for none. The day of the month for
+// monthly todos, and the weekday when none is ticked, come from the due date.
+function readRecurrence(picker) {
+    const frequency = picker.querySelector('[name="frequency"]').value;
+    if (!frequency) return null;
+    
+    const interval = Number(picker.querySelector('[name="interval"]').value) || 1;
+    const weekdays = [...picker.querySelectorAll('[name="weekdays"]:checked')].map(input => input.value);
+    return readRecurrenceFields({ frequency, interval, weekdays });
+}
+
+// The picker's fields of a recurrence, for comparing with what was loaded
+function readRecurrenceFields(recurrence) {
+    if (!recurrence) return null;
+    const fields = { frequency: recurrence.frequency };
+    if (recurrence.interval > 1) fields.interval = recurrence.interval;
+    if (recurrence.frequency === 'weekly' && recurrence.weekdays && recurrence.weekdays.length > 0) {
+        fields.weekdays = WEEKDAYS.filter(day => recurrence.weekdays.includes(day));
+    }
+    return fields;
+}
+
+function describeRecurrence({ frequency, interval = 1, weekdays, monthDay }) {
+    const unit = FREQUENCY_UNITS[frequency];
+    let description = interval > 1 ? `Every ${interval} ${unit}s` : capitalize(frequency);
+    if (frequency === 'weekly' && weekdays && weekdays.length > 0) {
+        description += ` on ${WEEKDAYS.filter(day => weekdays.includes(day)).map(capitalize).join(', ')}`;
+    }
+    if (frequency === 'monthly' && monthDay) {
+        description += ` on day ${monthDay}`;
+    }
+    return description;
+}
+
+// Audit events
+const AUDIT_FIELD_LABELS = {
+    text: 'Text',
+    dueDate: 'Due date',
+    priority: 'Priority',
+    remindAt: 'Reminder',
+    tags: 'Tags',
+    recurrence: 'Repeat',
+    autoComplete: 'Auto-complete',
+};
+
+function describeAuditEvent(event) {
+    switch (event.action) {
+        case 'create': return 'Created';
+        case 'delete': return 'Moved to the trash';
+        case 'restore': return 'Restored from the trash';
+        case 'purge': return 'Deleted permanently';
+    }
+    const descriptions = Object.entries(event.changes)
+        .map(([field, change]) => describeFieldChange(field, change))
+        .filter(Boolean);
+    return descriptions.length > 0 ? descriptions.join('; ') : 'Updated';
+}
+
+function describeFieldChange(field, { from, to }) {
+    if (field === 'completed') return to ? 'Marked as completed' : 'Marked as not completed';
+    if (field === 'position') return 'Moved in the list';
+    if (field === 'subtasks') return 'Changed subtasks';
+    if (!AUDIT_FIELD_LABELS[field]) return null;
+    return `${AUDIT_FIELD_LABELS[field]} changed from ${formatAuditValue(field, from)} to ${formatAuditValue(field, to)}`;
+}
+
+function formatAuditValue(field, value) {
+    if (value === null || (Array.isArray(value) && value.length === 0)) return 'none';
+    if (field === 'text') return `"${value}"`;
+    if (field === 'dueDate') return formatDueDate(value);
+    if (field === 'remindAt') return new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    if (field === 'recurrence') return describeRecurrence(value).toLowerCase();
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+// Split a comma-separated tag input; the API normalizes case and duplicates
+function parseTags(value) {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Escape text for use in HTML, quotes included so the result is also safe
+// inside quoted attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function showLoading() {
+    loading.classList.remove('hidden');
+}
+
+function hideLoading() {
+    loading.classList.add('hidden');
+}
+
+function showError(message) {
+    errorText.textContent = message;
+    errorMessage.classList.remove('hidden');
+}
+
+function hideError() {
+    errorMessage.classList.add('hidden');
+}
+
+// Keyboard shortcuts
+document.addEventListener('keydown', (event) => {
+    // Focus input when pressing 'n' (new todo)
+    if (event.key === 'n' && !event.ctrlKey && !event.metaKey && event.target.tagName !== 'INPUT') {
+        event.preventDefault();
+        todoInput.focus();
+    }
+    
     // Escape key to cancel any active edit
     if (event.key === 'Escape') {
         const activeEdit = document.querySelector('.edit-actions.active');
@@ -369,19 +2444,26 @@ document.addEventListener('keydown', (event) => {
     }
 });
 
-// Auto-refresh todos every 30 seconds to sync with other clients
+// Poll for changes made by other clients while the event stream is down
 setInterval(() => {
-    if (!isLoading) {
+    if (!isLoading && authToken && !eventsConnected) {
         loadTodos();
     }
-}, 30000);
+}, POLL_INTERVAL_MS);
+
+// Check for due reminders every 30 seconds
+setInterval(checkReminders, 30000);
 
 // Handle online/offline status
-window.addEventListener('online', () => {
+window.addEventListener('online', async () => {
     hideError();
-    loadTodos();
+    if (authToken) {
+        await syncOutbox();
+        loadTodos();
+        reconnectEvents();
+    }
 });
 
 window.addEventListener('offline', () => {
-    showError('You are offline. Changes will not be saved until you reconnect.');
+    showError('You are offline. Changes are kept on this device and saved when you reconnect.');
 });
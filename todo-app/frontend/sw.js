@@ -0,0 +1,51 @@
+// Service worker keeping the app shell available offline. The shell is
+// cached on install and served from the cache, refreshed in the background
+// so the next visit picks up changes. API requests are left to the page,
+// which keeps its own copy of the data in IndexedDB.
+
+// Bump when the shell changes so old caches are dropped
+const CACHE_NAME = 'todo-app-v1';
+const APP_SHELL = ['./', 'index.html', 'script.js', 'style.css'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isAppShell(url) {
+    return url.origin === self.location.origin &&
+        APP_SHELL.some(path => new URL(path, self.registration.scope).pathname === url.pathname);
+}
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || !isAppShell(url)) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async cache => {
+            const cached = await cache.match(event.request, { ignoreSearch: true });
+            const refreshed = fetch(event.request)
+                .then(response => {
+                    if (response.ok) cache.put(event.request, response.clone());
+                    return response;
+                })
+                .catch(() => cached);
+            if (cached) {
+                event.waitUntil(refreshed);
+                return cached;
+            }
+            return refreshed;
+        })
+    );
+});